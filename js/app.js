@@ -4,7 +4,51 @@ import { PointerLockControls } from 'three/addons/controls/PointerLockControls.j
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { generateLandscape, updateSkyColors, animateWater, animateChickens, blockifyTerrain } from './terrain.js';
+import {
+  generateLandscape, updateSkyColors, animateWater, animateChickens, blockifyTerrain, blockifyTerrainChunk,
+  terrainBlockAt, getTerrainHeightGrid, setBiomeOverlay, setFullDepthTerrain, TERRAIN_CHUNK_SIZE,
+  TERRAIN_PARAMS, DEFAULT_TERRAIN_PARAMS, normalizeTerrainParams,
+} from './terrain.js';
+import { BIOMES } from './biomes.js';
+import { createTerrainStreamer } from './streaming.js';
+import { createHistory } from './history.js';
+import { CHUNK_SIZE, createVoxelStore, createChunkRenderer, raycastVoxels } from './voxels.js';
+import { createConversation } from './conversation.js';
+import { createBlockStreamParser } from './jsonstream.js';
+import { parseBenchModels, structureStats, tokenCost, layoutRow, benchReportToCSV } from './bench.js';
+import {
+  STRUCTURE_FORMATS, formatFromFilename, importStructure, exportStructure, centerStructure,
+  createPaletteMapping, parsePaletteConfig, loadPaletteText, savePaletteText,
+} from './formats.js';
+import { exportGLB, exportOBJ } from './meshexport.js';
+import { selectionBox, forEachCell, isOnShell, copyRegion } from './selection.js';
+import {
+  createTransform, isUpright, transformBlock, transformBlocks, describeTransform,
+  blockBounds, anchorOrigin, foundationColumns,
+} from './blueprint.js';
+import {
+  createBlockReader, checkStructure, describeProblems, removeDuplicates, dropFloating, addSupports,
+} from './validation.js';
+import {
+  SYMMETRY_MODES, MIN_FOLDS, MAX_FOLDS, createSymmetry, isSymmetryActive, symmetricCells, describeSymmetry,
+} from './symmetry.js';
+import { SHAPES, SHAPE_PARAMS, generateShape } from './shapes.js';
+import { runBuildScript, loadScripts, saveScripts } from './scripting.js';
+import {
+  PROVIDERS, getSelectedProvider, setSelectedProvider,
+  loadProviderSettings, saveProviderSettings, requestCompletion,
+} from './providers.js';
+import { createPlayerBody, stepPlayer, PLAYER_WIDTH, PLAYER_HEIGHT, PLAYER_EYE_HEIGHT } from './physics.js';
+import {
+  BLOCKS, BLOCK, BLOCK_COUNT, isTransparent, isSolid, normalizeBlockType, describeBlocksForPrompt,
+  getFaceMaterials, faceMaterialIndex, getGhostMaterials, getBlockSwatch, getLightLevel,
+} from './blocks.js';
+import {
+  listWorlds, loadWorld, saveWorld, renameWorld, duplicateWorld, deleteWorld,
+  listStructures, loadStructure, saveStructure, updateStructure, deleteStructure,
+} from './storage.js';
+import { renderThumbnail } from './thumbnail.js';
+import { BUILTIN_PRESETS, loadPresets, savePresets, encodePreset, decodePreset } from './presets.js';
 
 // --- Renderer ---
 const renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
@@ -58,13 +102,18 @@ const crosshair = document.getElementById('crosshair');
 const hotbar = document.getElementById('hotbar');
 
 let fpMode = false;
-const moveState = { forward: false, backward: false, left: false, right: false, sprint: false };
+const moveState = { forward: false, backward: false, left: false, right: false, sprint: false, jump: false };
 const WALK_SPEED = 18;
 const SPRINT_SPEED = 40;
-const EYE_HEIGHT = 2.5;
+const EYE_HEIGHT = 2.5; // fly mode: camera height above the ground
 const fpVelocity = new THREE.Vector3();
 const fpDirection = new THREE.Vector3();
 
+// Walk mode uses a physics body with collision; fly mode is the free roam
+// that glides over the terrain and passes through blocks
+let flyMode = false;
+const playerBody = createPlayerBody();
+
 // --- Touch device support ---
 const isTouchDevice = 'ontouchstart' in window;
 let touchActive = false; // true when FPV is active on a touch device
@@ -72,6 +121,11 @@ const touchJoystick = document.getElementById('touch-joystick');
 const joystickBase = document.getElementById('joystick-base');
 const joystickKnob = document.getElementById('joystick-knob');
 const touchFpvHint = document.getElementById('touch-fpv-hint');
+const touchHistoryBar = document.getElementById('touch-history');
+const touchActionsBar = document.getElementById('touch-actions');
+const touchJumpBtn = document.getElementById('touch-jump-btn');
+const touchFlyBtn = document.getElementById('touch-fly-btn');
+const touchPivotBtn = document.getElementById('touch-pivot-btn');
 
 // Joystick state
 let joystickTouchId = null;
@@ -102,11 +156,28 @@ let longPressTimer = null;
 // --- Raycaster ---
 const downRay = new THREE.Raycaster();
 downRay.far = 200;
+const BLOCK_REACH = 12;
 const aimRay = new THREE.Raycaster();
-aimRay.far = 12; // block reach distance
+aimRay.far = BLOCK_REACH;
+
+// Water surface of the current landscape (a terrain parameter)
+function getWaterLevel() {
+  return currentLandscape ? currentLandscape.userData.params.waterLevel : DEFAULT_TERRAIN_PARAMS.waterLevel;
+}
+
+// The sea, or a lake or river surface above it at (x, z)
+function getWaterSurface(x, z) {
+  const level = currentLandscape ? currentLandscape.userData.waterAt(x, z) : null;
+  if (level === null) return getWaterLevel();
+  return Math.max(getWaterLevel(), level * currentLandscape.userData.params.heightScale);
+}
 
 function getTerrainHeight(x, z) {
   if (!currentLandscape) return 0;
+  // Endless terrain may not be loaded (or only coarsely) where asked
+  if (currentLandscape.userData.endless) {
+    return currentLandscape.userData.sample(x, z) * currentLandscape.userData.params.heightScale;
+  }
   downRay.set(new THREE.Vector3(x, 100, z), new THREE.Vector3(0, -1, 0));
   const terrain = currentLandscape.children[0];
   if (!terrain) return 0;
@@ -119,34 +190,59 @@ function getTerrainHeight(x, z) {
 // BLOCK BUILDING SYSTEM
 // =============================================
 
-const BLOCK_TYPES = [
-  { name: 'Dirt',   color: 0x8B6914, roughness: 0.95, opacity: 1.0 },
-  { name: 'Grass',  color: 0x4a7c3f, roughness: 0.9,  opacity: 1.0 },
-  { name: 'Stone',  color: 0x888888, roughness: 0.95, opacity: 1.0 },
-  { name: 'Wood',   color: 0x9e7c4a, roughness: 0.85, opacity: 1.0 },
-  { name: 'Sand',   color: 0xd4c48a, roughness: 0.95, opacity: 1.0 },
-  { name: 'Glass',  color: 0x8cc8ff, roughness: 0.1,  opacity: 0.4 },
-];
-
 let selectedSlot = 0;
 const blockGroup = new THREE.Group();
 blockGroup.name = 'blocks';
 scene.add(blockGroup);
 
-// Map of "x,y,z" -> mesh for O(1) lookup/removal
-const placedBlocks = new Map();
+// Placed blocks, keyed by integer grid cell and stored in 16³ chunks
+const placedBlocks = createVoxelStore();
+
+// Placed blocks that give off light ("x,y,z" -> { x, y, z, type }); the
+// nearest ones are lit by the lamp light pool (see Lighting)
+const lightBlocks = new Map();
+let lampLightsDirty = true;
 
-// Shared block geometry
+function trackLightBlock(x, y, z, type) {
+  const key = `${x},${y},${z}`;
+  if (type !== null && getLightLevel(type) > 0) lightBlocks.set(key, { x, y, z, type });
+  else if (!lightBlocks.delete(key)) return;
+  lampLightsDirty = true;
+}
+
+// Shared block geometry (ghost previews)
 const blockGeo = new THREE.BoxGeometry(1, 1, 1);
 
-// Pre-built materials for each block type
-const blockMaterials = BLOCK_TYPES.map(bt => new THREE.MeshStandardMaterial({
-  color: bt.color,
-  roughness: bt.roughness,
-  metalness: 0.05,
-  transparent: bt.opacity < 1,
-  opacity: bt.opacity,
-}));
+// One merged, face-culled mesh per chunk, rebuilt when its blocks change.
+// Materials come from the block registry, one per block face.
+const blockRenderer = createChunkRenderer(placedBlocks, blockGroup, {
+  materials: getFaceMaterials(),
+  materialIndex: faceMaterialIndex,
+  isTransparent,
+});
+
+// Blockified terrain lives in its own store so it can be dug like placed
+// blocks. Changes to it are kept as terrain edits (overrides of the generated
+// cell, null = dug out) that survive toggling blockify and are saved/exported.
+const TERRAIN_LAYER = 'terrain';
+const terrainVoxels = createVoxelStore();
+const terrainEdits = new Map(); // "x,y,z" -> type | null
+const terrainBlockGroup = new THREE.Group();
+terrainBlockGroup.name = 'voxelTerrain';
+scene.add(terrainBlockGroup);
+const terrainRenderer = createChunkRenderer(terrainVoxels, terrainBlockGroup, {
+  materials: getFaceMaterials(),
+  materialIndex: faceMaterialIndex,
+  isTransparent,
+});
+
+// Placed blocks first, then terrain: what the player sees and aims at
+const worldVoxels = {
+  get(x, y, z) {
+    const type = placedBlocks.get(x, y, z);
+    return type !== null ? type : terrainVoxels.get(x, y, z);
+  },
+};
 
 // Ghost preview block
 const ghostMat = new THREE.MeshBasicMaterial({
@@ -163,82 +259,265 @@ ghostMesh.add(ghostWire);
 ghostMesh.visible = false;
 scene.add(ghostMesh);
 
-function blockKey(x, y, z) {
-  return `${x},${y},${z}`;
+// Low-level cell write: type null empties the cell. Not recorded in history.
+function setBlockRaw(x, y, z, type, layer) {
+  if (layer === TERRAIN_LAYER) {
+    setTerrainRaw(x, y, z, type);
+  } else {
+    placedBlocks.set(x, y, z, type);
+    trackLightBlock(x, y, z, type);
+  }
+}
+
+// Terrain cell as edited, falling back to what the generator puts there
+function getTerrainBlock(x, y, z) {
+  const key = `${x},${y},${z}`;
+  if (terrainEdits.has(key)) return terrainEdits.get(key);
+  return terrainBlockAt(currentLandscape, x, y, z);
+}
+
+function setTerrainRaw(x, y, z, type) {
+  const key = `${x},${y},${z}`;
+  if (type === terrainBlockAt(currentLandscape, x, y, z)) terrainEdits.delete(key);
+  else terrainEdits.set(key, type);
+  if (isBlockified && isVoxelTerrainAt(x, z)) terrainVoxels.set(x, y, z, type);
 }
 
-function snapToGrid(v) {
-  return Math.floor(v) + 0.5;
+// Blockified terrain covers the whole island, but only the near ring of an
+// endless world; edits elsewhere wait in terrainEdits until it comes close
+function isVoxelTerrainAt(x, z) {
+  return !terrainStreamer || terrainStreamer.isNear(x, z);
 }
 
-function placeBlock(gx, gy, gz) {
-  const key = blockKey(gx, gy, gz);
-  if (placedBlocks.has(key)) return; // already occupied
+function setTerrainBlock(x, y, z, type) {
+  blockHistory.record(x, y, z, getTerrainBlock(x, y, z), type, TERRAIN_LAYER);
+  setTerrainRaw(x, y, z, type);
+}
+
+function placeBlock(x, y, z, type = selectedSlot) {
+  if (placedBlocks.has(x, y, z) || terrainVoxels.has(x, y, z)) return; // already occupied
 
-  const mesh = new THREE.Mesh(blockGeo, blockMaterials[selectedSlot]);
-  mesh.position.set(gx, gy, gz);
-  mesh.castShadow = true;
-  mesh.receiveShadow = true;
-  mesh.userData.isBlock = true;
-  mesh.userData.blockKey = key;
-  blockGroup.add(mesh);
-  placedBlocks.set(key, mesh);
+  blockHistory.record(x, y, z, null, type);
+  setBlockRaw(x, y, z, type);
 }
 
-function removeBlock(mesh) {
-  if (!mesh || !mesh.userData.isBlock) return;
-  const key = mesh.userData.blockKey;
-  blockGroup.remove(mesh);
-  placedBlocks.delete(key);
-  // Geometry is shared, no need to dispose per-block
+// Removes a placed block, or digs out the terrain block in that cell
+function removeBlock(x, y, z) {
+  const type = placedBlocks.get(x, y, z);
+  if (type === null) {
+    if (terrainVoxels.has(x, y, z)) setTerrainBlock(x, y, z, null);
+    return;
+  }
+  blockHistory.record(x, y, z, type, null);
+  setBlockRaw(x, y, z, null);
 }
 
+// Undoable clear: every block is recorded in one transaction
 function clearAllBlocks() {
-  blockGroup.clear();
+  if (placedBlocks.size === 0) return;
+  const cells = [];
+  placedBlocks.forEach((x, y, z) => cells.push([x, y, z]));
+  blockHistory.transaction(() => {
+    for (const [x, y, z] of cells) removeBlock(x, y, z);
+  });
+}
+
+// Drop all blocks, terrain edits and their history (new world)
+function resetBlocks() {
   placedBlocks.clear();
+  lightBlocks.clear();
+  lampLightsDirty = true;
+  blockRenderer.update();
+  terrainVoxels.clear();
+  terrainRenderer.update();
+  terrainEdits.clear();
+  blockHistory.clear();
+}
+
+// Edits as a storable list; type null marks a dug-out cell
+function serializeTerrainEdits() {
+  const edits = [];
+  for (const [key, type] of terrainEdits) {
+    const [x, y, z] = key.split(',').map(Number);
+    edits.push({ x, y, z, type });
+  }
+  return edits;
+}
+
+// =============================================
+// UNDO / REDO
+// =============================================
+
+// Memory budget for the undo stack, chosen in the sidebar
+const HISTORY_MEMORY_OPTIONS_MB = [4, 8, 32, 128];
+let historyMemoryMb = Number(localStorage.getItem('history_memory_mb'));
+if (!HISTORY_MEMORY_OPTIONS_MB.includes(historyMemoryMb)) historyMemoryMb = 8;
+
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
+const touchUndoBtn = document.getElementById('touch-undo-btn');
+const touchRedoBtn = document.getElementById('touch-redo-btn');
+const historyMemorySelect = document.getElementById('history-memory-select');
+
+function updateHistoryButtons() {
+  const canUndo = blockHistory.canUndo();
+  const canRedo = blockHistory.canRedo();
+  undoBtn.disabled = !canUndo;
+  redoBtn.disabled = !canRedo;
+  touchUndoBtn.disabled = !canUndo;
+  touchRedoBtn.disabled = !canRedo;
+}
+
+const blockHistory = createHistory(setBlockRaw, {
+  maxBytes: historyMemoryMb * 1024 * 1024,
+  onChange: () => {
+    updateHistoryButtons();
+    markWorldDirty();
+  },
+});
+
+function undo() {
+  if (blueprintActive) return;
+  blockHistory.undo();
+}
+
+function redo() {
+  if (blueprintActive) return;
+  blockHistory.redo();
 }
 
-// Get aim target: returns { point, normal, object } or null
-function getAimTarget() {
+undoBtn.addEventListener('click', undo);
+redoBtn.addEventListener('click', redo);
+touchUndoBtn.addEventListener('click', undo);
+touchRedoBtn.addEventListener('click', redo);
+
+// Lowering the budget drops the oldest undo steps straight away
+historyMemorySelect.value = historyMemoryMb;
+historyMemorySelect.addEventListener('change', () => {
+  historyMemoryMb = Number(historyMemorySelect.value);
+  localStorage.setItem('history_memory_mb', historyMemoryMb);
+  blockHistory.setMaxBytes(historyMemoryMb * 1024 * 1024);
+});
+document.getElementById('clear-blocks-btn').addEventListener('click', clearAllBlocks);
+
+// Ctrl+Z / Ctrl+Y (Cmd on macOS) work in both orbit and first-person view
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey)) return;
+  const tag = e.target.tagName;
+  if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+
+  if (e.code === 'KeyZ' && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if (e.code === 'KeyY' || (e.code === 'KeyZ' && e.shiftKey)) {
+    e.preventDefault();
+    redo();
+  }
+});
+
+// Get aim target: returns { point, distance, block, normal } or null.
+// `block` is the hit cell { x, y, z, type } for placed blocks and blockified
+// terrain, null for the smooth terrain. Blueprints aim further than `reach`.
+function getAimTarget(reach = BLOCK_REACH) {
   if (!currentLandscape) return null;
 
   aimRay.setFromCamera(new THREE.Vector2(0, 0), camera);
+  aimRay.far = reach;
+  const { origin, direction } = aimRay.ray;
+
+  // Placed blocks and voxel terrain: voxel DDA against the chunk data
+  let best = null;
+  const voxelHit = raycastVoxels(worldVoxels, origin, direction, aimRay.far);
+  if (voxelHit) {
+    best = {
+      point: voxelHit.point,
+      distance: voxelHit.distance,
+      block: { x: voxelHit.x, y: voxelHit.y, z: voxelHit.z, type: voxelHit.type },
+      normal: voxelHit.normal,
+    };
+  }
 
-  // Check placed blocks first, then terrain
-  const targets = [blockGroup, currentLandscape.children[0]];
-  const allHits = [];
-  for (const t of targets) {
-    if (!t) continue;
-    const hits = aimRay.intersectObject(t, true);
-    allHits.push(...hits);
+  // Smooth terrain: mesh intersection (hidden while blockified, and it would
+  // block aiming into dug-out holes). Endless worlds only hide the near ring.
+  const terrain = currentLandscape.children[0];
+  if (terrain && (!isBlockified || terrainStreamer)) {
+    const hit = aimRay.intersectObject(terrain).find(h => h.object.visible);
+    if (hit && (!best || hit.distance < best.distance)) {
+      best = { point: hit.point, distance: hit.distance, block: null, normal: null };
+    }
   }
 
-  if (allHits.length === 0) return null;
-  allHits.sort((a, b) => a.distance - b.distance);
-  return allHits[0];
+  return best;
 }
 
-// Compute placement position from a raycast hit
+// Compute placement cell from an aim hit, or null if there is no free face
 function getPlacementPos(hit) {
-  if (hit.object.userData.isBlock) {
+  if (hit.block) {
     // Place adjacent to the block face
-    const n = hit.face.normal.clone();
-    // Transform normal to world space
-    n.transformDirection(hit.object.matrixWorld);
-    const bx = Math.floor(hit.object.position.x) + 0.5 + Math.round(n.x);
-    const by = Math.floor(hit.object.position.y) + 0.5 + Math.round(n.y);
-    const bz = Math.floor(hit.object.position.z) + 0.5 + Math.round(n.z);
-    return { x: bx, y: by, z: bz };
-  } else {
-    // Place on terrain surface
-    const p = hit.point;
-    const bx = snapToGrid(p.x);
-    const by = snapToGrid(p.y);
-    const bz = snapToGrid(p.z);
-    return { x: bx, y: by, z: bz };
+    const n = hit.normal;
+    if (n.x === 0 && n.y === 0 && n.z === 0) return null;
+    return { x: hit.block.x + n.x, y: hit.block.y + n.y, z: hit.block.z + n.z };
+  }
+  // Place on terrain surface
+  const p = hit.point;
+  return { x: Math.floor(p.x), y: Math.floor(p.y), z: Math.floor(p.z) };
+}
+
+// True if a block in this cell would overlap the first-person player
+function isInsidePlayer(pos) {
+  if (flyMode) {
+    const dx = pos.x + 0.5 - camera.position.x;
+    const dy = pos.y + 0.5 - camera.position.y;
+    const dz = pos.z + 0.5 - camera.position.z;
+    return Math.abs(dx) < 0.8 && Math.abs(dz) < 0.8 && dy > -2 && dy < 0.5;
+  }
+  const half = PLAYER_WIDTH / 2;
+  const p = playerBody.position;
+  return pos.x + 1 > p.x - half && pos.x < p.x + half &&
+    pos.z + 1 > p.z - half && pos.z < p.z + half &&
+    pos.y + 1 > p.y && pos.y < p.y + PLAYER_HEIGHT;
+}
+
+// =============================================
+// PLAYER COLLISION WORLD
+// =============================================
+
+// Placed blocks and (when blockified) terrain voxels block the player
+function isCellSolid(x, y, z) {
+  const type = worldVoxels.get(x, y, z);
+  return type !== null && isSolid(type);
+}
+
+// Outside the voxels the player stands on the smooth terrain or the water.
+// Blockified terrain replaces the smooth surface (and its lakes and rivers
+// with water blocks), so only the sea remains; full-depth terrain goes down
+// to the bedrock floor at y = 0, so caves below the sea stay open.
+function getGroundHeight(x, z) {
+  if (isBlockified && isVoxelTerrainAt(x, z)) return fullDepthTerrain ? 0 : getWaterLevel();
+  return Math.max(getTerrainHeight(x, z), getWaterSurface(x, z));
+}
+
+const collisionWorld = { isSolid: isCellSolid, groundHeight: getGroundHeight };
+
+function setFlyMode(enabled) {
+  flyMode = enabled;
+  if (!flyMode) {
+    // Drop the body from wherever the free-roam camera is
+    playerBody.position.set(camera.position.x, camera.position.y - PLAYER_EYE_HEIGHT, camera.position.z);
+    playerBody.velocity.set(0, 0, 0);
+    playerBody.onGround = false;
   }
+  touchFlyBtn.classList.toggle('active', flyMode);
 }
 
+touchFlyBtn.addEventListener('click', () => setFlyMode(!flyMode));
+touchJumpBtn.addEventListener('touchstart', (e) => {
+  e.preventDefault();
+  moveState.jump = true;
+}, { passive: false });
+touchJumpBtn.addEventListener('touchend', () => { moveState.jump = false; });
+touchJumpBtn.addEventListener('touchcancel', () => { moveState.jump = false; });
+
 // Update ghost preview each frame
 function updateGhostBlock() {
   if (!fpMode || !(fpControls.isLocked || touchActive) || blueprintActive) {
@@ -247,41 +526,58 @@ function updateGhostBlock() {
   }
 
   const hit = getAimTarget();
-  if (!hit) {
-    ghostMesh.visible = false;
-    return;
-  }
-
-  const pos = getPlacementPos(hit);
-  const key = blockKey(pos.x, pos.y, pos.z);
+  // Selection mode highlights the cell a click would mark as a corner
+  const pos = hit && (selectionMode ? getSelectionCell(hit) : getPlacementPos(hit));
 
   // Don't show ghost where a block already exists
-  if (placedBlocks.has(key)) {
+  if (!pos || (!selectionMode && placedBlocks.has(pos.x, pos.y, pos.z))) {
     ghostMesh.visible = false;
     return;
   }
 
-  ghostMesh.position.set(pos.x, pos.y, pos.z);
+  ghostMesh.position.set(pos.x + 0.5, pos.y + 0.5, pos.z + 0.5);
   // Tint ghost to match selected block color
-  ghostMat.color.setHex(BLOCK_TYPES[selectedSlot].color);
+  ghostMat.color.setHex(selectionMode ? SELECTION_COLOR : BLOCKS[selectedSlot].color);
   ghostMesh.visible = true;
 }
 
 // --- Hotbar UI ---
+// One slot per registry block; keys 1-9 and 0 select the first ten
+const HOTBAR_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'];
+
+function buildHotbar() {
+  BLOCKS.forEach((block, i) => {
+    const slot = document.createElement('div');
+    slot.className = 'hotbar-slot';
+    slot.dataset.slot = i;
+    slot.title = block.name;
+
+    const swatch = document.createElement('div');
+    swatch.className = 'swatch';
+    swatch.style.backgroundImage = `url(${getBlockSwatch(i)})`;
+    if (isTransparent(i)) swatch.style.opacity = 0.7;
+    slot.appendChild(swatch);
+
+    const keyHint = document.createElement('span');
+    keyHint.className = 'key-hint';
+    keyHint.textContent = HOTBAR_KEYS[i] || '';
+    slot.appendChild(keyHint);
+
+    slot.addEventListener('click', () => selectSlot(i));
+    hotbar.appendChild(slot);
+  });
+}
+buildHotbar();
+
 const hotbarSlots = document.querySelectorAll('.hotbar-slot');
 
 function selectSlot(idx) {
-  selectedSlot = THREE.MathUtils.clamp(idx, 0, BLOCK_TYPES.length - 1);
+  selectedSlot = THREE.MathUtils.clamp(idx, 0, BLOCK_COUNT - 1);
   hotbarSlots.forEach((el, i) => {
     el.classList.toggle('active', i === selectedSlot);
   });
 }
-
-hotbarSlots.forEach(el => {
-  el.addEventListener('click', () => {
-    selectSlot(parseInt(el.dataset.slot));
-  });
-});
+selectSlot(0);
 
 // =============================================
 // AI STRUCTURE BUILDER — BLUEPRINT SYSTEM
@@ -289,55 +585,115 @@ hotbarSlots.forEach(el => {
 
 let blueprintBlocks = [];     // Array of {x, y, z, type} from API
 let blueprintGroup = null;    // THREE.Group holding ghost meshes
-let blueprintRotation = 0;    // 0-3 (90° increments)
+let blueprintTransform = createTransform(); // mirror / rotation / offset
+let blueprintInfo = null;     // { name, source, prompt, model, tags } for the library, { input, maxSize } for the check
+let blueprintReport = null;   // checkStructure() of blueprintBlocks, null while a build streams in
 let blueprintActive = false;
 
-// Ghost materials for blueprint (one per block type)
-const blueprintMaterials = BLOCK_TYPES.map(bt => new THREE.MeshBasicMaterial({
-  color: bt.color,
+// Placement: how far the crosshair reaches for a surface to anchor to,
+// whether columns get a foundation down to the ground, and whether blocks
+// overlapping placed blocks replace them or are skipped
+const BLUEPRINT_MIN_DISTANCE = 4;
+const BLUEPRINT_MAX_DISTANCE = 40;
+const MAX_FOUNDATION_DEPTH = 32;
+const UP = new THREE.Vector3(0, 1, 0);
+let blueprintDistance = THREE.MathUtils.clamp(
+  Number(localStorage.getItem('blueprint_distance')) || 12,
+  BLUEPRINT_MIN_DISTANCE, BLUEPRINT_MAX_DISTANCE);
+let blueprintFoundation = localStorage.getItem('blueprint_foundation') === 'true';
+let blueprintOverwrite = localStorage.getItem('blueprint_overwrite') === 'true';
+
+// Ghost materials for blueprint (one per block type), plus red for blocks
+// that overlap placed blocks
+const BLUEPRINT_OVERLAP = BLOCK_COUNT; // ghost-only type
+const blueprintOverlapMat = new THREE.MeshBasicMaterial({
+  color: 0xff3030,
   transparent: true,
-  opacity: 0.35,
+  opacity: 0.55,
   depthWrite: false,
-}));
+});
+const blueprintMaterials = [...getGhostMaterials(), blueprintOverlapMat];
 const blueprintWireMat = new THREE.LineBasicMaterial({
   color: 0xffffff,
   transparent: true,
   opacity: 0.4,
 });
 
-// --- API Key Management ---
+// --- AI Provider / API Key Management ---
 const apiKeyToggle = document.getElementById('api-key-toggle');
 const apiKeyBody = document.getElementById('api-key-body');
 const apiKeyInput = document.getElementById('api-key-input');
 const apiKeySaveBtn = document.getElementById('api-key-save-btn');
+const providerSelect = document.getElementById('provider-select');
+const providerEndpointInput = document.getElementById('provider-endpoint-input');
+const providerModelInput = document.getElementById('provider-model-input');
+const providerHeadersInput = document.getElementById('provider-headers-input');
+const providerPathInput = document.getElementById('provider-path-input');
+const providerInputs = [apiKeyInput, providerEndpointInput, providerModelInput, providerHeadersInput, providerPathInput];
+
+for (const [id, provider] of Object.entries(PROVIDERS)) {
+  const option = document.createElement('option');
+  option.value = id;
+  option.textContent = provider.label;
+  providerSelect.appendChild(option);
+}
 
 // Pre-fill from localStorage
-const storedKey = localStorage.getItem('anthropic_api_key');
-if (storedKey) apiKeyInput.value = storedKey;
+function showProviderSettings(id) {
+  const settings = loadProviderSettings(id);
+  providerSelect.value = id;
+  providerEndpointInput.value = settings.endpoint;
+  providerModelInput.value = settings.model;
+  providerHeadersInput.value = settings.headers;
+  providerPathInput.value = settings.responsePath;
+  apiKeyInput.value = settings.apiKey;
+  apiKeyInput.placeholder = PROVIDERS[id].keyPlaceholder;
+}
+showProviderSettings(getSelectedProvider());
 
 apiKeyToggle.addEventListener('click', () => {
   apiKeyBody.classList.toggle('visible');
 });
 
 function saveApiKey() {
-  const key = apiKeyInput.value.trim();
-  if (key) {
-    localStorage.setItem('anthropic_api_key', key);
-  } else {
-    localStorage.removeItem('anthropic_api_key');
-  }
+  saveProviderSettings(providerSelect.value, {
+    endpoint: providerEndpointInput.value.trim(),
+    model: providerModelInput.value.trim(),
+    headers: providerHeadersInput.value.trim(),
+    responsePath: providerPathInput.value.trim(),
+    apiKey: apiKeyInput.value.trim(),
+  });
 }
 
+providerSelect.addEventListener('change', () => {
+  setSelectedProvider(providerSelect.value);
+  showProviderSettings(providerSelect.value);
+});
 apiKeySaveBtn.addEventListener('click', saveApiKey);
-apiKeyInput.addEventListener('blur', saveApiKey);
-apiKeyInput.addEventListener('keydown', (e) => e.stopPropagation());
+for (const input of providerInputs) {
+  input.addEventListener('blur', saveApiKey);
+  input.addEventListener('keydown', (e) => e.stopPropagation());
+}
 
 // --- AI Build UI ---
 const aiPromptInput = document.getElementById('ai-prompt-input');
 const aiBuildBtn = document.getElementById('ai-build-btn');
 const aiLoading = document.getElementById('ai-loading');
 const aiError = document.getElementById('ai-error');
+const aiVersions = document.getElementById('ai-versions');
+const aiVersionList = document.getElementById('ai-version-list');
+const aiRefineInput = document.getElementById('ai-refine-input');
+const aiRefineBtn = document.getElementById('ai-refine-btn');
+const aiCancelBtn = document.getElementById('ai-cancel-btn');
 const blueprintHint = document.getElementById('blueprint-hint');
+const blueprintTransformLabel = document.getElementById('blueprint-transform');
+const blueprintPlacementLabel = document.getElementById('blueprint-placement');
+const blueprintDistanceSlider = document.getElementById('blueprint-distance-slider');
+const blueprintDistanceLabel = document.getElementById('blueprint-distance-label');
+const blueprintFoundationToggle = document.getElementById('blueprint-foundation-toggle');
+const blueprintOverlapSelect = document.getElementById('blueprint-overlap-select');
+const blueprintCheck = document.getElementById('blueprint-check');
+const blueprintCheckList = document.getElementById('blueprint-check-list');
 
 function showAiError(msg) {
   aiError.textContent = msg;
@@ -349,14 +705,33 @@ function clearAiError() {
 }
 function setAiLoading(loading) {
   if (loading) {
+    aiLoading.textContent = 'Generating structure...';
     aiLoading.classList.add('visible');
+    aiCancelBtn.classList.add('visible');
     aiBuildBtn.disabled = true;
+    aiRefineBtn.disabled = true;
   } else {
     aiLoading.classList.remove('visible');
+    aiCancelBtn.classList.remove('visible');
     aiBuildBtn.disabled = false;
+    aiRefineBtn.disabled = false;
   }
 }
 
+// Structures are capped so a runaway answer can't flood the scene
+const MAX_STRUCTURE_BLOCKS = 500;
+// Bounding box the model is asked to stay within (checked, not enforced)
+const MAX_STRUCTURE_SIZE = 20;
+
+// The request being streamed, so Cancel (or dropping the blueprint) can stop it
+let aiAbortController = null;
+
+function stopAiStream() {
+  if (aiAbortController) aiAbortController.abort();
+}
+
+aiCancelBtn.addEventListener('click', stopAiStream);
+
 const AI_SYSTEM_PROMPT = `You are a Minecraft-style architect. Output ONLY a JSON array of blocks. No explanation, no markdown fences, just the raw JSON array.
 
 Coordinate system:
@@ -367,186 +742,313 @@ Coordinate system:
 - Build starting at Y=0 (ground level)
 
 Block types (use the number):
-0 = Dirt
-1 = Grass
-2 = Stone
-3 = Wood
-4 = Sand
-5 = Glass
+${describeBlocksForPrompt()}
 
 Rules:
-- Stay within 20x20x20 bounding box
-- Maximum 500 blocks
-- Use appropriate materials: stone for foundations, wood for walls/framing, glass for windows, grass for rooftops/gardens, dirt for ground, sand for paths
+- Stay within ${MAX_STRUCTURE_SIZE}x${MAX_STRUCTURE_SIZE}x${MAX_STRUCTURE_SIZE} bounding box
+- Maximum ${MAX_STRUCTURE_BLOCKS} blocks
+- Use appropriate materials as listed next to each block type
 - Make structures look good and recognizable
 - All coordinates must be integers
+- When asked to change a structure you built, output the complete updated array
 
 Output format: [{"x":0,"y":0,"z":0,"type":2},{"x":1,"y":0,"z":0,"type":2},...]`;
 
-async function generateStructure(prompt) {
-  const apiKey = localStorage.getItem('anthropic_api_key');
-  if (!apiKey) {
-    showAiError('Set API key first (click "API Key" below)');
-    return null;
+// Parse a whole (non-streamed) answer into raw block objects, or null.
+// Handles code fences, surrounding text and answers cut off at max_tokens.
+function parseStructureText(text, truncated) {
+  // If response was truncated due to max_tokens, salvage complete blocks
+  if (truncated) {
+    const lastBrace = text.lastIndexOf('}');
+    if (lastBrace !== -1) {
+      text = text.substring(0, lastBrace + 1).replace(/,\s*$/, '') + ']';
+    }
   }
 
-  clearAiError();
-  setAiLoading(true);
-
+  // Extract JSON array from response — handle code fences, surrounding text, etc.
   try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true',
-        'content-type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 16384,
-        system: AI_SYSTEM_PROMPT,
-        messages: [{ role: 'user', content: prompt }],
-      }),
-    });
-
-    if (!response.ok) {
-      const errBody = await response.json().catch(() => ({}));
-      const errMsg = errBody?.error?.message || `API error (${response.status})`;
-      showAiError(errMsg);
-      return null;
+    // Try direct parse first
+    return JSON.parse(text.trim());
+  } catch {
+    // Try extracting from code fences
+    const fenceMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenceMatch) {
+      try {
+        return JSON.parse(fenceMatch[1].trim());
+      } catch { /* fall through */ }
     }
-
-    const data = await response.json();
-    let text = data.content?.[0]?.text;
-    if (!text) {
-      showAiError('No response from AI');
-      return null;
+    // Try finding a raw JSON array in the text
+    const bracketStart = text.indexOf('[');
+    const bracketEnd = text.lastIndexOf(']');
+    if (bracketStart !== -1 && bracketEnd > bracketStart) {
+      try {
+        return JSON.parse(text.slice(bracketStart, bracketEnd + 1));
+      } catch { /* fall through */ }
     }
+    return null;
+  }
+}
 
-    // If response was truncated due to max_tokens, salvage complete blocks
-    if (data.stop_reason === 'max_tokens') {
-      const lastBrace = text.lastIndexOf('}');
-      if (lastBrace !== -1) {
-        text = text.substring(0, lastBrace + 1).replace(/,\s*$/, '') + ']';
-      }
+// Ask one provider for a structure, without touching the UI. The answer is
+// streamed: every complete block object is validated and passed to `onBlock`
+// as soon as it arrives, and a cancelled, truncated or failed answer keeps
+// the blocks received so far. Aborting `controller` cancels. Resolves with
+// { blocks, input, error, parseFailed, invalidEntries, usage, aborted },
+// where `input` holds the validation counts (see validation.js); rejects on
+// network/API errors before any block arrived.
+async function requestStructure({ providerId, settings, messages, controller, onBlock = () => {} }) {
+  let reader = createBlockReader(MAX_STRUCTURE_BLOCKS);
+  const parser = createBlockStreamParser((raw) => {
+    if (reader.full) return;
+    const block = reader.add(raw);
+    if (!block) return;
+    onBlock(block, reader.blocks.length);
+    // No need to pay for tokens past the cap
+    if (reader.full) {
+      reader.counts.truncated = 'limit';
+      controller.abort();
     }
+  }, () => reader.add(null));
 
-    // Extract JSON array from response — handle code fences, surrounding text, etc.
-    let blocks;
-    try {
-      // Try direct parse first
-      blocks = JSON.parse(text.trim());
-    } catch {
-      // Try extracting from code fences
-      const fenceMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
-      if (fenceMatch) {
-        try {
-          blocks = JSON.parse(fenceMatch[1].trim());
-        } catch { /* fall through */ }
-      }
-      // Try finding a raw JSON array in the text
-      if (!blocks) {
-        const bracketStart = text.indexOf('[');
-        const bracketEnd = text.lastIndexOf(']');
-        if (bracketStart !== -1 && bracketEnd > bracketStart) {
-          try {
-            blocks = JSON.parse(text.slice(bracketStart, bracketEnd + 1));
-          } catch { /* fall through */ }
-        }
-      }
-      if (!blocks) {
-        showAiError('Failed to parse structure JSON');
-        return null;
-      }
-    }
+  let result;
+  try {
+    result = await requestCompletion(providerId, settings, {
+      system: AI_SYSTEM_PROMPT,
+      messages,
+      maxTokens: 16384,
+      signal: controller.signal,
+      onText: parser.push,
+    });
+  } catch (err) {
+    // A stream that breaks off keeps its blocks, like a cancelled one
+    if (reader.blocks.length === 0) throw err;
+    reader.counts.truncated = 'failed';
+    return {
+      blocks: reader.blocks, input: reader.counts, error: err.message || 'Network error', parseFailed: false,
+      invalidEntries: reader.counts.malformed, usage: {}, aborted: false,
+    };
+  }
+  const outcome = (blocks, error = null, parseFailed = false) => ({
+    blocks, input: reader.counts, error, parseFailed,
+    invalidEntries: reader.counts.malformed, usage: result.usage, aborted: result.aborted,
+  });
 
-    if (!Array.isArray(blocks) || blocks.length === 0) {
-      showAiError('No blocks generated');
-      return null;
-    }
+  if (reader.blocks.length > 0) {
+    if (result.truncated) reader.counts.truncated = 'max_tokens';
+    else if (result.aborted && !reader.counts.truncated) reader.counts.truncated = 'cancelled';
+    return outcome(reader.blocks);
+  }
+  if (result.aborted) return outcome([], 'Cancelled');
+
+  // Nothing streamed as an array of objects: fall back to parsing the
+  // whole answer
+  if (!result.text) return outcome([], 'No response from AI', true);
+  const blocks = parseStructureText(result.text, result.truncated);
+  if (!blocks) return outcome([], 'Failed to parse structure JSON', true);
+  if (!Array.isArray(blocks) || blocks.length === 0) return outcome([], 'No blocks generated', true);
+
+  // Validate and clamp to the block cap
+  reader = createBlockReader(MAX_STRUCTURE_BLOCKS);
+  for (const b of blocks) reader.add(b);
+  if (reader.blocks.length === 0) return outcome([], 'No valid blocks in response', true);
+  if (result.truncated) reader.counts.truncated = 'max_tokens';
+  return outcome(reader.blocks);
+}
 
-    // Validate and clamp to 500 blocks
-    const validated = [];
-    for (const b of blocks) {
-      if (typeof b.x !== 'number' || typeof b.y !== 'number' || typeof b.z !== 'number') continue;
-      const type = typeof b.type === 'number' ? Math.max(0, Math.min(5, Math.round(b.type))) : 2;
-      validated.push({
-        x: Math.round(b.x),
-        y: Math.round(b.y),
-        z: Math.round(b.z),
-        type,
-      });
-      if (validated.length >= 500) break;
-    }
+// Send a conversation (see conversation.js) to the selected provider and
+// return { blocks, input } (the validated blocks and their validation
+// counts), or null after showing the error. Blocks are passed to `onBlock`
+// as they stream in.
+async function generateStructure(messages, onBlock) {
+  const providerId = getSelectedProvider();
+  const settings = loadProviderSettings(providerId);
+  if (PROVIDERS[providerId].needsKey && !settings.apiKey) {
+    showAiError('Set API key first (click "AI Provider" below)');
+    return null;
+  }
+
+  clearAiError();
+  setAiLoading(true);
 
-    if (validated.length === 0) {
-      showAiError('No valid blocks in response');
+  const controller = new AbortController();
+  aiAbortController = controller;
+
+  try {
+    const result = await requestStructure({
+      providerId,
+      settings,
+      messages,
+      controller,
+      onBlock: (block, count) => {
+        onBlock(block);
+        aiLoading.textContent = `Generating structure... ${count} blocks`;
+      },
+    });
+    if (result.blocks.length === 0) {
+      showAiError(result.error);
       return null;
     }
-
-    return validated;
+    if (result.error) showAiError(`${result.error} \u2014 kept the ${result.blocks.length} blocks received`);
+    return { blocks: result.blocks, input: result.input };
   } catch (err) {
     showAiError(err.message || 'Network error');
     return null;
   } finally {
+    if (aiAbortController === controller) aiAbortController = null;
     setAiLoading(false);
   }
 }
 
-// --- Rotate block positions ---
-function rotateBlocksCW(blocks) {
-  // 90° clockwise around Y axis: (x, z) -> (z, -x) which is equivalent to (-z, x) for CCW
-  // CW: (x,z) -> (-z, x)
-  return blocks.map(b => ({ x: -b.z, y: b.y, z: b.x, type: b.type }));
-}
-
-function getRotatedBlocks() {
-  let blocks = blueprintBlocks;
-  for (let i = 0; i < blueprintRotation; i++) {
-    blocks = rotateBlocksCW(blocks);
-  }
-  return blocks;
+// --- Blueprint blocks with the current transform applied ---
+function getTransformedBlocks() {
+  return transformBlocks(blueprintBlocks, blueprintTransform);
 }
 
 // --- Create blueprint ghost group ---
+// Ghost blocks are meshed per chunk like placed blocks (hidden faces culled),
+// so imported builds with thousands of blocks stay cheap to preview. A wire
+// box outlines the structure's extent.
 function createBlueprintGroup(blocks) {
   const group = new THREE.Group();
+  const voxels = createVoxelStore();
+  const ghostRenderer = createChunkRenderer(voxels, group, {
+    materials: blueprintMaterials,
+    isTransparent: () => false,
+    castShadow: false,
+    receiveShadow: false,
+  });
+  // `planned` is false until the overlaps and foundation match the position
+  group.userData = {
+    voxels, ghostRenderer, outline: null,
+    blocks, bounds: blockBounds(blocks), foundation: [], overlaps: 0, planned: false,
+  };
+  for (const b of blocks) voxels.set(b.x, b.y, b.z, b.type);
+  refreshBlueprintGhost(group);
+  return group;
+}
+
+function addBlueprintGhost(group, b) {
+  group.userData.blocks.push(b);
+  group.userData.bounds = blockBounds(group.userData.blocks);
+  group.userData.planned = false;
+  group.userData.voxels.set(b.x, b.y, b.z, b.type);
+}
+
+// Tint blocks that would land on placed blocks and lay the foundation for
+// the group's current position
+function planBlueprintGhost(group) {
+  const { voxels, blocks } = group.userData;
+  const o = group.position;
+  for (const f of group.userData.foundation) voxels.set(f.x, f.y, f.z, null);
+
+  let overlaps = 0;
   for (const b of blocks) {
-    const mat = blueprintMaterials[b.type];
-    const mesh = new THREE.Mesh(blockGeo, mat);
-    mesh.position.set(b.x + 0.5, b.y + 0.5, b.z + 0.5);
-    const wire = new THREE.LineSegments(new THREE.EdgesGeometry(blockGeo), blueprintWireMat);
-    mesh.add(wire);
-    group.add(mesh);
+    const overlap = placedBlocks.has(o.x + b.x, o.y + b.y, o.z + b.z);
+    if (overlap) overlaps++;
+    voxels.set(b.x, b.y, b.z, overlap ? BLUEPRINT_OVERLAP : b.type);
   }
-  return group;
+
+  const foundation = blueprintFoundation ? planFoundation(blocks, o) : [];
+  for (const f of foundation) voxels.set(f.x, f.y, f.z, f.type);
+
+  Object.assign(group.userData, { foundation, overlaps, planned: true });
+  refreshBlueprintGhost(group);
+  updateBlueprintHint();
+}
+
+// Foundation cells (relative to `origin`) under the lowest block of each
+// column, down to the first block or into the terrain surface
+function planFoundation(blocks, origin) {
+  const cells = [];
+  for (const column of foundationColumns(blocks)) {
+    const wx = origin.x + column.x;
+    const wz = origin.z + column.z;
+    const ground = getTerrainHeight(wx + 0.5, wz + 0.5);
+    for (let depth = 1; depth <= MAX_FOUNDATION_DEPTH; depth++) {
+      const wy = origin.y + column.y - depth;
+      if (worldVoxels.get(wx, wy, wz) !== null) break;
+      // Stop once the cell is completely underground
+      if (!(isBlockified && isVoxelTerrainAt(wx, wz)) && wy + 1 <= ground) break;
+      cells.push({ x: column.x, y: column.y - depth, z: column.z, type: column.type });
+    }
+  }
+  return cells;
+}
+
+// Re-mesh changed chunks and refit the outline box
+function refreshBlueprintGhost(group) {
+  const { voxels, ghostRenderer } = group.userData;
+  ghostRenderer.update();
+
+  if (group.userData.outline) {
+    group.remove(group.userData.outline);
+    group.userData.outline.geometry.dispose();
+    group.userData.outline = null;
+  }
+  if (voxels.size === 0) return;
+
+  const box = new THREE.Box3();
+  voxels.forEach((x, y, z) => {
+    box.expandByPoint(new THREE.Vector3(x, y, z));
+    box.expandByPoint(new THREE.Vector3(x + 1, y + 1, z + 1));
+  });
+  const size = box.getSize(new THREE.Vector3());
+  const boxGeo = new THREE.BoxGeometry(size.x, size.y, size.z);
+  const outline = new THREE.LineSegments(new THREE.EdgesGeometry(boxGeo), blueprintWireMat);
+  boxGeo.dispose();
+  box.getCenter(outline.position);
+  group.add(outline);
+  group.userData.outline = outline;
+}
+
+// Grow the active blueprint by one block (streaming builds)
+function appendBlueprintBlock(b) {
+  if (!blueprintActive) return;
+  blueprintBlocks.push(b);
+  // Tipped over, a new block can change the re-grounding of all the others
+  if (isUpright(blueprintTransform)) addBlueprintGhost(blueprintGroup, transformBlock(b, blueprintTransform));
+  else rebuildBlueprintGroup();
+}
+
+// The cell under the crosshair the blueprint is anchored to, with the face
+// normal it snaps against. Beyond `blueprintDistance` (or aiming at the sky)
+// it drops to the ground at that distance along the view.
+function getBlueprintAnchor() {
+  const hit = getAimTarget(blueprintDistance);
+  if (hit && hit.block) {
+    const cell = getPlacementPos(hit);
+    if (cell) return { cell, normal: hit.normal };
+  }
+  if (hit) {
+    // Smooth terrain: the cell the surface point is in, at least water level
+    const p = hit.point;
+    const y = Math.floor(Math.max(p.y, getWaterLevel()));
+    return { cell: { x: Math.floor(p.x), y, z: Math.floor(p.z) }, normal: UP };
+  }
+  const p = aimRay.ray.at(blueprintDistance, new THREE.Vector3());
+  const x = Math.floor(p.x);
+  const z = Math.floor(p.z);
+  const ground = isBlockified && isVoxelTerrainAt(x, z) ? getWaterLevel() : Math.max(getTerrainHeight(x + 0.5, z + 0.5), getWaterLevel());
+  return { cell: { x, y: Math.floor(ground), z }, normal: UP };
 }
 
 // --- Update blueprint position each frame ---
+// Snapped to the aimed surface; overlaps and foundation are re-planned only
+// when the position (or the blueprint) changes
 function updateBlueprint() {
   if (!blueprintActive || !blueprintGroup) return;
 
-  // Get camera forward direction (XZ only)
-  const forward = new THREE.Vector3();
-  camera.getWorldDirection(forward);
-  forward.y = 0;
-  forward.normalize();
-
-  // Place blueprint 8 units ahead, snapped to grid
-  const targetX = Math.round(camera.position.x + forward.x * 8);
-  const targetZ = Math.round(camera.position.z + forward.z * 8);
-
-  // Ground the blueprint: find terrain height at center
-  const groundY = getTerrainHeight(targetX, targetZ);
-  const waterLevel = 2.0;
-  const baseY = Math.max(groundY, waterLevel);
-  const targetY = Math.round(baseY);
+  const { cell, normal } = getBlueprintAnchor();
+  const target = anchorOrigin(cell, normal, blueprintGroup.userData.bounds);
+  target.y += blueprintTransform.offsetY;
 
-  blueprintGroup.position.set(targetX, targetY, targetZ);
+  const pos = blueprintGroup.position;
+  if (blueprintGroup.userData.planned && pos.x === target.x && pos.y === target.y && pos.z === target.z) return;
+  pos.set(target.x, target.y, target.z);
+  planBlueprintGhost(blueprintGroup);
 }
 
-// --- Rebuild the ghost group after rotation ---
+// --- Rebuild the ghost group after a transform change ---
 function rebuildBlueprintGroup() {
   if (!blueprintActive) return;
   const pos = blueprintGroup ? blueprintGroup.position.clone() : new THREE.Vector3();
@@ -554,20 +1056,77 @@ function rebuildBlueprintGroup() {
     scene.remove(blueprintGroup);
     // Dispose ghost meshes
     blueprintGroup.traverse(obj => {
-      if (obj.geometry && obj.geometry !== blockGeo) obj.geometry.dispose();
+      if (obj.geometry) obj.geometry.dispose();
     });
   }
-  const rotated = getRotatedBlocks();
-  blueprintGroup = createBlueprintGroup(rotated);
+  blueprintGroup = createBlueprintGroup(getTransformedBlocks());
   blueprintGroup.position.copy(pos);
   scene.add(blueprintGroup);
 }
 
+function updateBlueprintHint() {
+  blueprintTransformLabel.textContent = describeTransform(blueprintTransform);
+  const parts = [`distance ${blueprintDistance}`, `foundation ${blueprintFoundation ? 'on' : 'off'}`];
+  const overlaps = blueprintGroup ? blueprintGroup.userData.overlaps : 0;
+  if (overlaps > 0) parts.push(`${overlaps} overlapping \u2014 ${blueprintOverwrite ? 'overwrite' : 'skip'}`);
+  const problems = blueprintProblems().length;
+  if (problems > 0) parts.push(`\u26a0 ${problems} problem${problems === 1 ? '' : 's'} (see sidebar)`);
+  blueprintPlacementLabel.textContent = parts.join(' \u00b7 ');
+}
+
+// Apply a change to the transform from the blueprint keys
+function changeBlueprintTransform(change) {
+  change(blueprintTransform);
+  updateBlueprintHint();
+  rebuildBlueprintGroup();
+}
+
+// --- Placement settings (sidebar and blueprint keys) ---
+function setBlueprintDistance(distance) {
+  blueprintDistance = THREE.MathUtils.clamp(Math.round(distance), BLUEPRINT_MIN_DISTANCE, BLUEPRINT_MAX_DISTANCE);
+  localStorage.setItem('blueprint_distance', blueprintDistance);
+  blueprintDistanceSlider.value = blueprintDistance;
+  blueprintDistanceLabel.textContent = `Distance: ${blueprintDistance}`;
+  updateBlueprintHint();
+}
+
+function setBlueprintFoundation(enabled) {
+  blueprintFoundation = enabled;
+  localStorage.setItem('blueprint_foundation', enabled);
+  blueprintFoundationToggle.checked = enabled;
+  if (blueprintGroup) blueprintGroup.userData.planned = false;
+  updateBlueprintHint();
+}
+
+function setBlueprintOverwrite(enabled) {
+  blueprintOverwrite = enabled;
+  localStorage.setItem('blueprint_overwrite', enabled);
+  blueprintOverlapSelect.value = enabled ? 'overwrite' : 'skip';
+  updateBlueprintHint();
+}
+
+blueprintDistanceSlider.min = BLUEPRINT_MIN_DISTANCE;
+blueprintDistanceSlider.max = BLUEPRINT_MAX_DISTANCE;
+blueprintDistanceSlider.addEventListener('input', () => setBlueprintDistance(Number(blueprintDistanceSlider.value)));
+blueprintFoundationToggle.addEventListener('change', () => setBlueprintFoundation(blueprintFoundationToggle.checked));
+blueprintOverlapSelect.addEventListener('change', () => setBlueprintOverwrite(blueprintOverlapSelect.value === 'overwrite'));
+setBlueprintDistance(blueprintDistance);
+setBlueprintFoundation(blueprintFoundation);
+setBlueprintOverwrite(blueprintOverwrite);
+
 // --- Activate blueprint mode ---
-function activateBlueprint(blocks) {
+// Replaces (and cancels) any active blueprint. `info` describes where the
+// blocks came from, for saving them to the library.
+function activateBlueprint(blocks, transform = createTransform(), info = {}) {
+  if (blueprintActive) cancelBlueprint();
   blueprintBlocks = blocks;
-  blueprintRotation = 0;
+  blueprintTransform = { ...transform };
+  blueprintInfo = {
+    name: 'Structure', source: 'import', prompt: null, model: null, tags: [], input: null, maxSize: null, ...info,
+  };
   blueprintActive = true;
+  // A build that is still streaming is checked once it is complete
+  blueprintReport = blocks.length > 0 ? checkStructure(blocks, blueprintInfo) : null;
 
   // Enter FP mode if not already
   if (!fpMode) {
@@ -580,29 +1139,39 @@ function activateBlueprint(blocks) {
   ghostMesh.visible = false;
 
   // Show blueprint hint, hide normal hints
+  updateBlueprintHint();
   blueprintHint.style.display = 'block';
   fpvHint.style.display = 'none';
   touchFpvHint.style.display = 'none';
+  updateSelectionUI();
+  renderBlueprintCheck();
 
   // Create ghost group
-  const rotated = getRotatedBlocks();
-  blueprintGroup = createBlueprintGroup(rotated);
+  blueprintGroup = createBlueprintGroup(getTransformedBlocks());
   scene.add(blueprintGroup);
 }
 
 // --- Cancel blueprint ---
+// Also stops a build that is still streaming into it
 function cancelBlueprint() {
+  stopAiStream();
+  removeBlueprint();
+}
+
+function removeBlueprint() {
   if (!blueprintActive) return;
   blueprintActive = false;
   if (blueprintGroup) {
     scene.remove(blueprintGroup);
     blueprintGroup.traverse(obj => {
-      if (obj.geometry && obj.geometry !== blockGeo) obj.geometry.dispose();
+      if (obj.geometry) obj.geometry.dispose();
     });
     blueprintGroup = null;
   }
   blueprintBlocks = [];
-  blueprintRotation = 0;
+  blueprintTransform = createTransform();
+  blueprintInfo = null;
+  blueprintReport = null;
 
   // Restore normal hints
   blueprintHint.style.display = 'none';
@@ -613,37 +1182,174 @@ function cancelBlueprint() {
       fpvHint.style.display = 'block';
     }
   }
+  updateSelectionUI();
+  renderBlueprintCheck();
+}
+
+// --- Structure check: problems found in the blueprint, and repairs ---
+function blueprintProblems() {
+  return blueprintReport ? describeProblems(blueprintInfo.input, blueprintReport, blueprintInfo) : [];
+}
+
+function renderBlueprintCheck() {
+  blueprintCheck.classList.toggle('visible', blueprintReport !== null);
+  if (!blueprintReport) return;
+
+  blueprintCheckList.textContent = '';
+  const { x, y, z } = blueprintReport.size;
+  const summary = document.createElement('div');
+  summary.textContent = `${blueprintReport.blocks} blocks, ${x}\u00d7${y}\u00d7${z}`;
+  blueprintCheckList.appendChild(summary);
+
+  const problems = blueprintProblems();
+  if (problems.length === 0) {
+    const ok = document.createElement('div');
+    ok.className = 'check-ok';
+    ok.textContent = '\u2713 No problems found';
+    blueprintCheckList.appendChild(ok);
+  }
+  for (const text of problems) {
+    const row = document.createElement('div');
+    row.className = 'check-problem';
+    row.textContent = `\u26a0 ${text}`;
+    blueprintCheckList.appendChild(row);
+  }
+
+  document.getElementById('repair-dedupe-btn').disabled = blueprintReport.duplicates === 0;
+  document.getElementById('repair-recentre-btn').disabled = !blueprintReport.offCentre;
+  document.getElementById('repair-floating-btn').disabled = blueprintReport.floating === 0;
+  document.getElementById('repair-supports-btn').disabled = blueprintReport.floating === 0;
 }
 
+// Replace the blueprint's blocks with a repaired list, keeping the transform
+function repairBlueprint(repair) {
+  if (!blueprintActive || !blueprintReport) return;
+  blueprintBlocks = repair(blueprintBlocks);
+  blueprintReport = checkStructure(blueprintBlocks, blueprintInfo);
+  rebuildBlueprintGroup();
+  updateBlueprintHint();
+  renderBlueprintCheck();
+}
+
+document.getElementById('repair-dedupe-btn').addEventListener('click', () => repairBlueprint(removeDuplicates));
+document.getElementById('repair-recentre-btn').addEventListener('click', () => repairBlueprint(centerStructure));
+document.getElementById('repair-floating-btn').addEventListener('click', () => repairBlueprint(dropFloating));
+document.getElementById('repair-supports-btn').addEventListener('click', () => repairBlueprint(addSupports));
+
 // --- Place all blueprint blocks ---
 function placeBlueprint() {
   if (!blueprintActive || !blueprintGroup) return;
+  if (!blueprintGroup.userData.planned) updateBlueprint();
 
-  const rotated = getRotatedBlocks();
+  const { blocks, foundation } = blueprintGroup.userData;
   const origin = blueprintGroup.position;
-  const savedSlot = selectedSlot;
 
-  for (const b of rotated) {
-    const wx = origin.x + b.x + 0.5;
-    const wy = origin.y + b.y + 0.5;
-    const wz = origin.z + b.z + 0.5;
-    // Temporarily set selectedSlot to the block's type for placeBlock
-    selectedSlot = b.type;
-    placeBlock(wx, wy, wz);
-  }
+  // One undo step for the whole structure. Skipping leaves occupied cells
+  // (placed blocks and terrain) as they are.
+  blockHistory.transaction(() => {
+    for (const b of [...foundation, ...blocks]) {
+      const x = origin.x + b.x, y = origin.y + b.y, z = origin.z + b.z;
+      if (blueprintOverwrite) setCell(x, y, z, b.type);
+      else placeBlock(x, y, z, b.type);
+    }
+  });
 
-  selectedSlot = savedSlot;
   cancelBlueprint();
 }
 
-// --- Wire up Build button ---
+// --- AI refinement: one conversation per blueprint ---
+let aiConversation = null;
+
+function aiBlueprintInfo(prompt, model, input = null) {
+  return { name: prompt, source: 'ai', prompt, model, input, maxSize: MAX_STRUCTURE_SIZE };
+}
+
+// Preview a version as the blueprint, keeping the current transform
+function showAiVersion(version) {
+  activateBlueprint([...version.blocks], blueprintTransform, aiBlueprintInfo(version.prompt, version.model, version.input));
+}
+
+// "+added −removed ~changed" relative to the edited version
+function formatDiff(diff) {
+  return `+${diff.added.length} \u2212${diff.removed.length} ~${diff.changed.length}`;
+}
+
+function renderAiVersions() {
+  aiVersionList.textContent = '';
+  if (!aiConversation || aiConversation.versions.length === 0) {
+    aiVersions.classList.remove('visible');
+    return;
+  }
+  aiVersions.classList.add('visible');
+
+  aiConversation.versions.forEach((v, i) => {
+    const row = document.createElement('div');
+    row.className = 'ai-version-row';
+    if (i === aiConversation.current) row.classList.add('current');
+    const base = v.parent === null ? '' : ` (edit of v${v.parent + 1})`;
+    row.title = `${v.prompt}${base} \u2014 ${v.blocks.length} blocks`;
+    row.addEventListener('click', () => {
+      showAiVersion(aiConversation.select(i));
+      renderAiVersions();
+    });
+
+    const label = document.createElement('span');
+    label.className = 'ai-version-prompt';
+    label.textContent = `v${i + 1} ${v.prompt}`;
+    row.appendChild(label);
+
+    const diff = document.createElement('span');
+    diff.className = 'ai-version-diff';
+    diff.textContent = v.diff ? formatDiff(v.diff) : `${v.blocks.length} blocks`;
+    row.appendChild(diff);
+
+    aiVersionList.appendChild(row);
+  });
+  aiVersionList.lastChild.scrollIntoView({ block: 'nearest' });
+}
+
+// The ghost appears with the first streamed block and grows live. If the
+// player places or drops it mid-stream the request stops, and the blocks
+// received so far are still kept as a version.
+async function runAiPrompt(conversation, prompt) {
+  let live = false;
+  const { model } = loadProviderSettings(getSelectedProvider());
+  const result = await generateStructure(conversation.buildMessages(prompt), (block) => {
+    if (!live) {
+      const transform = blueprintTransform;
+      removeBlueprint(); // not cancelBlueprint: that would stop this stream
+      activateBlueprint([], transform, aiBlueprintInfo(prompt, model));
+      live = true;
+    }
+    appendBlueprintBlock(block);
+  });
+  if (!result) return false;
+
+  const version = conversation.addVersion(prompt, result.blocks, { model, input: result.input });
+  if (!live || blueprintActive) showAiVersion(version);
+  return true;
+}
+
+// --- Wire up Build / Refine buttons ---
+// Build starts a new conversation; Refine edits the selected version
 aiBuildBtn.addEventListener('click', async () => {
   const prompt = aiPromptInput.value.trim();
   if (!prompt) return;
 
-  const blocks = await generateStructure(prompt);
-  if (blocks) {
-    activateBlueprint(blocks);
+  const conversation = createConversation();
+  if (await runAiPrompt(conversation, prompt)) {
+    aiConversation = conversation;
+    renderAiVersions();
+  }
+});
+
+aiRefineBtn.addEventListener('click', async () => {
+  const prompt = aiRefineInput.value.trim();
+  if (!prompt || !aiConversation) return;
+
+  if (await runAiPrompt(aiConversation, prompt)) {
+    aiRefineInput.value = '';
+    renderAiVersions();
   }
 });
 
@@ -654,124 +1360,1333 @@ aiPromptInput.addEventListener('keydown', (e) => {
   }
 });
 
+aiRefineInput.addEventListener('keydown', (e) => {
+  e.stopPropagation();
+  if (e.key === 'Enter') {
+    aiRefineBtn.click();
+  }
+});
+
 // =============================================
-// EXPORT / IMPORT STRUCTURES
+// BLOCK BENCH — COMPARE MODELS ON ONE PROMPT
 // =============================================
 
-const importFile = document.getElementById('import-file');
+// Results are built on a flat plot floating above the island (terrain tops
+// out around y = 30), side by side with a label per model
+const BENCH_PLOT_Y = 40;
+const BENCH_GAP = 6;          // empty cells between structures
+const BENCH_PLOT_MARGIN = 4;
+
+const benchPromptInput = document.getElementById('bench-prompt-input');
+const benchModelsInput = document.getElementById('bench-models-input');
+const benchRunBtn = document.getElementById('bench-run-btn');
+const benchStatus = document.getElementById('bench-status');
+const benchJsonBtn = document.getElementById('bench-export-json-btn');
+const benchCsvBtn = document.getElementById('bench-export-csv-btn');
+const benchClearBtn = document.getElementById('bench-clear-btn');
+
+benchModelsInput.value = localStorage.getItem('bench_models')
+  || `anthropic:${PROVIDERS.anthropic.model} @3/15`;
+
+const benchGroup = new THREE.Group();
+benchGroup.name = 'bench';
+scene.add(benchGroup);
+const benchVoxels = createVoxelStore();
+const benchRenderer = createChunkRenderer(benchVoxels, benchGroup, {
+  materials: getFaceMaterials(),
+  materialIndex: faceMaterialIndex,
+  isTransparent,
+});
+const benchPlotMat = new THREE.MeshStandardMaterial({ color: 0x8a8f96, roughness: 0.95 });
+let benchPlot = null;
+let benchLabels = [];
+
+let benchReport = null;      // { prompt, createdAt, results: [...] }
+let benchController = null;  // set while a run is in progress
+
+// Text sprite floating above a structure
+function makeBenchLabel(lines) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 512;
+  canvas.height = 128;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'rgba(0,0,0,0.6)';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#fff';
+  ctx.textAlign = 'center';
+  ctx.font = 'bold 40px sans-serif';
+  ctx.fillText(lines[0], 256, 52, 496);
+  ctx.font = '30px sans-serif';
+  ctx.fillStyle = '#bbb';
+  ctx.fillText(lines[1], 256, 102, 496);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthWrite: false }));
+  sprite.scale.set(8, 2, 1);
+  return sprite;
+}
 
-function exportBlocks() {
-  if (placedBlocks.size === 0) {
-    alert('No blocks placed to export.');
-    return;
+function clearBenchPlot() {
+  benchVoxels.clear();
+  benchRenderer.update();
+  for (const label of benchLabels) {
+    benchGroup.remove(label);
+    label.material.map.dispose();
+    label.material.dispose();
   }
-
-  const raw = [];
-  for (const mesh of placedBlocks.values()) {
-    // Determine block type by matching material reference
-    let type = 2; // default stone
-    for (let i = 0; i < blockMaterials.length; i++) {
-      if (mesh.material === blockMaterials[i]) {
-        type = i;
-        break;
-      }
-    }
-    // Mesh positions are at half-integers (0.5, 1.5, ...); convert to integer grid
-    const x = Math.round(mesh.position.x - 0.5);
-    const y = Math.round(mesh.position.y - 0.5);
-    const z = Math.round(mesh.position.z - 0.5);
-    raw.push({ x, y, z, type });
+  benchLabels = [];
+  if (benchPlot) {
+    benchGroup.remove(benchPlot);
+    benchPlot.geometry.dispose();
+    benchPlot = null;
   }
-
-  // Normalize: min y = 0, center x/z on centroid
-  let minX = Infinity, minY = Infinity, minZ = Infinity;
-  let maxX = -Infinity, maxZ = -Infinity;
-  for (const b of raw) {
-    if (b.x < minX) minX = b.x;
-    if (b.y < minY) minY = b.y;
-    if (b.z < minZ) minZ = b.z;
-    if (b.x > maxX) maxX = b.x;
-    if (b.z > maxZ) maxZ = b.z;
-  }
-  const centerX = Math.round((minX + maxX) / 2);
-  const centerZ = Math.round((minZ + maxZ) / 2);
-
-  const normalized = raw.map(b => ({
-    x: b.x - centerX,
-    y: b.y - minY,
-    z: b.z - centerZ,
-    type: b.type,
-  }));
-
-  const json = JSON.stringify(normalized);
-  const blob = new Blob([json], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'structure.json';
-  a.click();
-  URL.revokeObjectURL(url);
 }
 
-function importFromJSON(text) {
-  try {
-    const data = JSON.parse(text);
-    if (!Array.isArray(data) || data.length === 0) {
-      alert('Invalid structure: expected a non-empty JSON array.');
-      return;
+// Lay out every result so far in a row centred on x = 0
+function renderBenchPlot(results) {
+  clearBenchPlot();
+  const { offsets, width } = layoutRow(results, BENCH_GAP);
+  const originX = -Math.floor(width / 2);
+  let depth = 1;
+
+  results.forEach((r, i) => {
+    const o = offsets[i];
+    for (const b of r.blocks) {
+      benchVoxels.set(originX + o.x + b.x, BENCH_PLOT_Y + o.y + b.y, o.z + b.z, b.type);
     }
+    depth = Math.max(depth, r.bbox.size.z);
+
+    const centerX = originX + o.x + (r.bbox.min ? r.bbox.min.x + r.bbox.size.x / 2 : 0);
+    const label = makeBenchLabel([
+      r.label,
+      r.error && r.blockCount === 0 ? r.error : `${r.blockCount} blocks`,
+    ]);
+    label.position.set(centerX, BENCH_PLOT_Y + r.bbox.size.y + 2.5, 0);
+    benchGroup.add(label);
+    benchLabels.push(label);
+  });
 
-    const validated = [];
-    for (const b of data) {
-      if (typeof b.x !== 'number' || typeof b.y !== 'number' || typeof b.z !== 'number') continue;
-      const type = typeof b.type === 'number' ? Math.max(0, Math.min(5, Math.round(b.type))) : 2;
-      validated.push({
-        x: Math.round(b.x),
-        y: Math.round(b.y),
-        z: Math.round(b.z),
-        type,
-      });
-      if (validated.length >= 500) break;
-    }
+  const plotW = width + BENCH_PLOT_MARGIN * 2;
+  const plotD = depth + BENCH_PLOT_MARGIN * 2;
+  benchPlot = new THREE.Mesh(new THREE.BoxGeometry(plotW, 1, plotD), benchPlotMat);
+  benchPlot.position.set(originX + width / 2, BENCH_PLOT_Y - 0.5, 0);
+  benchPlot.receiveShadow = true;
+  benchGroup.add(benchPlot);
+}
 
-    if (validated.length === 0) {
-      alert('No valid blocks found.');
-      return;
-    }
+function frameBenchPlot() {
+  if (fpMode) return;
+  orbitControls.target.set(0, BENCH_PLOT_Y + 5, 0);
+  camera.position.set(0, BENCH_PLOT_Y + 25, 60);
+  orbitControls.update();
+}
 
-    activateBlueprint(validated);
-  } catch {
-    alert('Failed to parse JSON.');
+function setBenchStatus(lines) {
+  benchStatus.textContent = '';
+  for (const line of lines) {
+    const row = document.createElement('div');
+    row.textContent = line;
+    benchStatus.appendChild(row);
   }
 }
 
-function handleImport() {
-  const file = importFile.files[0];
+function describeBenchResult(r) {
+  if (r.error && r.blockCount === 0) return `\u2717 ${r.label}: ${r.error}`;
+  const cost = r.costUsd === null ? '' : `, $${r.costUsd.toFixed(4)}`;
+  const tokens = r.outputTokens === undefined ? '' : `, ${r.outputTokens} tok`;
+  return `\u2713 ${r.label}: ${r.blockCount} blocks, ${(r.latencyMs / 1000).toFixed(1)}s${tokens}${cost}`;
+}
+
+async function runBenchModel(entry, prompt, controller) {
+  const settings = { ...loadProviderSettings(entry.providerId), model: entry.model };
+  const start = performance.now();
+  let outcome;
+  try {
+    outcome = await requestStructure({
+      providerId: entry.providerId,
+      settings,
+      messages: createConversation().buildMessages(prompt),
+      controller,
+    });
+  } catch (err) {
+    outcome = {
+      blocks: [], error: err.message || 'Network error', parseFailed: false,
+      invalidEntries: 0, usage: {}, aborted: false,
+    };
+  }
+  const latencyMs = performance.now() - start;
+  const stats = structureStats(outcome.blocks);
+
+  return {
+    label: entry.label,
+    provider: entry.providerId,
+    model: entry.model,
+    ...stats,
+    inputTokens: outcome.usage.inputTokens,
+    outputTokens: outcome.usage.outputTokens,
+    costUsd: tokenCost(entry.price, outcome.usage),
+    latencyMs,
+    parseFailed: outcome.parseFailed,
+    invalidEntries: outcome.invalidEntries,
+    error: outcome.error,
+    blocks: outcome.blocks,
+  };
+}
+
+// Models run one after another so local servers aren't overloaded and
+// latencies are comparable
+async function runBench() {
+  const prompt = benchPromptInput.value.trim() || 'Build a tower';
+  let models;
+  try {
+    models = parseBenchModels(benchModelsInput.value);
+  } catch (err) {
+    setBenchStatus([err.message]);
+    return;
+  }
+  if (models.length === 0) {
+    setBenchStatus(['Add at least one model (provider:model)']);
+    return;
+  }
+  localStorage.setItem('bench_models', benchModelsInput.value);
+
+  benchController = new AbortController();
+  benchRunBtn.textContent = 'Stop';
+  benchJsonBtn.disabled = true;
+  benchCsvBtn.disabled = true;
+  benchReport = { prompt, createdAt: new Date().toISOString(), results: [] };
+  clearBenchPlot();
+  frameBenchPlot();
+
+  const lines = [];
+  for (const entry of models) {
+    if (benchController.signal.aborted) break;
+    setBenchStatus([...lines, `\u2026 ${entry.label}`]);
+
+    // Each model gets its own controller so the block cap only stops that one
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    benchController.signal.addEventListener('abort', stop);
+    const result = await runBenchModel(entry, prompt, controller);
+    benchController.signal.removeEventListener('abort', stop);
+
+    benchReport.results.push(result);
+    lines.push(describeBenchResult(result));
+    setBenchStatus(lines);
+    renderBenchPlot(benchReport.results);
+  }
+
+  benchController = null;
+  benchRunBtn.textContent = 'Run';
+  benchJsonBtn.disabled = benchReport.results.length === 0;
+  benchCsvBtn.disabled = benchReport.results.length === 0;
+}
+
+benchRunBtn.addEventListener('click', () => {
+  if (benchController) benchController.abort();
+  else runBench();
+});
+
+benchJsonBtn.addEventListener('click', () => {
+  if (!benchReport) return;
+  downloadFile('bench_report.json', JSON.stringify(benchReport, null, 2), 'application/json');
+});
+
+benchCsvBtn.addEventListener('click', () => {
+  if (!benchReport) return;
+  downloadFile('bench_report.csv', benchReportToCSV(benchReport), 'text/csv');
+});
+
+benchClearBtn.addEventListener('click', () => {
+  if (benchController) benchController.abort();
+  clearBenchPlot();
+  setBenchStatus([]);
+});
+
+for (const input of [benchPromptInput, benchModelsInput]) {
+  input.addEventListener('keydown', (e) => e.stopPropagation());
+}
+
+// =============================================
+// EXPORT / IMPORT STRUCTURES
+// =============================================
+
+const importFile = document.getElementById('import-file');
+const exportFormatSelect = document.getElementById('export-format-select');
+
+// File imports preview as a blueprint too, but may be much larger than an
+// AI answer
+const MAX_IMPORT_BLOCKS = 20000;
+
+for (const [id, format] of Object.entries(STRUCTURE_FORMATS)) {
+  exportFormatSelect.add(new Option(format.label, id));
+}
+
+function downloadFile(filename, data, type) {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// --- Palette mapping between external block IDs / colours and our types ---
+const paletteToggle = document.getElementById('palette-toggle');
+const paletteBody = document.getElementById('palette-body');
+const paletteInput = document.getElementById('palette-input');
+
+paletteInput.value = loadPaletteText();
+paletteToggle.addEventListener('click', () => paletteBody.classList.toggle('visible'));
+paletteInput.addEventListener('keydown', (e) => e.stopPropagation());
+
+document.getElementById('palette-save-btn').addEventListener('click', () => {
+  try {
+    parsePaletteConfig(paletteInput.value);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  savePaletteText(paletteInput.value);
+});
+
+// The saved mapping; a broken config falls back to the defaults
+function getPaletteMapping() {
+  try {
+    return createPaletteMapping(parsePaletteConfig(loadPaletteText()));
+  } catch {
+    return createPaletteMapping();
+  }
+}
+
+// JSON is a plain block array, or { seed, blocks, terrainEdits } when the
+// terrain was dug. Terrain edits keep world coordinates: they only fit the
+// same seed, and only JSON carries them.
+async function exportBlocks() {
+  const format = exportFormatSelect.value;
+  const terrainEditList = format === 'json' ? serializeTerrainEdits() : [];
+  if (placedBlocks.size === 0 && terrainEditList.length === 0) {
+    alert('No blocks placed to export.');
+    return;
+  }
+
+  const raw = [];
+  placedBlocks.forEach((x, y, z, type) => raw.push({ x, y, z, type }));
+
+  // Normalize: min y = 0, center x/z on centroid
+  const normalized = centerStructure(raw);
+
+  if (format !== 'json') {
+    const { extension, mime } = STRUCTURE_FORMATS[format];
+    try {
+      const bytes = await exportStructure(format, normalized, getPaletteMapping());
+      downloadFile(`structure${extension}`, bytes, mime);
+    } catch (err) {
+      alert(`Export failed: ${err.message}`);
+    }
+    return;
+  }
+
+  const json = JSON.stringify(terrainEditList.length === 0 ? normalized : {
+    seed: currentSeed,
+    ...(endlessMode ? { endless: true } : {}),
+    terrain: terrainParams,
+    blocks: normalized,
+    terrainEdits: terrainEditList,
+  });
+  downloadFile('structure.json', json, 'application/json');
+}
+
+// Re-apply exported terrain edits as one undoable step (same seed and terrain only)
+function importTerrainEdits(data) {
+  const edits = Array.isArray(data.terrainEdits) ? data.terrainEdits : [];
+  if (edits.length === 0) return;
+  const sameTerrain = JSON.stringify(normalizeTerrainParams(data.terrain)) === JSON.stringify(terrainParams);
+  if (data.seed !== currentSeed || !!data.endless !== endlessMode || !sameTerrain) {
+    const world = data.endless ? 'the endless world' : 'the island';
+    const params = sameTerrain ? '' : ' with other terrain parameters';
+    alert(`The terrain edits in this file belong to ${world} of seed ${data.seed}${params} and were not applied.`);
+    return;
+  }
+  if (!confirm(`Apply ${edits.length} terrain edits from this file?`)) return;
+
+  blockHistory.transaction(() => {
+    for (const e of edits) {
+      if (typeof e.x !== 'number' || typeof e.y !== 'number' || typeof e.z !== 'number') continue;
+      const type = e.type === null ? null : normalizeBlockType(e.type);
+      setTerrainBlock(Math.round(e.x), Math.round(e.y), Math.round(e.z), type);
+    }
+  });
+}
+
+function importFromJSON(text, name = 'Imported structure') {
+  try {
+    const parsed = JSON.parse(text);
+    let data = parsed;
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      importTerrainEdits(parsed);
+      data = parsed.blocks;
+      // A terrain-only export has no structure to preview
+      if (Array.isArray(data) && data.length === 0 && Array.isArray(parsed.terrainEdits)) return;
+    }
+    if (!Array.isArray(data) || data.length === 0) {
+      alert('Invalid structure: expected a non-empty JSON array.');
+      return;
+    }
+
+    const reader = createBlockReader(MAX_IMPORT_BLOCKS);
+    for (const b of data) reader.add(b);
+
+    if (reader.blocks.length === 0) {
+      alert('No valid blocks found.');
+      return;
+    }
+
+    activateBlueprint(reader.blocks, createTransform(), { name, source: 'import', input: reader.counts });
+  } catch {
+    alert('Failed to parse JSON.');
+  }
+}
+
+// .vox / .schem / .nbt / .litematic through the palette mapping
+async function importFromBinary(filename, buffer) {
+  const reader = createBlockReader(MAX_IMPORT_BLOCKS);
+  let result;
+  try {
+    result = await importStructure(filename, buffer, getPaletteMapping(), reader);
+  } catch (err) {
+    alert(`Failed to import ${filename}: ${err.message}`);
+    return;
+  }
+  if (result.blocks.length === 0) {
+    alert('No blocks found in this file.');
+    return;
+  }
+  if (result.unknown.size > 0) {
+    const ids = [...result.unknown.keys()];
+    const listed = ids.slice(0, 8).join(', ') + (ids.length > 8 ? ', ...' : '');
+    alert(`${ids.length} block IDs have no mapping and were imported as Stone: ${listed}\n\nAdd them under "blocks" in the palette mapping to choose their type.`);
+  }
+  activateBlueprint(centerStructure(result.blocks), createTransform(), {
+    name: filename.replace(/\.[^.]+$/, ''),
+    source: 'import',
+    input: reader.counts,
+  });
+}
+
+function handleImport() {
+  const file = importFile.files[0];
   if (!file) return;
 
   const reader = new FileReader();
-  reader.onload = () => importFromJSON(reader.result);
-  reader.readAsText(file);
+  if (formatFromFilename(file.name) === 'json' || !formatFromFilename(file.name)) {
+    reader.onload = () => importFromJSON(reader.result, file.name.replace(/\.[^.]+$/, ''));
+    reader.readAsText(file);
+  } else {
+    reader.onload = () => importFromBinary(file.name, reader.result);
+    reader.readAsArrayBuffer(file);
+  }
+
+  // Reset so the same file can be re-imported
+  importFile.value = '';
+}
+
+function handleTextImport() {
+  const textArea = document.getElementById('import-text');
+  const text = textArea.value.trim();
+  if (!text) {
+    alert('Please paste JSON into the text field first.');
+    return;
+  }
+  importFromJSON(text, 'Pasted structure');
+  textArea.value = '';
+}
+
+document.getElementById('export-btn').addEventListener('click', exportBlocks);
+document.getElementById('import-btn').addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', handleImport);
+document.getElementById('import-text-btn').addEventListener('click', handleTextImport);
+
+// =============================================
+// MESH EXPORT (GLB / OBJ)
+// =============================================
+
+const meshExportTerrainToggle = document.getElementById('mesh-export-terrain');
+
+// World-space copies of what gets exported, under one group. Chunk meshes are
+// already merged with hidden faces removed. Blocks on their own are moved so
+// the structure stands on the origin, like the JSON export.
+function buildExportGroup() {
+  const root = new THREE.Group();
+  root.name = 'blockwright';
+  scene.updateMatrixWorld(true);
+
+  function addCopy(obj, name) {
+    if (!obj || !obj.visible) return;
+    const copy = obj.clone();
+    copy.name = name;
+    obj.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+    root.add(copy);
+  }
+
+  blockRenderer.update();
+  for (const [key, mesh] of blockRenderer.meshes) addCopy(mesh, `blocks_${key}`);
+
+  const withTerrain = meshExportTerrainToggle.checked && currentLandscape;
+  if (withTerrain) {
+    if (isBlockified) {
+      terrainRenderer.update();
+      for (const [key, mesh] of terrainRenderer.meshes) addCopy(mesh, `terrain_${key}`);
+      // Endless worlds blockify only the near ring: the smooth mid and far
+      // rings go too (the hidden near chunks are left out)
+      if (terrainStreamer) addCopy(currentLandscape.getObjectByName('terrain'), 'terrain');
+    } else {
+      addCopy(currentLandscape.getObjectByName('terrain'), 'terrain');
+    }
+    addCopy(currentLandscape.getObjectByName('trees'), 'trees');
+    addCopy(currentLandscape.getObjectByName('water'), 'water');
+    addCopy(currentLandscape.getObjectByName('freshwater'), 'freshwater');
+  } else if (root.children.length > 0) {
+    const box = new THREE.Box3().setFromObject(root);
+    const center = box.getCenter(new THREE.Vector3());
+    root.position.set(-Math.round(center.x), -box.min.y, -Math.round(center.z));
+  }
+  return root;
+}
+
+function meshExportName() {
+  return meshExportTerrainToggle.checked ? `landscape-${currentSeed || 'unknown'}` : 'structure';
+}
+
+async function exportMeshGLB() {
+  const root = buildExportGroup();
+  if (root.children.length === 0) {
+    alert('Nothing to export: place some blocks or include the terrain.');
+    return;
+  }
+  try {
+    const glb = await exportGLB(root);
+    downloadFile(`${meshExportName()}.glb`, glb, 'model/gltf-binary');
+  } catch (err) {
+    alert(`GLB export failed: ${err.message}`);
+  }
+}
+
+function exportMeshOBJ() {
+  const root = buildExportGroup();
+  if (root.children.length === 0) {
+    alert('Nothing to export: place some blocks or include the terrain.');
+    return;
+  }
+  const name = meshExportName();
+  const { obj, mtl } = exportOBJ(root, `${name}.mtl`);
+  downloadFile(`${name}.obj`, obj, 'text/plain');
+  downloadFile(`${name}.mtl`, mtl, 'text/plain');
+}
+
+document.getElementById('export-glb-btn').addEventListener('click', exportMeshGLB);
+document.getElementById('export-obj-btn').addEventListener('click', exportMeshOBJ);
+
+// =============================================
+// SHAPES
+// =============================================
+// Parameterised primitives generated locally and previewed as a blueprint,
+// so they are positioned, transformed and placed like AI or imported builds.
+
+const shapeSelect = document.getElementById('shape-select');
+const shapeMaterialSelect = document.getElementById('shape-material-select');
+const shapeParamsRow = document.getElementById('shape-params');
+const shapeHollowToggle = document.getElementById('shape-hollow-toggle');
+
+const storedShape = JSON.parse(localStorage.getItem('shape_settings') || '{}');
+const shapeSettings = {
+  shape: 'sphere',
+  type: BLOCK.STONE,
+  hollow: false,
+  ...storedShape,
+  params: { length: 9, width: 9, height: 6, radius: 5, ...storedShape.params },
+};
+if (!(shapeSettings.shape in SHAPES)) shapeSettings.shape = 'sphere';
+if (!BLOCKS[shapeSettings.type]) shapeSettings.type = BLOCK.STONE;
+
+for (const [id, shape] of Object.entries(SHAPES)) shapeSelect.add(new Option(shape.label, id));
+BLOCKS.forEach((block, i) => shapeMaterialSelect.add(new Option(block.name, i)));
+
+// One labelled number field per parameter; a shape shows the ones it uses
+const shapeParamInputs = {};
+for (const [name, { label, min, max }] of Object.entries(SHAPE_PARAMS)) {
+  const field = document.createElement('span');
+  field.className = 'shape-param';
+  field.textContent = label;
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'provider-field';
+  input.min = min;
+  input.max = max;
+  input.value = shapeSettings.params[name] ?? min;
+  input.addEventListener('keydown', (e) => e.stopPropagation());
+  input.addEventListener('change', () => {
+    const value = THREE.MathUtils.clamp(Math.round(Number(input.value)) || min, min, max);
+    input.value = value;
+    shapeSettings.params[name] = value;
+    saveShapeSettings();
+  });
+  field.appendChild(input);
+  shapeParamsRow.appendChild(field);
+  shapeParamInputs[name] = field;
+}
+
+function saveShapeSettings() {
+  localStorage.setItem('shape_settings', JSON.stringify(shapeSettings));
+}
+
+function updateShapeUI() {
+  shapeSelect.value = shapeSettings.shape;
+  shapeMaterialSelect.value = shapeSettings.type;
+  shapeHollowToggle.checked = shapeSettings.hollow;
+  const used = SHAPES[shapeSettings.shape].params;
+  for (const [name, field] of Object.entries(shapeParamInputs)) {
+    field.style.display = used.includes(name) ? '' : 'none';
+  }
+}
+
+function generateShapeBlueprint() {
+  let blocks;
+  try {
+    blocks = generateShape(shapeSettings.shape, shapeSettings.params, {
+      hollow: shapeSettings.hollow,
+      type: shapeSettings.type,
+      limit: MAX_IMPORT_BLOCKS,
+    });
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  const { label, params } = SHAPES[shapeSettings.shape];
+  const size = params.map(name => shapeSettings.params[name]).join('\u00d7');
+  activateBlueprint(blocks, createTransform(), { name: `${label} ${size}`, source: 'shape' });
+}
+
+shapeSelect.addEventListener('change', () => {
+  shapeSettings.shape = shapeSelect.value;
+  saveShapeSettings();
+  updateShapeUI();
+});
+shapeMaterialSelect.addEventListener('change', () => {
+  shapeSettings.type = Number(shapeMaterialSelect.value);
+  saveShapeSettings();
+});
+shapeHollowToggle.addEventListener('change', () => {
+  shapeSettings.hollow = shapeHollowToggle.checked;
+  saveShapeSettings();
+});
+document.getElementById('shape-generate-btn').addEventListener('click', generateShapeBlueprint);
+updateShapeUI();
+
+// =============================================
+// SCRIPT CONSOLE
+// =============================================
+// Build scripts run sandboxed in a worker against a snapshot of the world
+// (see scripting.js).
+// Their block changes come back as one list and are applied as one undo
+// step; blueprint() output is previewed like any other blueprint.
+
+const MAX_SCRIPT_EDITS = 100000;
+
+const scriptToggle = document.getElementById('script-toggle');
+const scriptBody = document.getElementById('script-body');
+const scriptInput = document.getElementById('script-input');
+const scriptList = document.getElementById('script-list');
+const scriptNameInput = document.getElementById('script-name-input');
+const scriptRunBtn = document.getElementById('script-run-btn');
+const scriptStopBtn = document.getElementById('script-stop-btn');
+const scriptOutput = document.getElementById('script-output');
+
+let scriptAbortController = null;
+
+function appendScriptOutput(text) {
+  scriptOutput.textContent += `${text}\n`;
+  scriptOutput.scrollTop = scriptOutput.scrollHeight;
+}
+
+function setScriptRunning(running) {
+  scriptRunBtn.disabled = running;
+  scriptStopBtn.disabled = !running;
+}
+
+// Copies of the chunk data, so later edits don't leak into a running script
+function snapshotChunks(store) {
+  const chunks = [];
+  store.forEachChunk(({ cx, cy, cz, data }) => chunks.push({ cx, cy, cz, data: data.slice() }));
+  return chunks;
+}
+
+// The cell the player stands in (orbit view: the orbit target on the ground)
+function getScriptPlayerCell() {
+  if (!fpMode) {
+    const { x, z } = orbitControls.target;
+    return { x: Math.floor(x), y: Math.floor(Math.max(getTerrainHeight(x, z), getWaterLevel())), z: Math.floor(z) };
+  }
+  const feet = flyMode ? camera.position.y - EYE_HEIGHT : playerBody.position.y;
+  return { x: Math.floor(camera.position.x), y: Math.floor(feet), z: Math.floor(camera.position.z) };
+}
+
+// Everything a script can read; see the API in scriptworker.js
+function buildScriptWorld() {
+  const hit = fpMode ? getAimTarget() : null;
+  const player = getScriptPlayerCell();
+  return {
+    seed: currentSeed,
+    waterLevel: getWaterLevel(),
+    player,
+    aim: (hit && getSelectionCell(hit)) || null,
+    chunkSize: CHUNK_SIZE,
+    layers: [snapshotChunks(placedBlocks), snapshotChunks(terrainVoxels)],
+    heights: getTerrainHeightGrid(currentLandscape, player.x, player.z),
+    blockNames: BLOCKS.map(b => b.name),
+    maxEdits: MAX_SCRIPT_EDITS,
+  };
+}
+
+async function runScript() {
+  const code = scriptInput.value;
+  if (scriptAbortController || !code.trim() || !currentLandscape) return;
+
+  scriptOutput.textContent = '';
+  const controller = new AbortController();
+  scriptAbortController = controller;
+  setScriptRunning(true);
+  const result = await runBuildScript(code, buildScriptWorld(), {
+    onLog: appendScriptOutput,
+    signal: controller.signal,
+  });
+  scriptAbortController = null;
+  setScriptRunning(false);
+
+  if (result.error) {
+    appendScriptOutput(`Error: ${result.error}`);
+    return;
+  }
+
+  blockHistory.transaction(() => {
+    for (const [x, y, z, type] of result.edits) setCellAroundPlayer(x, y, z, type);
+  });
+  appendScriptOutput(`Done \u2014 ${result.edits.length} blocks changed`);
+
+  if (result.blueprint) {
+    if (result.blueprint.length > MAX_IMPORT_BLOCKS) {
+      appendScriptOutput(`Blueprint has ${result.blueprint.length} blocks (max ${MAX_IMPORT_BLOCKS}); not shown`);
+    } else if (result.blueprint.length > 0) {
+      activateBlueprint(result.blueprint, createTransform(), {
+        name: scriptNameInput.value.trim() || 'Script output',
+        source: 'script',
+      });
+    }
+  }
+}
+
+function stopScript() {
+  if (scriptAbortController) scriptAbortController.abort();
+}
+
+// --- Saved scripts ---
+function renderScriptList(selected = '') {
+  scriptList.textContent = '';
+  scriptList.add(new Option('Saved scripts\u2026', ''));
+  for (const name of Object.keys(loadScripts()).sort()) scriptList.add(new Option(name, name));
+  scriptList.value = selected;
+}
+
+function saveScript() {
+  const name = scriptNameInput.value.trim();
+  if (!name) {
+    alert('Enter a name for the script first.');
+    return;
+  }
+  const scripts = loadScripts();
+  if (scripts[name] !== undefined && scripts[name] !== scriptInput.value && !confirm(`Replace the saved script "${name}"?`)) return;
+  scripts[name] = scriptInput.value;
+  saveScripts(scripts);
+  renderScriptList(name);
+}
+
+function deleteScript() {
+  const name = scriptList.value;
+  if (!name || !confirm(`Delete the saved script "${name}"?`)) return;
+  const scripts = loadScripts();
+  delete scripts[name];
+  saveScripts(scripts);
+  renderScriptList();
+}
+
+scriptToggle.addEventListener('click', () => scriptBody.classList.toggle('visible'));
+scriptList.addEventListener('change', () => {
+  const name = scriptList.value;
+  if (!name) return;
+  scriptInput.value = loadScripts()[name] ?? '';
+  scriptNameInput.value = name;
+});
+for (const input of [scriptInput, scriptNameInput]) {
+  input.addEventListener('keydown', (e) => e.stopPropagation());
+}
+scriptInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    runScript();
+  } else if (e.key === 'Tab') {
+    // Indent instead of leaving the editor
+    e.preventDefault();
+    scriptInput.setRangeText('  ', scriptInput.selectionStart, scriptInput.selectionEnd, 'end');
+  }
+});
+scriptRunBtn.addEventListener('click', runScript);
+scriptStopBtn.addEventListener('click', stopScript);
+document.getElementById('script-save-btn').addEventListener('click', saveScript);
+document.getElementById('script-delete-btn').addEventListener('click', deleteScript);
+renderScriptList();
+setScriptRunning(false);
+
+// =============================================
+// STRUCTURE LIBRARY
+// =============================================
+// The active blueprint can be saved with a name, tags, where it came from
+// and a rendered thumbnail (IndexedDB, shared by all worlds). Opening an
+// entry makes it the blueprint again.
+
+const LIBRARY_SOURCE_LABELS = {
+  ai: 'AI build', import: 'Import', copy: 'Selection copy', shape: 'Shape', script: 'Script',
+};
+
+const librarySearchInput = document.getElementById('library-search-input');
+const libraryGrid = document.getElementById('library-grid');
+const libraryStatus = document.getElementById('library-status');
+
+let libraryEntries = []; // summaries, newest first
+
+function showLibraryError(err) {
+  libraryStatus.textContent = `Storage error: ${err.message || err}`;
+}
+
+// "castle, Medieval ,castle" -> ['castle', 'medieval']
+function parseTags(text) {
+  return [...new Set(text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Every search word must appear in the name, a tag, the prompt, the model or the source
+function matchesLibrarySearch(entry, words) {
+  const haystack = [entry.name, ...entry.tags, entry.prompt, entry.model, LIBRARY_SOURCE_LABELS[entry.source]]
+    .filter(Boolean).join(' ').toLowerCase();
+  return words.every(w => haystack.includes(w));
+}
+
+async function saveBlueprintToLibrary() {
+  if (!blueprintActive) {
+    alert('Nothing to save: build, import, copy or generate a structure first.');
+    return;
+  }
+  // Saved as currently transformed, standing on the origin
+  const blocks = centerStructure(getTransformedBlocks());
+  if (blocks.length === 0) return;
+
+  const info = blueprintInfo;
+  const name = prompt('Save to library as:', info.name);
+  if (!name || !name.trim()) return;
+  const tagText = prompt('Tags (comma-separated, optional):', info.tags.join(', '));
+  if (tagText === null) return;
+
+  try {
+    await saveStructure({
+      name: name.trim(),
+      tags: parseTags(tagText),
+      source: info.source,
+      prompt: info.prompt,
+      model: info.model,
+      blocks,
+      thumbnail: renderThumbnail(blocks),
+    });
+    libraryStatus.textContent = `Saved "${name.trim()}" (${blocks.length} blocks)`;
+    await renderLibrary();
+  } catch (err) {
+    showLibraryError(err);
+  }
+}
+
+async function openLibraryEntry(id) {
+  try {
+    const entry = await loadStructure(id);
+    if (!entry) {
+      await renderLibrary();
+      return;
+    }
+    const { name, tags, source, prompt: entryPrompt, model } = entry;
+    activateBlueprint(entry.blocks.map(b => ({ ...b })), createTransform(), { name, tags, source, prompt: entryPrompt, model });
+  } catch (err) {
+    showLibraryError(err);
+  }
+}
+
+async function editLibraryEntry(entry) {
+  const name = prompt('Name:', entry.name);
+  if (!name || !name.trim()) return;
+  const tagText = prompt('Tags (comma-separated):', entry.tags.join(', '));
+  if (tagText === null) return;
+  try {
+    await updateStructure(entry.id, { name: name.trim(), tags: parseTags(tagText) });
+    await renderLibrary();
+  } catch (err) {
+    showLibraryError(err);
+  }
+}
+
+async function deleteLibraryEntry(entry) {
+  if (!confirm(`Delete "${entry.name}" from the library?`)) return;
+  try {
+    await deleteStructure(entry.id);
+    await renderLibrary();
+  } catch (err) {
+    showLibraryError(err);
+  }
+}
+
+function describeLibraryEntry(entry) {
+  const lines = [`${entry.name} \u2014 ${entry.blockCount} blocks`];
+  const source = LIBRARY_SOURCE_LABELS[entry.source];
+  if (source) lines.push(entry.model ? `${source} (${entry.model})` : source);
+  if (entry.prompt) lines.push(`\u201c${entry.prompt}\u201d`);
+  lines.push(`Saved ${new Date(entry.createdAt).toLocaleString()}`);
+  return lines.join('\n');
+}
+
+// Draw the grid from the cached summaries, filtered by the search field
+function renderLibraryGrid() {
+  const words = librarySearchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const shown = libraryEntries.filter(e => matchesLibrarySearch(e, words));
+
+  libraryGrid.textContent = '';
+  if (shown.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'world-empty';
+    empty.textContent = libraryEntries.length === 0 ? 'No saved structures' : 'No matches';
+    libraryGrid.appendChild(empty);
+    return;
+  }
+
+  for (const entry of shown) {
+    const card = document.createElement('div');
+    card.className = 'library-card';
+    card.title = describeLibraryEntry(entry);
+    card.addEventListener('click', () => openLibraryEntry(entry.id));
+
+    const img = document.createElement('img');
+    img.src = entry.thumbnail;
+    img.alt = '';
+    card.appendChild(img);
+
+    const name = document.createElement('div');
+    name.className = 'library-name';
+    name.textContent = entry.name;
+    card.appendChild(name);
+
+    if (entry.tags.length > 0) {
+      const tags = document.createElement('div');
+      tags.className = 'library-tags';
+      for (const tag of entry.tags) {
+        const chip = document.createElement('span');
+        chip.textContent = `#${tag}`;
+        // Clicking a tag searches for it
+        chip.addEventListener('click', (e) => {
+          e.stopPropagation();
+          librarySearchInput.value = tag;
+          renderLibraryGrid();
+        });
+        tags.appendChild(chip);
+      }
+      card.appendChild(tags);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'library-actions';
+    actions.appendChild(makeWorldButton('\u270E', 'Rename / edit tags', () => editLibraryEntry(entry)));
+    actions.appendChild(makeWorldButton('\u2715', 'Delete', () => deleteLibraryEntry(entry)));
+    card.appendChild(actions);
+
+    libraryGrid.appendChild(card);
+  }
+}
+
+async function renderLibrary() {
+  try {
+    libraryEntries = await listStructures();
+  } catch (err) {
+    showLibraryError(err);
+    return;
+  }
+  renderLibraryGrid();
+}
+
+document.getElementById('library-save-btn').addEventListener('click', saveBlueprintToLibrary);
+librarySearchInput.addEventListener('input', renderLibraryGrid);
+librarySearchInput.addEventListener('keydown', (e) => e.stopPropagation());
+renderLibrary();
+
+// =============================================
+// REGION SELECTION
+// =============================================
+// In selection mode left/right click mark two corner cells. The box between
+// them can be filled, hollowed, cleared or retyped (one undo step each), or
+// copied into a blueprint to paste elsewhere.
+
+const MAX_SELECTION_VOLUME = 100000; // cells one operation may touch
+const SELECTION_COLOR = 0xffd24a;
+
+let selectionMode = false;
+let selectionCorners = [null, null];
+let selectionClipboard = null; // centred blocks of the last copy/cut
+
+const selectionHint = document.getElementById('selection-hint');
+const selectionHintSize = document.getElementById('selection-hint-size');
+const selectionStatus = document.getElementById('selection-status');
+const selectModeBtn = document.getElementById('select-mode-btn');
+const replaceFromSelect = document.getElementById('replace-from-select');
+
+BLOCKS.forEach((block, i) => replaceFromSelect.add(new Option(block.name, i)));
+
+const selectionBoxMesh = new THREE.LineSegments(
+  new THREE.EdgesGeometry(blockGeo),
+  new THREE.LineBasicMaterial({ color: SELECTION_COLOR, depthTest: false, transparent: true }),
+);
+selectionBoxMesh.renderOrder = 2; // drawn over the blocks it encloses
+selectionBoxMesh.visible = false;
+scene.add(selectionBoxMesh);
+
+// The aimed cell: the block under the crosshair, or the terrain surface cell
+function getSelectionCell(hit) {
+  if (hit.block) return { x: hit.block.x, y: hit.block.y, z: hit.block.z };
+  return getPlacementPos(hit);
+}
+
+function getSelection() {
+  const [a, b] = selectionCorners;
+  if (!a && !b) return null;
+  return selectionBox(a || b, b || a);
+}
+
+function updateSelectionUI() {
+  const box = getSelection();
+  let text = 'Nothing selected';
+  if (box) {
+    selectionBoxMesh.scale.set(box.size.x, box.size.y, box.size.z);
+    selectionBoxMesh.position.set(
+      box.min.x + box.size.x / 2,
+      box.min.y + box.size.y / 2,
+      box.min.z + box.size.z / 2,
+    );
+    text = `${box.size.x} \u00d7 ${box.size.y} \u00d7 ${box.size.z} (${box.volume} cells)`;
+    if (!selectionCorners[0] || !selectionCorners[1]) text += ' \u2014 mark the other corner';
+  }
+  selectionBoxMesh.visible = !!box;
+  selectionStatus.textContent = text;
+  selectionHintSize.textContent = text;
+  selectionHint.style.display = selectionMode && fpMode && !blueprintActive ? 'block' : 'none';
+}
+
+function setSelectionMode(enabled) {
+  selectionMode = enabled;
+  selectModeBtn.classList.toggle('active', enabled);
+  if (enabled) {
+    if (blueprintActive) cancelBlueprint();
+    if (!fpMode) {
+      enterFPMode();
+    } else if (!fpControls.isLocked && !touchActive) {
+      fpControls.lock();
+    }
+  }
+  updateSelectionUI();
+}
+
+function setSelectionCorner(index, cell) {
+  selectionCorners[index] = cell;
+  updateSelectionUI();
+}
+
+function clearSelection() {
+  selectionCorners = [null, null];
+  updateSelectionUI();
+}
+
+// The selection to edit, or null after telling the user why there is none
+function requireSelection() {
+  const box = getSelection();
+  if (!box) {
+    alert('Select a region first: in selection mode (V), left-click one corner and right-click the other.');
+    return null;
+  }
+  if (box.volume > MAX_SELECTION_VOLUME) {
+    alert(`The selection has ${box.volume} cells; edits are limited to ${MAX_SELECTION_VOLUME}.`);
+    return null;
+  }
+  return box;
+}
+
+// Recorded write to whichever layer holds the cell: a placed block, else
+// blockified terrain, else a new placed block. null empties the cell.
+function setCell(x, y, z, type) {
+  const placed = placedBlocks.get(x, y, z);
+  if (placed !== null) {
+    if (placed !== type) {
+      blockHistory.record(x, y, z, placed, type);
+      setBlockRaw(x, y, z, type);
+    }
+    if (type !== null) return;
+  }
+  if (terrainVoxels.has(x, y, z)) {
+    if (terrainVoxels.get(x, y, z) !== type) setTerrainBlock(x, y, z, type);
+    return;
+  }
+  if (type !== null && placed === null) {
+    blockHistory.record(x, y, z, null, type);
+    setBlockRaw(x, y, z, type);
+  }
+}
+
+// Filling never traps the player inside a block
+function setCellAroundPlayer(x, y, z, type) {
+  if (type !== null && fpMode && isInsidePlayer({ x, y, z })) return;
+  setCell(x, y, z, type);
+}
+
+function fillSelection(type = selectedSlot) {
+  const box = requireSelection();
+  if (!box) return;
+  blockHistory.transaction(() => {
+    forEachCell(box, (x, y, z) => setCellAroundPlayer(x, y, z, type));
+  });
+}
+
+// Shell of the selected type with the inside emptied
+function hollowSelection(type = selectedSlot) {
+  const box = requireSelection();
+  if (!box) return;
+  blockHistory.transaction(() => {
+    forEachCell(box, (x, y, z) => setCellAroundPlayer(x, y, z, isOnShell(box, x, y, z) ? type : null));
+  });
+}
+
+function deleteSelection() {
+  const box = requireSelection();
+  if (!box) return;
+  blockHistory.transaction(() => {
+    forEachCell(box, (x, y, z) => setCell(x, y, z, null));
+  });
+}
+
+function replaceInSelection(from, to = selectedSlot) {
+  const box = requireSelection();
+  if (!box || from === to) return;
+  blockHistory.transaction(() => {
+    forEachCell(box, (x, y, z) => {
+      if (worldVoxels.get(x, y, z) === from) setCell(x, y, z, to);
+    });
+  });
+}
+
+// Copy placed blocks and blockified terrain into the clipboard and pick it
+// up as a blueprint. Returns false if there was nothing to copy.
+function copySelection() {
+  const box = requireSelection();
+  if (!box) return false;
+  const blocks = copyRegion(box, (x, y, z) => worldVoxels.get(x, y, z));
+  if (blocks.length === 0) {
+    alert('The selection is empty.');
+    return false;
+  }
+  selectionClipboard = centerStructure(blocks);
+  pasteClipboard();
+  return true;
+}
+
+function cutSelection() {
+  const box = getSelection();
+  if (copySelection()) {
+    blockHistory.transaction(() => {
+      forEachCell(box, (x, y, z) => setCell(x, y, z, null));
+    });
+  }
+}
+
+function pasteClipboard() {
+  if (!selectionClipboard) {
+    alert('Nothing copied yet.');
+    return;
+  }
+  activateBlueprint(selectionClipboard.map(b => ({ ...b })), createTransform(), { name: 'Selection copy', source: 'copy' });
+}
+
+// First-person keys while selecting; returns true if the key was handled
+function handleSelectionKey(e) {
+  switch (e.code) {
+    case 'KeyB': fillSelection(); return true;
+    case 'KeyH': hollowSelection(); return true;
+    case 'Delete': case 'Backspace': deleteSelection(); return true;
+    case 'KeyC': copySelection(); return true;
+    case 'KeyX': cutSelection(); return true;
+    case 'KeyP': pasteClipboard(); return true;
+    case 'KeyR': {
+      // Replace the aimed block's type with the selected one
+      const hit = getAimTarget();
+      if (hit && hit.block) replaceInSelection(hit.block.type);
+      return true;
+    }
+    case 'Escape': clearSelection(); return true;
+  }
+  return false;
+}
+
+selectModeBtn.addEventListener('click', () => setSelectionMode(!selectionMode));
+document.getElementById('selection-fill-btn').addEventListener('click', () => fillSelection());
+document.getElementById('selection-hollow-btn').addEventListener('click', () => hollowSelection());
+document.getElementById('selection-delete-btn').addEventListener('click', deleteSelection);
+document.getElementById('selection-copy-btn').addEventListener('click', copySelection);
+document.getElementById('selection-cut-btn').addEventListener('click', cutSelection);
+document.getElementById('selection-paste-btn').addEventListener('click', pasteClipboard);
+document.getElementById('selection-clear-btn').addEventListener('click', clearSelection);
+document.getElementById('selection-replace-btn').addEventListener('click', () => {
+  replaceInSelection(Number(replaceFromSelect.value));
+});
+
+// =============================================
+// SYMMETRY
+// =============================================
+// Hand-placed and removed blocks are copied across mirror planes through a
+// pivot, or repeated radially around it. Each click stays one undo step.
+// The planes are shown as translucent sheets.
+
+const SYMMETRY_COLOR = 0x4fc3f7;
+const SYMMETRY_SHEET_SIZE = 48;   // width of a mirror sheet (radial: twice the spoke length)
+const SYMMETRY_SHEET_HEIGHT = 32;
+
+const symmetry = createSymmetry();
+const storedSymmetry = JSON.parse(localStorage.getItem('symmetry_settings') || '{}');
+if (storedSymmetry.mode in SYMMETRY_MODES) symmetry.mode = storedSymmetry.mode;
+if (Number.isInteger(storedSymmetry.folds)) {
+  symmetry.folds = THREE.MathUtils.clamp(storedSymmetry.folds, MIN_FOLDS, MAX_FOLDS);
+}
+
+const symmetryModeSelect = document.getElementById('symmetry-mode-select');
+const symmetryFoldsInput = document.getElementById('symmetry-folds-input');
+const symmetryStatus = document.getElementById('symmetry-status');
+
+for (const [mode, label] of Object.entries(SYMMETRY_MODES)) symmetryModeSelect.add(new Option(label, mode));
+symmetryFoldsInput.min = MIN_FOLDS;
+symmetryFoldsInput.max = MAX_FOLDS;
+
+const symmetrySheetMat = new THREE.MeshBasicMaterial({
+  color: SYMMETRY_COLOR,
+  transparent: true,
+  opacity: 0.15,
+  side: THREE.DoubleSide,
+  depthWrite: false,
+});
+const symmetryGroup = new THREE.Group();
+symmetryGroup.name = 'symmetry';
+scene.add(symmetryGroup);
+
+// One sheet per mirror plane, or one half-sheet (spoke) per radial fold
+function updateSymmetryPlanes() {
+  symmetryGroup.traverse(obj => {
+    if (obj.geometry) obj.geometry.dispose();
+  });
+  symmetryGroup.clear();
+  if (!isSymmetryActive(symmetry)) return;
+
+  const { x, y, z } = symmetry.pivot;
+  symmetryGroup.position.set(x, y + SYMMETRY_SHEET_HEIGHT / 4, z);
+  const addSheet = (width, offset, angle) => {
+    const geo = new THREE.PlaneGeometry(width, SYMMETRY_SHEET_HEIGHT);
+    geo.translate(offset, 0, 0);
+    const sheet = new THREE.Mesh(geo, symmetrySheetMat);
+    sheet.rotation.y = angle;
+    sheet.renderOrder = 1;
+    symmetryGroup.add(sheet);
+  };
+  // A plane across X faces along X: the XY-plane geometry turned a quarter
+  if (symmetry.mode === 'x' || symmetry.mode === 'xz') addSheet(SYMMETRY_SHEET_SIZE, 0, Math.PI / 2);
+  if (symmetry.mode === 'z' || symmetry.mode === 'xz') addSheet(SYMMETRY_SHEET_SIZE, 0, 0);
+  if (symmetry.mode === 'radial') {
+    for (let k = 0; k < symmetry.folds; k++) {
+      addSheet(SYMMETRY_SHEET_SIZE / 2, SYMMETRY_SHEET_SIZE / 4, (2 * Math.PI * k) / symmetry.folds);
+    }
+  }
+}
+
+function updateSymmetryUI() {
+  symmetryModeSelect.value = symmetry.mode;
+  symmetryFoldsInput.value = symmetry.folds;
+  symmetryFoldsInput.disabled = symmetry.mode !== 'radial';
+  symmetryStatus.textContent = describeSymmetry(symmetry);
+  touchPivotBtn.classList.toggle('active', isSymmetryActive(symmetry));
+  localStorage.setItem('symmetry_settings', JSON.stringify({ mode: symmetry.mode, folds: symmetry.folds }));
+  updateSymmetryPlanes();
+}
+
+// The aimed cell in first person; otherwise the ground under the player or
+// the orbit target
+function getSymmetryPivotCell() {
+  const hit = fpMode ? getAimTarget() : null;
+  const cell = hit && getSelectionCell(hit);
+  if (cell) return cell;
+  const p = fpMode ? camera.position : orbitControls.target;
+  const x = Math.floor(p.x);
+  const z = Math.floor(p.z);
+  return { x, y: Math.floor(Math.max(getTerrainHeight(x + 0.5, z + 0.5), getWaterLevel())), z };
+}
+
+// Pivot on the cell's centre, or its +X/+Z edge for even-width builds
+function setSymmetryPivot(onEdge = false) {
+  const cell = getSymmetryPivotCell();
+  const offset = onEdge ? 1 : 0.5;
+  symmetry.pivot = { x: cell.x + offset, y: cell.y, z: cell.z + offset };
+  updateSymmetryUI();
+}
+
+function setSymmetryMode(mode) {
+  symmetry.mode = mode;
+  if (mode !== 'off' && !symmetry.pivot) setSymmetryPivot();
+  updateSymmetryUI();
+}
+
+function cycleSymmetryMode() {
+  const modes = Object.keys(SYMMETRY_MODES);
+  setSymmetryMode(modes[(modes.indexOf(symmetry.mode) + 1) % modes.length]);
+}
 
-  // Reset so the same file can be re-imported
-  importFile.value = '';
+// Hand placement: the block and its symmetric copies, never inside the player
+function placeBlockSymmetric(pos) {
+  blockHistory.transaction(() => {
+    for (const c of symmetricCells(pos, symmetry)) {
+      if (!isInsidePlayer(c)) placeBlock(c.x, c.y, c.z);
+    }
+  });
 }
 
-function handleTextImport() {
-  const textArea = document.getElementById('import-text');
-  const text = textArea.value.trim();
-  if (!text) {
-    alert('Please paste JSON into the text field first.');
-    return;
-  }
-  importFromJSON(text);
-  textArea.value = '';
+function removeBlockSymmetric(pos) {
+  blockHistory.transaction(() => {
+    for (const c of symmetricCells(pos, symmetry)) removeBlock(c.x, c.y, c.z);
+  });
 }
 
-document.getElementById('export-btn').addEventListener('click', exportBlocks);
-document.getElementById('import-btn').addEventListener('click', () => importFile.click());
-importFile.addEventListener('change', handleImport);
-document.getElementById('import-text-btn').addEventListener('click', handleTextImport);
+symmetryModeSelect.addEventListener('change', () => setSymmetryMode(symmetryModeSelect.value));
+symmetryFoldsInput.addEventListener('keydown', (e) => e.stopPropagation());
+symmetryFoldsInput.addEventListener('change', () => {
+  const folds = Math.round(Number(symmetryFoldsInput.value));
+  if (Number.isFinite(folds)) symmetry.folds = THREE.MathUtils.clamp(folds, MIN_FOLDS, MAX_FOLDS);
+  updateSymmetryUI();
+});
+document.getElementById('symmetry-pivot-btn').addEventListener('click', () => setSymmetryPivot());
+touchPivotBtn.addEventListener('click', () => setSymmetryPivot());
+updateSymmetryUI();
 
 // --- Mouse handlers for block place/remove ---
 document.addEventListener('mousedown', (e) => {
@@ -790,19 +2705,22 @@ document.addEventListener('mousedown', (e) => {
   const hit = getAimTarget();
   if (!hit) return;
 
+  // Selection mode: left click marks the first corner, right click the second
+  if (selectionMode) {
+    if (e.button === 0 || e.button === 2) setSelectionCorner(e.button === 0 ? 0 : 1, getSelectionCell(hit));
+    return;
+  }
+
   if (e.button === 0) {
     // Left click: place block
     const pos = getPlacementPos(hit);
     // Don't place block inside the player
-    const dx = pos.x - camera.position.x;
-    const dy = pos.y - camera.position.y;
-    const dz = pos.z - camera.position.z;
-    if (Math.abs(dx) < 0.8 && Math.abs(dz) < 0.8 && dy > -2 && dy < 0.5) return;
-    placeBlock(pos.x, pos.y, pos.z);
+    if (!pos || isInsidePlayer(pos)) return;
+    placeBlockSymmetric(pos);
   } else if (e.button === 2) {
     // Right click: remove block
-    if (hit.object.userData.isBlock) {
-      removeBlock(hit.object);
+    if (hit.block) {
+      removeBlockSymmetric(hit.block);
     }
   }
 });
@@ -812,11 +2730,15 @@ document.addEventListener('contextmenu', (e) => {
   if (fpMode) e.preventDefault();
 });
 
-// Scroll wheel to cycle block types
+// Scroll wheel to cycle block types, or move a blueprint nearer / further
 document.addEventListener('wheel', (e) => {
   if (!fpMode) return;
   const dir = e.deltaY > 0 ? 1 : -1;
-  selectSlot((selectedSlot + dir + BLOCK_TYPES.length) % BLOCK_TYPES.length);
+  if (blueprintActive) {
+    setBlueprintDistance(blueprintDistance - dir);
+    return;
+  }
+  selectSlot((selectedSlot + dir + BLOCK_COUNT) % BLOCK_COUNT);
 });
 
 // =============================================
@@ -830,10 +2752,14 @@ function showFPUI(show) {
     fpvHint.style.display = 'none';
     touchFpvHint.style.display = show ? 'block' : 'none';
     touchJoystick.style.display = show ? 'block' : 'none';
+    touchHistoryBar.style.display = show ? 'flex' : 'none';
+    touchActionsBar.style.display = show ? 'flex' : 'none';
   } else {
     fpvHint.style.display = show ? 'block' : 'none';
     touchFpvHint.style.display = 'none';
     touchJoystick.style.display = 'none';
+    touchHistoryBar.style.display = 'none';
+    touchActionsBar.style.display = 'none';
   }
 }
 
@@ -848,7 +2774,12 @@ function enterFPMode() {
   const startX = 20;
   const startZ = 20;
   const groundY = getTerrainHeight(startX, startZ);
-  camera.position.set(startX, Math.max(groundY, 2.5) + EYE_HEIGHT, startZ);
+  camera.position.set(startX, Math.max(groundY, getWaterLevel()) + EYE_HEIGHT, startZ);
+
+  playerBody.position.set(startX, Math.max(groundY, getWaterLevel()), startZ);
+  playerBody.velocity.set(0, 0, 0);
+  playerBody.onGround = false;
+  if (!flyMode) camera.position.y = playerBody.position.y + PLAYER_EYE_HEIGHT;
 
   if (isTouchDevice) {
     touchActive = true;
@@ -869,6 +2800,7 @@ function exitFPMode() {
   showFPUI(false);
   ghostMesh.visible = false;
   cancelBlueprint();
+  setSelectionMode(false);
 
   fpControls.unlock();
 
@@ -904,16 +2836,43 @@ fpControls.addEventListener('unlock', () => {
 function onKeyDown(e) {
   if (!fpMode) return;
 
-  // Blueprint rotation keys
+  // Blueprint transform keys
   if (blueprintActive) {
     switch (e.code) {
       case 'KeyQ':
-        blueprintRotation = (blueprintRotation + 3) % 4; // CCW
-        rebuildBlueprintGroup();
+        changeBlueprintTransform(t => { t.rotY = (t.rotY + 3) % 4; }); // CCW
         return;
       case 'KeyE':
-        blueprintRotation = (blueprintRotation + 1) % 4; // CW
-        rebuildBlueprintGroup();
+        changeBlueprintTransform(t => { t.rotY = (t.rotY + 1) % 4; }); // CW
+        return;
+      case 'KeyR':
+        changeBlueprintTransform(t => { t.rotX = (t.rotX + 1) % 4; });
+        return;
+      case 'KeyT':
+        changeBlueprintTransform(t => { t.rotZ = (t.rotZ + 1) % 4; });
+        return;
+      case 'KeyX':
+        changeBlueprintTransform(t => { t.mirrorX = !t.mirrorX; });
+        return;
+      case 'KeyZ':
+        if (e.ctrlKey || e.metaKey) break; // undo shortcut
+        changeBlueprintTransform(t => { t.mirrorZ = !t.mirrorZ; });
+        return;
+      case 'ArrowUp':
+      case 'ArrowDown':
+        // Only moves the ghost: updateBlueprint adds the offset every frame
+        e.preventDefault();
+        blueprintTransform.offsetY += e.code === 'ArrowUp' ? 1 : -1;
+        updateBlueprintHint();
+        return;
+      case 'KeyG':
+        setBlueprintFoundation(!blueprintFoundation);
+        return;
+      case 'KeyO':
+        setBlueprintOverwrite(!blueprintOverwrite);
+        return;
+      case 'KeyL':
+        saveBlueprintToLibrary();
         return;
       case 'Escape':
         cancelBlueprint();
@@ -921,18 +2880,27 @@ function onKeyDown(e) {
     }
   }
 
+  if (selectionMode && !blueprintActive && handleSelectionKey(e)) return;
+
   switch (e.code) {
     case 'KeyW': moveState.forward = true; break;
     case 'KeyS': moveState.backward = true; break;
     case 'KeyA': moveState.left = true; break;
     case 'KeyD': moveState.right = true; break;
     case 'ShiftLeft': case 'ShiftRight': moveState.sprint = true; break;
-    case 'Digit1': selectSlot(0); break;
-    case 'Digit2': selectSlot(1); break;
-    case 'Digit3': selectSlot(2); break;
-    case 'Digit4': selectSlot(3); break;
-    case 'Digit5': selectSlot(4); break;
-    case 'Digit6': selectSlot(5); break;
+    case 'Space':
+      e.preventDefault(); // don't click the focused sidebar button
+      moveState.jump = true;
+      break;
+    case 'KeyF': setFlyMode(!flyMode); break;
+    case 'KeyV': setSelectionMode(!selectionMode); break;
+    case 'KeyM': cycleSymmetryMode(); break;
+    case 'KeyN': setSymmetryPivot(e.shiftKey); break;
+    default:
+      if (e.code.startsWith('Digit')) {
+        const idx = HOTBAR_KEYS.indexOf(e.code.slice(5));
+        if (idx !== -1 && idx < BLOCK_COUNT) selectSlot(idx);
+      }
   }
 }
 function onKeyUp(e) {
@@ -942,6 +2910,7 @@ function onKeyUp(e) {
     case 'KeyA': moveState.left = false; break;
     case 'KeyD': moveState.right = false; break;
     case 'ShiftLeft': case 'ShiftRight': moveState.sprint = false; break;
+    case 'Space': moveState.jump = false; break;
   }
 }
 document.addEventListener('keydown', onKeyDown);
@@ -961,6 +2930,16 @@ sunLight.shadow.camera.near = 0.5;
 sunLight.shadow.camera.far = 200;
 sunLight.shadow.bias = -0.0005;
 scene.add(sunLight);
+scene.add(sunLight.target);
+
+// Sun position relative to its target. The target (and with it the shadow
+// box) is the origin on the island and follows the camera in endless worlds.
+const sunOffset = new THREE.Vector3(50, 80, 40);
+
+function placeSun(x, z) {
+  sunLight.target.position.set(x, 0, z);
+  sunLight.position.set(x + sunOffset.x, sunOffset.y, z + sunOffset.z);
+}
 
 const hemiLight = new THREE.HemisphereLight(0x87ceeb, 0x4a7c3f, 0.5);
 scene.add(hemiLight);
@@ -968,6 +2947,43 @@ scene.add(hemiLight);
 const ambientLight = new THREE.AmbientLight(0x404060, 0.3);
 scene.add(ambientLight);
 
+// Lamps glow through their emissive material; the ones nearest the camera
+// also light their surroundings with a point light each. The pool has a
+// fixed size (unused lights are dimmed to 0) so shaders aren't recompiled
+// as lamps come and go, and it is re-assigned only when lamps change or
+// the camera has moved a little.
+const LAMP_LIGHT_COUNT = 8;
+const LAMP_LIGHT_RANGE = 12;
+const LAMP_LIGHT_INTENSITY = 6; // at light level 15
+const LAMP_REASSIGN_DISTANCE = 2;
+
+const lampLights = [];
+for (let i = 0; i < LAMP_LIGHT_COUNT; i++) {
+  const light = new THREE.PointLight(0xffffff, 0, LAMP_LIGHT_RANGE, 2);
+  scene.add(light);
+  lampLights.push(light);
+}
+const lampLightsCenter = new THREE.Vector3(Infinity, 0, 0);
+
+function updateLampLights() {
+  if (!lampLightsDirty && camera.position.distanceTo(lampLightsCenter) < LAMP_REASSIGN_DISTANCE) return;
+  lampLightsDirty = false;
+  lampLightsCenter.copy(camera.position);
+
+  const { x: px, y: py, z: pz } = camera.position;
+  const distance = b => (b.x + 0.5 - px) ** 2 + (b.y + 0.5 - py) ** 2 + (b.z + 0.5 - pz) ** 2;
+  const nearest = [...lightBlocks.values()]
+    .map(b => ({ b, d: distance(b) }))
+    .sort((a, b) => a.d - b.d);
+  lampLights.forEach((light, i) => {
+    const lamp = nearest[i]?.b;
+    light.intensity = lamp ? LAMP_LIGHT_INTENSITY * getLightLevel(lamp.type) / 15 : 0;
+    if (!lamp) return;
+    light.position.set(lamp.x + 0.5, lamp.y + 0.5, lamp.z + 0.5);
+    light.color.setHex(BLOCKS[lamp.type].color);
+  });
+}
+
 // --- Time of day ---
 let timeOfDay = 0.5;
 
@@ -977,7 +2993,8 @@ function updateTimeOfDay(t) {
   const sunAngle = (t - 0.25) * Math.PI * 2;
   const sunY = Math.sin(sunAngle) * 80;
   const sunXZ = Math.cos(sunAngle) * 80;
-  sunLight.position.set(sunXZ, Math.max(sunY, -10), 40);
+  sunOffset.set(sunXZ, Math.max(sunY, -10), 40);
+  placeSun(sunLight.target.position.x, sunLight.target.position.z);
 
   const dayFactor = THREE.MathUtils.clamp(sunY / 80, 0, 1);
   sunLight.intensity = 0.1 + dayFactor * 1.7;
@@ -1035,27 +3052,102 @@ let currentLandscape = null;
 let currentSeed = null;
 let chickensEnabled = false;
 let isBlockified = false;
-let voxelTerrainGroup = null;
 const blockifyBtn = document.getElementById('blockify-btn');
 
+// Blockify fills whole columns down to bedrock, with caves and ores, instead
+// of a shell under the surface
+let fullDepthTerrain = localStorage.getItem('full_depth_terrain') === 'true';
+const fullDepthToggle = document.getElementById('full-depth-toggle');
+fullDepthToggle.checked = fullDepthTerrain;
+
+function setFullDepth(enabled) {
+  fullDepthTerrain = enabled;
+  localStorage.setItem('full_depth_terrain', enabled);
+  fullDepthToggle.checked = enabled;
+  if (currentLandscape) setFullDepthTerrain(currentLandscape, enabled);
+}
+
+// Endless worlds stream terrain chunks around the camera instead of
+// generating one island. Fog hides the edge of the loaded terrain.
+let endlessMode = localStorage.getItem('endless_world') === 'true';
+let terrainStreamer = null;
+const endlessToggle = document.getElementById('endless-toggle');
+const ISLAND_FOG_DENSITY = 0.003;
+const ENDLESS_FOG_DENSITY = 0.0065;
+const VOXEL_CHUNKS_PER_TERRAIN_CHUNK = TERRAIN_CHUNK_SIZE / CHUNK_SIZE;
+
+function setEndlessMode(enabled) {
+  endlessMode = enabled;
+  localStorage.setItem('endless_world', enabled);
+  endlessToggle.checked = enabled;
+  updateTerrainParamInputs();
+}
+
+// Terrain parameters (see TERRAIN_PARAMS in terrain.js), kept across sessions
+let terrainParams = normalizeTerrainParams(JSON.parse(localStorage.getItem('terrain_params') || 'null'));
+
+function setTerrainParams(params) {
+  terrainParams = normalizeTerrainParams(params);
+  localStorage.setItem('terrain_params', JSON.stringify(terrainParams));
+  updateTerrainParamInputs();
+}
+
+// Free an object's GPU resources; registry materials are shared and kept
+function disposeObject(obj) {
+  if (obj.geometry) obj.geometry.dispose();
+  if (!obj.material) return;
+  const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+  for (const m of materials) {
+    if (!m.userData.shared) m.dispose();
+  }
+}
+
+// Terrain edits into the voxel terrain, those in the cell range
+// x0 <= x < x1, z0 <= z < z1 only if given
+function applyTerrainEdits(x0 = -Infinity, z0 = -Infinity, x1 = Infinity, z1 = Infinity) {
+  for (const [key, type] of terrainEdits) {
+    const [x, y, z] = key.split(',').map(Number);
+    if (x >= x0 && x < x1 && z >= z0 && z < z1) terrainVoxels.set(x, y, z, type);
+  }
+}
+
+// Endless worlds blockify chunk by chunk as they enter the near ring, and
+// drop the voxels again as they leave it
+function blockifyChunk(cx, cz, near = true) {
+  if (near) {
+    blockifyTerrainChunk(currentLandscape, terrainVoxels, cx, cz);
+    const x0 = cx * TERRAIN_CHUNK_SIZE;
+    const z0 = cz * TERRAIN_CHUNK_SIZE;
+    applyTerrainEdits(x0, z0, x0 + TERRAIN_CHUNK_SIZE, z0 + TERRAIN_CHUNK_SIZE);
+  } else {
+    const n = VOXEL_CHUNKS_PER_TERRAIN_CHUNK;
+    terrainVoxels.clearColumns(cx * n, cz * n, (cx + 1) * n, (cz + 1) * n);
+  }
+}
+
+// The smooth terrain is hidden where it is blockified, and so are the lakes
+// and rivers (the blocks have their own water)
+function setSmoothTerrainHidden(hidden) {
+  if (terrainStreamer) {
+    terrainStreamer.setNearHidden(hidden);
+    return;
+  }
+  const terrain = currentLandscape.children[0];
+  if (terrain && terrain.material) {
+    terrain.material.transparent = hidden;
+    terrain.material.opacity = hidden ? 0 : 1;
+  }
+  const freshwater = currentLandscape.getObjectByName('freshwater');
+  if (freshwater) freshwater.visible = !hidden;
+}
+
 function toggleBlockify() {
   if (!currentLandscape) return;
 
   if (isBlockified) {
-    // Revert: remove voxel terrain, restore smooth terrain
-    if (voxelTerrainGroup) {
-      currentLandscape.remove(voxelTerrainGroup);
-      voxelTerrainGroup.traverse(obj => {
-        if (obj.geometry) obj.geometry.dispose();
-        if (obj.material) obj.material.dispose();
-      });
-      voxelTerrainGroup = null;
-    }
-    const terrain = currentLandscape.children[0];
-    if (terrain && terrain.material) {
-      terrain.material.opacity = 1;
-      terrain.material.transparent = false;
-    }
+    // Revert: remove voxel terrain (edits are kept), restore smooth terrain
+    terrainVoxels.clear();
+    setSmoothTerrainHidden(false);
     isBlockified = false;
     blockifyBtn.textContent = 'Blockify';
     blockifyBtn.classList.remove('active');
@@ -1065,13 +3157,13 @@ function toggleBlockify() {
     if (chickensOff) chickensOff.visible = chickensEnabled;
   } else {
     // Convert: hide smooth terrain, show voxel blocks
-    const terrain = currentLandscape.children[0];
-    if (terrain && terrain.material) {
-      terrain.material.transparent = true;
-      terrain.material.opacity = 0;
+    setSmoothTerrainHidden(true);
+    if (terrainStreamer) {
+      terrainStreamer.forEachNear(blockifyChunk);
+    } else {
+      blockifyTerrain(currentLandscape, terrainVoxels);
+      applyTerrainEdits();
     }
-    voxelTerrainGroup = blockifyTerrain(currentLandscape);
-    currentLandscape.add(voxelTerrainGroup);
     isBlockified = true;
     blockifyBtn.textContent = 'Smooth Terrain';
     blockifyBtn.classList.add('active');
@@ -1082,53 +3174,97 @@ function toggleBlockify() {
   }
 }
 
-blockifyBtn.addEventListener('click', toggleBlockify);
+blockifyBtn.addEventListener('click', () => {
+  toggleBlockify();
+  markWorldDirty();
+});
 
 function disposeLandscape() {
   if (!currentLandscape) return;
 
-  currentLandscape.traverse((obj) => {
-    if (obj.geometry) obj.geometry.dispose();
-    if (obj.material) {
-      if (Array.isArray(obj.material)) {
-        obj.material.forEach((m) => m.dispose());
-      } else {
-        obj.material.dispose();
-      }
-    }
-  });
+  if (terrainStreamer) {
+    terrainStreamer.dispose();
+    terrainStreamer = null;
+  }
+  currentLandscape.traverse(disposeObject);
 
   scene.remove(currentLandscape);
   currentLandscape = null;
 }
 
-function generate(seed) {
-  if (seed === undefined) {
-    seed = Math.floor(Math.random() * 2147483647);
-  }
-  currentSeed = seed;
-
-  if (fpMode) exitFPMode();
-
+// (Re)create the landscape of the current seed, world type and terrain
+// parameters. Placed blocks and terrain edits are left alone.
+function buildLandscape() {
   disposeLandscape();
-  clearAllBlocks();
 
   isBlockified = false;
-  voxelTerrainGroup = null;
   blockifyBtn.textContent = 'Blockify';
   blockifyBtn.classList.remove('active');
 
-  currentLandscape = generateLandscape(seed);
+  currentLandscape = generateLandscape(currentSeed, { endless: endlessMode, params: terrainParams });
+  setFullDepthTerrain(currentLandscape, fullDepthTerrain);
   scene.add(currentLandscape);
+  if (biomeOverlayToggle.checked) setBiomeOverlay(currentLandscape, true);
+  scene.fog.density = endlessMode ? ENDLESS_FOG_DENSITY : ISLAND_FOG_DENSITY;
+  placeSun(0, 0);
+  if (endlessMode) {
+    terrainStreamer = createTerrainStreamer(currentLandscape, {
+      onNearChange: (cx, cz, near) => {
+        if (isBlockified) blockifyChunk(cx, cz, near);
+      },
+    });
+    terrainStreamer.update(camera.position.x, camera.position.z, Infinity);
+  }
 
   updateTimeOfDay(timeOfDay);
 
   // Apply chickens toggle visibility
   const chickens = currentLandscape.getObjectByName('chickens');
   if (chickens) chickens.visible = chickensEnabled;
+}
+
+function generate(seed) {
+  if (seed === undefined) {
+    seed = Math.floor(Math.random() * 2147483647);
+  }
+  currentSeed = seed;
+
+  if (fpMode) exitFPMode();
+
+  resetBlocks();
+  buildLandscape();
 
   document.getElementById('seed-value').textContent = seed;
   document.getElementById('seed-input').value = '';
+
+  // A freshly generated world is unsaved until it is saved or loaded into a slot
+  setCurrentWorld(null, '');
+  worldDirty = false;
+}
+
+// New terrain parameters for the current world: the landscape is rebuilt
+// under the placed blocks, blockified again if it was. Undo steps for
+// terrain cells belong to the old terrain, so they go even when no edits
+// are left (e.g. a dig that was undone can still be redone).
+function regenerateTerrain() {
+  const wasBlockified = isBlockified;
+  blockHistory.dropLayer(TERRAIN_LAYER);
+  terrainVoxels.clear();
+  buildLandscape();
+  if (wasBlockified) toggleBlockify();
+  markWorldDirty();
+}
+
+// Terrain edits only fit the terrain they were made in. Asks before
+// dropping them (regenerateTerrain drops their undo steps); false if the
+// user keeps them.
+function confirmDropTerrainEdits() {
+  if (terrainEdits.size === 0) return true;
+  if (!confirm('Changing the terrain discards your terrain edits (dug or placed terrain blocks) and their undo steps. Placed blocks are kept. Continue?')) {
+    return false;
+  }
+  terrainEdits.clear();
+  return true;
 }
 
 // --- UI: buttons ---
@@ -1151,6 +3287,18 @@ timeSlider.addEventListener('input', (e) => {
   timeOfDay = t;
   updateTimeOfDay(t);
   timeLabel.textContent = getTimeLabel(t);
+  markWorldDirty();
+});
+
+// --- UI: Full-depth blockify ---
+fullDepthToggle.addEventListener('change', () => {
+  setFullDepth(fullDepthToggle.checked);
+  // Rebuild the voxel terrain in the new mode; terrain edits are kept
+  if (isBlockified) {
+    toggleBlockify();
+    toggleBlockify();
+  }
+  markWorldDirty();
 });
 
 // --- UI: Chickens toggle ---
@@ -1160,8 +3308,37 @@ document.getElementById('chickens-toggle').addEventListener('change', (e) => {
     const chickens = currentLandscape.getObjectByName('chickens');
     if (chickens) chickens.visible = chickensEnabled && !isBlockified;
   }
+  markWorldDirty();
+});
+
+// --- UI: Biome overlay ---
+// Debug view: the terrain coloured by biome, a legend, and the biome under
+// the camera (updated in the render loop)
+const biomeOverlayToggle = document.getElementById('biome-overlay-toggle');
+const biomeLegend = document.getElementById('biome-legend');
+const biomeHereValue = document.getElementById('biome-here-value');
+
+for (const biome of BIOMES) {
+  const item = document.createElement('span');
+  const swatch = document.createElement('span');
+  swatch.className = 'swatch';
+  swatch.style.background = `#${biome.debug.toString(16).padStart(6, '0')}`;
+  item.append(swatch, biome.name);
+  document.getElementById('biome-legend-list').appendChild(item);
+}
+
+biomeOverlayToggle.checked = false;
+biomeOverlayToggle.addEventListener('change', () => {
+  biomeLegend.style.display = biomeOverlayToggle.checked ? 'block' : 'none';
+  if (currentLandscape) setBiomeOverlay(currentLandscape, biomeOverlayToggle.checked);
 });
 
+function updateBiomeHere() {
+  const { x, z } = camera.position;
+  const name = currentLandscape.userData.biomes.biomeAt(x, z).name;
+  if (biomeHereValue.textContent !== name) biomeHereValue.textContent = name;
+}
+
 // --- UI: Seed input ---
 const seedInput = document.getElementById('seed-input');
 const seedGoBtn = document.getElementById('seed-go-btn');
@@ -1182,10 +3359,410 @@ function applySeedInput() {
 }
 
 seedGoBtn.addEventListener('click', applySeedInput);
+
+// Switching the world type regenerates the current seed
+endlessToggle.checked = endlessMode;
+endlessToggle.addEventListener('change', () => {
+  const hasWork = placedBlocks.size > 0 || terrainEdits.size > 0;
+  if (hasWork && !confirm('Switching the world type starts a new world from this seed. Unsaved blocks and terrain edits are lost. Continue?')) {
+    endlessToggle.checked = endlessMode;
+    return;
+  }
+  setEndlessMode(endlessToggle.checked);
+  generate(currentSeed);
+});
 seedInput.addEventListener('keydown', (e) => {
   if (e.key === 'Enter') applySeedInput();
 });
 
+// --- UI: Terrain parameters and presets ---
+// One slider per parameter. Moving a slider rebuilds the terrain once the
+// slider has rested for TERRAIN_PREVIEW_DELAY_MS.
+const TERRAIN_PREVIEW_DELAY_MS = 300;
+const terrainParamsBox = document.getElementById('terrain-params');
+const terrainPresetSelect = document.getElementById('terrain-preset-select');
+const terrainStatus = document.getElementById('terrain-status');
+const terrainParamInputs = {};
+let terrainPreviewTimer = null;
+
+const stepDecimals = step => (String(step).split('.')[1] || '').length;
+
+for (const [name, { label, min, max, step }] of Object.entries(TERRAIN_PARAMS)) {
+  const row = document.createElement('div');
+  row.className = 'terrain-param';
+  const title = document.createElement('span');
+  title.textContent = label;
+  const value = document.createElement('span');
+  row.append(title, value);
+
+  const input = document.createElement('input');
+  input.type = 'range';
+  input.min = min;
+  input.max = max;
+  input.step = step;
+  input.addEventListener('keydown', (e) => e.stopPropagation());
+  input.addEventListener('input', () => {
+    if (!confirmDropTerrainEdits()) {
+      updateTerrainParamInputs();
+      return;
+    }
+    setTerrainParams({ ...terrainParams, [name]: Number(input.value) });
+    terrainPresetSelect.value = '';
+    terrainStatus.textContent = '';
+    clearTimeout(terrainPreviewTimer);
+    terrainPreviewTimer = setTimeout(regenerateTerrain, TERRAIN_PREVIEW_DELAY_MS);
+  });
+  terrainParamsBox.append(row, input);
+  terrainParamInputs[name] = { input, value, decimals: stepDecimals(step) };
+}
+
+function updateTerrainParamInputs() {
+  for (const [name, { input, value, decimals }] of Object.entries(terrainParamInputs)) {
+    input.value = terrainParams[name];
+    value.textContent = terrainParams[name].toFixed(decimals);
+  }
+  // Endless worlds have no island edge, and no erosion pass
+  for (const name of ['falloff', 'erosion', 'rivers']) terrainParamInputs[name].input.disabled = endlessMode;
+}
+
+let terrainPresets = loadPresets();
+
+function renderTerrainPresets() {
+  terrainPresetSelect.innerHTML = '';
+  terrainPresetSelect.add(new Option('Presets\u2026', ''));
+  BUILTIN_PRESETS.forEach((p, i) => terrainPresetSelect.add(new Option(p.name, `builtin:${i}`)));
+  terrainPresets.forEach((p, i) => terrainPresetSelect.add(new Option(`${p.name} (seed ${p.seed})`, `saved:${i}`)));
+}
+
+function selectedTerrainPreset() {
+  const [kind, i] = terrainPresetSelect.value.split(':');
+  if (kind === 'builtin') return BUILTIN_PRESETS[i];
+  if (kind === 'saved') return terrainPresets[i];
+  return null;
+}
+
+// A preset with another seed or world type starts a new world from it;
+// otherwise only the terrain is rebuilt. False if the user cancelled.
+function applyTerrainPreset(preset) {
+  clearTimeout(terrainPreviewTimer);
+  const newWorld = preset.seed !== null && (preset.seed !== currentSeed || preset.endless !== endlessMode);
+  if (newWorld) {
+    const hasWork = placedBlocks.size > 0 || terrainEdits.size > 0;
+    if (hasWork && !confirm(`"${preset.name}" starts a new world from seed ${preset.seed}. Unsaved blocks and terrain edits are lost. Continue?`)) {
+      return false;
+    }
+    setTerrainParams(preset.params);
+    setEndlessMode(preset.endless);
+    generate(preset.seed);
+  } else {
+    if (!confirmDropTerrainEdits()) return false;
+    setTerrainParams(preset.params);
+    regenerateTerrain();
+  }
+  terrainStatus.textContent = `Applied "${preset.name}"`;
+  return true;
+}
+
+terrainPresetSelect.addEventListener('change', () => {
+  const preset = selectedTerrainPreset();
+  if (preset && !applyTerrainPreset(preset)) terrainPresetSelect.value = '';
+});
+
+document.getElementById('terrain-preset-save-btn').addEventListener('click', () => {
+  const name = prompt('Preset name (saved with the current seed):', selectedTerrainPreset()?.name || '');
+  if (!name || !name.trim()) return;
+  const preset = { name: name.trim(), seed: currentSeed, endless: endlessMode, params: { ...terrainParams } };
+  const existing = terrainPresets.findIndex(p => p.name === preset.name);
+  if (existing !== -1) terrainPresets[existing] = preset;
+  else terrainPresets.push(preset);
+  savePresets(terrainPresets);
+  renderTerrainPresets();
+  terrainPresetSelect.value = `saved:${existing !== -1 ? existing : terrainPresets.length - 1}`;
+  terrainStatus.textContent = `Saved "${preset.name}"`;
+});
+
+document.getElementById('terrain-preset-delete-btn').addEventListener('click', () => {
+  const preset = selectedTerrainPreset();
+  if (!preset || preset.builtin) {
+    terrainStatus.textContent = 'Select a saved preset to delete';
+    return;
+  }
+  if (!confirm(`Delete preset "${preset.name}"?`)) return;
+  terrainPresets = terrainPresets.filter(p => p !== preset);
+  savePresets(terrainPresets);
+  renderTerrainPresets();
+  terrainStatus.textContent = `Deleted "${preset.name}"`;
+});
+
+document.getElementById('terrain-share-copy-btn').addEventListener('click', async () => {
+  const name = selectedTerrainPreset()?.name || `Seed ${currentSeed}`;
+  const code = encodePreset({ name, seed: currentSeed, endless: endlessMode, params: terrainParams });
+  try {
+    await navigator.clipboard.writeText(code);
+    terrainStatus.textContent = 'Share code copied';
+  } catch {
+    prompt('Copy this share code:', code);
+  }
+});
+
+document.getElementById('terrain-share-paste-btn').addEventListener('click', () => {
+  const code = prompt('Paste a terrain share code:');
+  if (!code) return;
+  let preset;
+  try {
+    preset = decodePreset(code);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  if (applyTerrainPreset(preset)) {
+    terrainPresetSelect.value = '';
+    terrainStatus.textContent = `Applied "${preset.name}" \u2014 Save to keep it`;
+  }
+});
+
+document.getElementById('terrain-reset-btn').addEventListener('click', () => {
+  if (applyTerrainPreset(BUILTIN_PRESETS[0])) terrainPresetSelect.value = '';
+});
+
+renderTerrainPresets();
+updateTerrainParamInputs();
+
+// =============================================
+// SAVED WORLDS (IndexedDB)
+// =============================================
+
+const AUTOSAVE_INTERVAL_MS = 60 * 1000;
+const AUTOSAVE_NAME = 'Autosave';
+
+let currentWorldId = null;
+let currentWorldName = '';
+let worldDirty = false;
+
+const worldNameInput = document.getElementById('world-name-input');
+const worldSaveBtn = document.getElementById('world-save-btn');
+const worldList = document.getElementById('world-list');
+const worldStatus = document.getElementById('world-status');
+const autosaveToggle = document.getElementById('autosave-toggle');
+
+function markWorldDirty() {
+  worldDirty = true;
+}
+
+function setCurrentWorld(id, name) {
+  currentWorldId = id;
+  currentWorldName = name;
+  worldStatus.textContent = id === null ? 'Unsaved world' : `Current: ${name}`;
+}
+
+function showWorldError(err) {
+  worldStatus.textContent = `Storage error: ${err.message || err}`;
+}
+
+// Snapshot of the session as a storable world record
+function serializeWorld(name) {
+  const blocks = [];
+  placedBlocks.forEach((x, y, z, type) => blocks.push({ x, y, z, type }));
+  return {
+    name,
+    seed: currentSeed,
+    endless: endlessMode,
+    terrain: terrainParams,
+    timeOfDay,
+    isBlockified,
+    fullDepth: fullDepthTerrain,
+    chickensEnabled,
+    blocks,
+    terrainEdits: serializeTerrainEdits(),
+  };
+}
+
+function applyWorld(world) {
+  setEndlessMode(!!world.endless);
+  setTerrainParams(world.terrain);
+  setFullDepth(!!world.fullDepth);
+  generate(world.seed);
+
+  timeOfDay = world.timeOfDay ?? 0.5;
+  timeSlider.value = Math.round(timeOfDay * 100);
+  timeLabel.textContent = getTimeLabel(timeOfDay);
+  updateTimeOfDay(timeOfDay);
+
+  chickensEnabled = !!world.chickensEnabled;
+  document.getElementById('chickens-toggle').checked = chickensEnabled;
+  const chickens = currentLandscape.getObjectByName('chickens');
+  if (chickens) chickens.visible = chickensEnabled;
+
+  // Edits are applied to the voxel terrain when it is built
+  for (const e of world.terrainEdits || []) {
+    terrainEdits.set(`${e.x},${e.y},${e.z}`, e.type);
+  }
+  if (world.isBlockified) toggleBlockify();
+
+  for (const b of world.blocks || []) {
+    setBlockRaw(b.x, b.y, b.z, b.type);
+  }
+  blockHistory.clear();
+
+  setCurrentWorld(world.id, world.name);
+  worldDirty = false;
+}
+
+async function saveCurrentWorld(name) {
+  const record = serializeWorld(name);
+  // Overwrite the current slot when saving under its own name
+  if (currentWorldId !== null && name === currentWorldName) {
+    record.id = currentWorldId;
+    const existing = await loadWorld(currentWorldId);
+    if (existing) record.createdAt = existing.createdAt;
+  }
+  const id = await saveWorld(record);
+  setCurrentWorld(id, name);
+  worldDirty = false;
+  await renderWorldList();
+}
+
+async function handleWorldSave() {
+  const name = worldNameInput.value.trim() || currentWorldName || `World ${currentSeed}`;
+  try {
+    await saveCurrentWorld(name);
+    worldNameInput.value = '';
+  } catch (err) {
+    showWorldError(err);
+  }
+}
+
+async function handleWorldLoad(id) {
+  if (worldDirty && !confirm('Loading a world replaces the current one. Unsaved blocks and terrain edits are lost. Continue?')) return;
+  try {
+    const world = await loadWorld(id);
+    if (!world) {
+      await renderWorldList();
+      return;
+    }
+    applyWorld(world);
+  } catch (err) {
+    showWorldError(err);
+  }
+}
+
+async function handleWorldRename(id, oldName) {
+  const name = prompt('Rename world:', oldName);
+  if (!name || !name.trim() || name.trim() === oldName) return;
+  try {
+    await renameWorld(id, name.trim());
+    if (id === currentWorldId) setCurrentWorld(id, name.trim());
+    await renderWorldList();
+  } catch (err) {
+    showWorldError(err);
+  }
+}
+
+async function handleWorldDuplicate(id, name) {
+  try {
+    await duplicateWorld(id, `${name} (copy)`);
+    await renderWorldList();
+  } catch (err) {
+    showWorldError(err);
+  }
+}
+
+async function handleWorldDelete(id, name) {
+  if (!confirm(`Delete world "${name}"?`)) return;
+  try {
+    await deleteWorld(id);
+    if (id === currentWorldId) setCurrentWorld(null, '');
+    await renderWorldList();
+  } catch (err) {
+    showWorldError(err);
+  }
+}
+
+function makeWorldButton(label, title, onClick) {
+  const btn = document.createElement('button');
+  btn.className = 'world-action';
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return btn;
+}
+
+async function renderWorldList() {
+  let worlds;
+  try {
+    worlds = await listWorlds();
+  } catch (err) {
+    showWorldError(err);
+    return;
+  }
+
+  worldList.textContent = '';
+  if (worlds.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'world-empty';
+    empty.textContent = 'No saved worlds';
+    worldList.appendChild(empty);
+    return;
+  }
+
+  for (const w of worlds) {
+    const row = document.createElement('div');
+    row.className = 'world-row';
+    if (w.id === currentWorldId) row.classList.add('current');
+    row.title = `Seed ${w.seed} — ${w.blockCount} blocks — ${new Date(w.updatedAt).toLocaleString()}`;
+    row.addEventListener('click', () => handleWorldLoad(w.id));
+
+    const name = document.createElement('span');
+    name.className = 'world-name';
+    name.textContent = w.name;
+    row.appendChild(name);
+
+    row.appendChild(makeWorldButton('\u270E', 'Rename', () => handleWorldRename(w.id, w.name)));
+    row.appendChild(makeWorldButton('\u2398', 'Duplicate', () => handleWorldDuplicate(w.id, w.name)));
+    row.appendChild(makeWorldButton('\u2715', 'Delete', () => handleWorldDelete(w.id, w.name)));
+    worldList.appendChild(row);
+  }
+}
+
+worldSaveBtn.addEventListener('click', handleWorldSave);
+worldNameInput.addEventListener('keydown', (e) => {
+  e.stopPropagation();
+  if (e.key === 'Enter') handleWorldSave();
+});
+
+// --- Autosave ---
+// Writes into the current slot. Unsaved worlds share one "Autosave" slot,
+// remembered by id, so new worlds overwrite it instead of adding slots (a
+// slot renamed since then is left alone)
+autosaveToggle.checked = localStorage.getItem('autosave_enabled') === 'true';
+autosaveToggle.addEventListener('change', () => {
+  localStorage.setItem('autosave_enabled', autosaveToggle.checked);
+});
+
+async function autosaveWorld() {
+  if (currentWorldId !== null) {
+    await saveCurrentWorld(currentWorldName);
+    return;
+  }
+  const slotId = Number(localStorage.getItem('autosave_world_id')) || null;
+  const slot = slotId !== null ? await loadWorld(slotId) : null;
+  if (slot && slot.name === AUTOSAVE_NAME) setCurrentWorld(slotId, AUTOSAVE_NAME);
+  await saveCurrentWorld(AUTOSAVE_NAME);
+  localStorage.setItem('autosave_world_id', currentWorldId);
+}
+
+setInterval(async () => {
+  if (!autosaveToggle.checked || !worldDirty || !currentLandscape) return;
+  try {
+    await autosaveWorld();
+  } catch (err) {
+    showWorldError(err);
+  }
+}, AUTOSAVE_INTERVAL_MS);
+
 // --- Resize ---
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
@@ -1198,11 +3775,30 @@ window.addEventListener('resize', () => {
 const clock = new THREE.Clock();
 let prevTime = 0;
 
+// In endless worlds terrain chunks stream in around the camera, and the sky,
+// water and sun travel with it. The water moves in whole grid steps so its
+// waves (computed from world positions) don't slide.
+function followCamera() {
+  const { x, z } = camera.position;
+  terrainStreamer.update(x, z);
+  const water = currentLandscape.getObjectByName('water');
+  if (water) {
+    const { width, widthSegments } = water.geometry.parameters;
+    const step = width / widthSegments;
+    water.position.x = Math.round(x / step) * step;
+    water.position.z = Math.round(z / step) * step;
+  }
+  const sky = currentLandscape.getObjectByName('sky');
+  if (sky) sky.position.set(x, 0, z);
+  placeSun(x, z);
+}
+
 function animate() {
   requestAnimationFrame(animate);
 
   const elapsed = clock.getElapsedTime();
-  const delta = elapsed - prevTime;
+  // Cap the step so a stalled tab doesn't tunnel the player through blocks
+  const delta = Math.min(elapsed - prevTime, 0.1);
   prevTime = elapsed;
 
   // --- First-person movement ---
@@ -1222,6 +3818,8 @@ function animate() {
       fpDirection.z += touchMoveDir.y; // joystick up = forward = -z
     }
 
+    // Horizontal velocity in world space (units/s)
+    fpVelocity.set(0, 0, 0);
     if (fpDirection.lengthSq() > 0) {
       fpDirection.normalize();
 
@@ -1233,23 +3831,35 @@ function animate() {
       const right = new THREE.Vector3();
       right.crossVectors(forward, new THREE.Vector3(0, 1, 0)).normalize();
 
-      fpVelocity.set(0, 0, 0);
       fpVelocity.addScaledVector(forward, -fpDirection.z);
       fpVelocity.addScaledVector(right, fpDirection.x);
-      fpVelocity.normalize().multiplyScalar(speed * delta);
-
-      camera.position.add(fpVelocity);
+      fpVelocity.normalize().multiplyScalar(speed);
     }
 
-    const halfBound = 95;
-    camera.position.x = THREE.MathUtils.clamp(camera.position.x, -halfBound, halfBound);
-    camera.position.z = THREE.MathUtils.clamp(camera.position.z, -halfBound, halfBound);
-
-    const groundY = getTerrainHeight(camera.position.x, camera.position.z);
-    const waterLevel = 2.0;
-    const floorY = Math.max(groundY, waterLevel);
-    const targetY = floorY + EYE_HEIGHT;
-    camera.position.y += (targetY - camera.position.y) * Math.min(1, delta * 8);
+    // The island keeps the player over land; endless worlds have no edge
+    const halfBound = terrainStreamer ? Infinity : 95;
+    if (flyMode) {
+      camera.position.addScaledVector(fpVelocity, delta);
+      camera.position.x = THREE.MathUtils.clamp(camera.position.x, -halfBound, halfBound);
+      camera.position.z = THREE.MathUtils.clamp(camera.position.z, -halfBound, halfBound);
+
+      const groundY = getTerrainHeight(camera.position.x, camera.position.z);
+      const floorY = Math.max(groundY, getWaterLevel());
+      const targetY = floorY + EYE_HEIGHT;
+      camera.position.y += (targetY - camera.position.y) * Math.min(1, delta * 8);
+    } else {
+      stepPlayer(playerBody, { moveX: fpVelocity.x, moveZ: fpVelocity.z, jump: moveState.jump }, delta, collisionWorld);
+      const p = playerBody.position;
+      p.x = THREE.MathUtils.clamp(p.x, -halfBound, halfBound);
+      p.z = THREE.MathUtils.clamp(p.z, -halfBound, halfBound);
+
+      // Ease the camera up after a step-up; follow falls directly
+      const eyeY = p.y + PLAYER_EYE_HEIGHT;
+      const camY = eyeY > camera.position.y
+        ? camera.position.y + (eyeY - camera.position.y) * Math.min(1, delta * 15)
+        : eyeY;
+      camera.position.set(p.x, camY, p.z);
+    }
 
     // Update ghost block preview
     updateGhostBlock();
@@ -1259,6 +3869,15 @@ function animate() {
     orbitControls.update();
   }
 
+  // Re-mesh chunks whose blocks changed since the last frame
+  blockRenderer.update();
+  terrainRenderer.update();
+  benchRenderer.update();
+  updateLampLights();
+
+  if (terrainStreamer) followCamera();
+  if (currentLandscape && biomeOverlayToggle.checked) updateBiomeHere();
+
   if (currentLandscape) {
     const water = currentLandscape.getObjectByName('water');
     if (water) animateWater(water, elapsed);
@@ -1270,8 +3889,9 @@ function animate() {
 
     const clouds = currentLandscape.getObjectByName('clouds');
     if (clouds) {
-      clouds.position.x = Math.sin(elapsed * 0.02) * 5;
-      clouds.position.z = elapsed * 0.3 % 50 - 25;
+      const { x, z } = currentLandscape.getObjectByName('sky').position;
+      clouds.position.x = x + Math.sin(elapsed * 0.02) * 5;
+      clouds.position.z = z + elapsed * 0.3 % 50 - 25;
     }
   }
 
@@ -1459,13 +4079,15 @@ if (isTouchDevice) {
     const hit = getAimTarget();
     if (!hit) return;
 
+    if (selectionMode) {
+      setSelectionCorner(0, getSelectionCell(hit));
+      return;
+    }
+
     const pos = getPlacementPos(hit);
     // Don't place block inside the player
-    const dx = pos.x - camera.position.x;
-    const dy = pos.y - camera.position.y;
-    const dz = pos.z - camera.position.z;
-    if (Math.abs(dx) < 0.8 && Math.abs(dz) < 0.8 && dy > -2 && dy < 0.5) return;
-    placeBlock(pos.x, pos.y, pos.z);
+    if (!pos || isInsidePlayer(pos)) return;
+    placeBlockSymmetric(pos);
   }
 
   function handleLongPress() {
@@ -1478,8 +4100,13 @@ if (isTouchDevice) {
     const hit = getAimTarget();
     if (!hit) return;
 
-    if (hit.object.userData.isBlock) {
-      removeBlock(hit.object);
+    if (selectionMode) {
+      setSelectionCorner(1, getSelectionCell(hit));
+      return;
+    }
+
+    if (hit.block) {
+      removeBlockSymmetric(hit.block);
     }
   }
 }
@@ -1488,3 +4115,4 @@ if (isTouchDevice) {
 generate();
 updateTimeOfDay(timeOfDay);
 timeLabel.textContent = getTimeLabel(timeOfDay);
+renderWorldList();
@@ -0,0 +1,112 @@
+// --- Block Bench: compare models on the same prompt ---
+// Pure helpers for the bench runner in app.js: parsing the model list,
+// per-structure stats, the row layout on the test plot and the report
+// export. Network and scene work stay in app.js.
+
+import { BLOCKS } from './blocks.js';
+import { PROVIDERS } from './providers.js';
+
+// One model per line: "provider:model", optionally followed by a price in
+// USD per million input/output tokens, e.g.
+//   anthropic:claude-sonnet-4-5-20250929 @3/15
+//   ollama:llama3.1
+// Blank lines and lines starting with # are ignored. Throws on bad lines.
+export function parseBenchModels(text) {
+  const models = [];
+  text.split('\n').forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const match = line.match(/^([\w-]+):(\S+)(?:\s+@\s*([\d.]+)\s*\/\s*([\d.]+))?$/);
+    if (!match) throw new Error(`Line ${i + 1}: expected "provider:model [@in/out]"`);
+    const [, providerId, model, priceIn, priceOut] = match;
+    if (!PROVIDERS[providerId]) {
+      throw new Error(`Line ${i + 1}: unknown provider "${providerId}" (use ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    models.push({
+      label: `${providerId}:${model}`,
+      providerId,
+      model,
+      price: priceIn === undefined ? null : { input: Number(priceIn), output: Number(priceOut) },
+    });
+  });
+  return models;
+}
+
+// Block count, bounding box and material histogram (by block name)
+export function structureStats(blocks) {
+  const materials = {};
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (const b of blocks) {
+    const name = BLOCKS[b.type].name;
+    materials[name] = (materials[name] || 0) + 1;
+    minX = Math.min(minX, b.x); maxX = Math.max(maxX, b.x);
+    minY = Math.min(minY, b.y); maxY = Math.max(maxY, b.y);
+    minZ = Math.min(minZ, b.z); maxZ = Math.max(maxZ, b.z);
+  }
+  const bbox = blocks.length === 0
+    ? { min: null, size: { x: 0, y: 0, z: 0 } }
+    : {
+      min: { x: minX, y: minY, z: minZ },
+      size: { x: maxX - minX + 1, y: maxY - minY + 1, z: maxZ - minZ + 1 },
+    };
+  return { blockCount: blocks.length, bbox, materials };
+}
+
+// USD for the reported usage, or null without a price or token counts
+export function tokenCost(price, usage) {
+  if (!price || usage.inputTokens === undefined || usage.outputTokens === undefined) return null;
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+// Offsets that put the structures side by side along +x with `gap` cells
+// between bounding boxes, each shifted so its box starts at y = 0 and is
+// centred on z = 0. Returns [{ x, y, z }] per result plus the row width.
+export function layoutRow(statsList, gap) {
+  const offsets = [];
+  let cursor = 0;
+  for (const { bbox } of statsList) {
+    if (!bbox.min) {
+      offsets.push({ x: cursor, y: 0, z: 0 });
+      cursor += gap;
+      continue;
+    }
+    offsets.push({
+      x: cursor - bbox.min.x,
+      y: -bbox.min.y,
+      z: -bbox.min.z - Math.floor(bbox.size.z / 2),
+    });
+    cursor += bbox.size.x + gap;
+  }
+  return { offsets, width: Math.max(0, cursor - gap) };
+}
+
+// --- Report export ---
+
+const CSV_COLUMNS = [
+  'label', 'provider', 'model', 'blockCount', 'sizeX', 'sizeY', 'sizeZ',
+  'inputTokens', 'outputTokens', 'costUsd', 'latencyMs', 'parseFailed',
+  'invalidEntries', 'error', 'materials',
+];
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per model; materials as "Stone:12;Glass:4"
+export function benchReportToCSV(report) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const r of report.results) {
+    const materials = Object.entries(r.materials).map(([name, n]) => `${name}:${n}`).join(';');
+    rows.push([
+      r.label, r.provider, r.model, r.blockCount,
+      r.bbox.size.x, r.bbox.size.y, r.bbox.size.z,
+      r.inputTokens, r.outputTokens, r.costUsd === null ? '' : r.costUsd.toFixed(6),
+      Math.round(r.latencyMs), r.parseFailed, r.invalidEntries, r.error, materials,
+    ].map(csvField).join(','));
+  }
+  return rows.join('\n') + '\n';
+}
@@ -0,0 +1,181 @@
+// --- Biomes ---
+// Two low-frequency noise fields, temperature and moisture, give every
+// point of the world a climate. Each biome sits at one point of that
+// climate square; a location's biome weights fall off with its climate
+// distance from them, so terrain height and colour blend smoothly across
+// borders, while discrete choices (tree species, blockify materials) go to
+// the strongest biome.
+//
+// Biome fields:
+//   climate  { temperature, moisture } in 0..1
+//   debug    colour in the biome overlay
+//   shape    (h, x, z) => h, applied to the base height (0..1)
+//   colors   terrain colour ramp: shore, ground, rock and snow, or `bands`
+//            of colour by elevation above the shore (mesa strata)
+//   trees    { species, density, band: [min, max] height }
+//   rocks    { density, color }
+//   flowers  { density, colors }
+//   blocks   blockify [surface, fill] types for the shore, ground and rock
+//            height bands
+
+import { createNoise2D } from 'simplex-noise';
+import { BLOCK } from './blocks.js';
+import { mulberry32, hashCoords } from './random.js';
+
+const CLIMATE_SCALE = 0.005;
+// Climate distance over which a biome's weight falls off
+const BLEND_WIDTH = 0.1;
+// Weights below this are dropped, so most points blend only two biomes
+const MIN_WEIGHT = 0.01;
+
+const GRASS_FLOWERS = [0xff6b8a, 0xffaa33, 0xdd44ff, 0xffee44, 0xff4466, 0x66bbff];
+
+// Flat-topped steps with steep risers
+function terrace(h, steps) {
+  const t = h * steps;
+  const step = Math.floor(t);
+  const f = t - step;
+  const rise = f < 0.75 ? 0 : (f - 0.75) / 0.25;
+  return (step + rise * rise * (3 - 2 * rise)) / steps;
+}
+
+export const BIOMES = [
+  {
+    id: 'plains',
+    name: 'Plains',
+    climate: { temperature: 0.5, moisture: 0.3 },
+    debug: 0x9ccc65,
+    shape: h => h * 0.65 + 0.05,
+    colors: { shore: 0xc2b280, ground: 0x6a9a45, rock: 0x6b6b6b, snow: 0xf0f0f0 },
+    trees: { species: ['oak'], density: 0.12, band: [0.12, 0.48] },
+    rocks: { density: 0.4, color: 0x7a7a7a },
+    flowers: { density: 1, colors: GRASS_FLOWERS },
+    blocks: { shore: [BLOCK.SAND, BLOCK.SAND], ground: [BLOCK.GRASS, BLOCK.DIRT], rock: [BLOCK.STONE, BLOCK.STONE] },
+  },
+  {
+    id: 'forest',
+    name: 'Forest',
+    climate: { temperature: 0.45, moisture: 0.68 },
+    debug: 0x2e7d32,
+    shape: h => h * 1.05 + 0.02,
+    colors: { shore: 0xc2b280, ground: 0x3f6e32, rock: 0x6b6b6b, snow: 0xf0f0f0 },
+    trees: { species: ['pine', 'oak', 'pine'], density: 1, band: [0.12, 0.52] },
+    rocks: { density: 0.6, color: 0x7a7a7a },
+    flowers: { density: 0.35, colors: [0xffffff, 0xdd44ff, 0x66bbff] },
+    blocks: { shore: [BLOCK.SAND, BLOCK.SAND], ground: [BLOCK.GRASS, BLOCK.DIRT], rock: [BLOCK.STONE, BLOCK.STONE] },
+  },
+  {
+    id: 'swamp',
+    name: 'Swamp',
+    climate: { temperature: 0.68, moisture: 0.92 },
+    debug: 0x556b2f,
+    // Low and flat, so the water fills the hollows
+    shape: h => h * 0.3 + 0.055,
+    colors: { shore: 0x5a4a2e, ground: 0x4d5e30, rock: 0x5f6358, snow: 0xe8e8e8 },
+    trees: { species: ['swamp'], density: 0.45, band: [0.07, 0.4] },
+    rocks: { density: 0.1, color: 0x5f6358 },
+    flowers: { density: 0.3, colors: [0xffffff, 0xb388ff] },
+    blocks: { shore: [BLOCK.DIRT, BLOCK.DIRT], ground: [BLOCK.GRASS, BLOCK.DIRT], rock: [BLOCK.STONE, BLOCK.STONE] },
+  },
+  {
+    id: 'desert',
+    name: 'Desert',
+    climate: { temperature: 0.85, moisture: 0.18 },
+    debug: 0xf4d35e,
+    // Gentle land with dune ridges
+    shape: (h, x, z) => h * 0.55 + 0.07 + 0.02 * (1 - Math.abs(Math.sin(x * 0.09 + Math.sin(z * 0.04) * 2))),
+    colors: { shore: 0xd8c690, ground: 0xdcc282, rock: 0xc8a46a, snow: 0xc8a46a },
+    trees: { species: ['cactus'], density: 0.06, band: [0.09, 0.6] },
+    rocks: { density: 0.25, color: 0xb8955e },
+    flowers: { density: 0.03, colors: [0xffee44, 0xff6b8a] },
+    blocks: { shore: [BLOCK.SAND, BLOCK.SAND], ground: [BLOCK.SAND, BLOCK.SAND], rock: [BLOCK.SAND, BLOCK.STONE] },
+  },
+  {
+    id: 'mesa',
+    name: 'Mesa',
+    climate: { temperature: 0.8, moisture: 0.45 },
+    debug: 0xd2691e,
+    shape: h => terrace(h * 1.15 + 0.04, 9),
+    colors: {
+      shore: 0xc46a35,
+      bands: [0xb5562b, 0xd08a4e, 0x9c4a30, 0xe0b080, 0xa85a38, 0xc87545],
+    },
+    trees: { species: ['shrub'], density: 0.08, band: [0.09, 0.7] },
+    rocks: { density: 0.5, color: 0xa85a38 },
+    flowers: { density: 0.02, colors: [0xffaa33] },
+    blocks: { shore: [BLOCK.RED_SAND, BLOCK.RED_SAND], ground: [BLOCK.RED_SAND, BLOCK.TERRACOTTA], rock: [BLOCK.TERRACOTTA, BLOCK.TERRACOTTA] },
+  },
+  {
+    id: 'tundra',
+    name: 'Tundra',
+    climate: { temperature: 0.12, moisture: 0.5 },
+    debug: 0xb3e5fc,
+    // Higher, craggier land
+    shape: h => h * 1.25 + 0.03,
+    colors: { shore: 0x8f8f84, ground: 0xdfe6ea, rock: 0x7d8288, snow: 0xffffff },
+    trees: { species: ['spruce'], density: 0.3, band: [0.12, 0.6] },
+    rocks: { density: 0.8, color: 0x8a8f96 },
+    flowers: { density: 0.05, colors: [0xffffff, 0x9fc5ff] },
+    blocks: { shore: [BLOCK.STONE, BLOCK.STONE], ground: [BLOCK.SNOW, BLOCK.DIRT], rock: [BLOCK.SNOW, BLOCK.STONE] },
+  },
+];
+
+function fbm2(noise2D, x, z) {
+  return (noise2D(x, z) + 0.5 * noise2D(x * 2.1, z * 2.1)) / 1.5;
+}
+
+// Climate and biome lookup for one seed. The climate noise has its own
+// generators, so biomes don't disturb the terrain noise of existing seeds.
+export function createBiomeMap(seed) {
+  const rng = mulberry32(hashCoords(seed, 0x62696f6d, 0x65));
+  const temperatureNoise = createNoise2D(rng);
+  const moistureNoise = createNoise2D(rng);
+
+  // Stretched so the corners of the climate square occur too
+  const toClimate = v => Math.min(1, Math.max(0, 0.5 + v * 0.8));
+
+  function climate(x, z) {
+    return {
+      temperature: toClimate(fbm2(temperatureNoise, x * CLIMATE_SCALE, z * CLIMATE_SCALE)),
+      moisture: toClimate(fbm2(moistureNoise, x * CLIMATE_SCALE + 57.1, z * CLIMATE_SCALE - 91.3)),
+    };
+  }
+
+  // Normalized weight of every biome (in BIOMES order) at (x, z), written
+  // into `out`
+  function weights(x, z, out = new Float32Array(BIOMES.length)) {
+    const { temperature, moisture } = climate(x, z);
+    let total = 0;
+    for (let i = 0; i < BIOMES.length; i++) {
+      const c = BIOMES[i].climate;
+      const dt = temperature - c.temperature;
+      const dm = moisture - c.moisture;
+      out[i] = Math.exp(-(dt * dt + dm * dm) / (2 * BLEND_WIDTH * BLEND_WIDTH));
+      total += out[i];
+    }
+    let kept = 0;
+    for (let i = 0; i < BIOMES.length; i++) {
+      out[i] = out[i] / total < MIN_WEIGHT ? 0 : out[i];
+      kept += out[i];
+    }
+    for (let i = 0; i < BIOMES.length; i++) out[i] /= kept;
+    return out;
+  }
+
+  // The strongest biome at (x, z): the one with the nearest climate
+  function biomeAt(x, z) {
+    const { temperature, moisture } = climate(x, z);
+    let best = BIOMES[0];
+    let bestDistance = Infinity;
+    for (const biome of BIOMES) {
+      const d = (temperature - biome.climate.temperature) ** 2 + (moisture - biome.climate.moisture) ** 2;
+      if (d < bestDistance) {
+        best = biome;
+        bestDistance = d;
+      }
+    }
+    return best;
+  }
+
+  return { climate, weights, biomeAt };
+}
@@ -0,0 +1,415 @@
+import * as THREE from 'three';
+
+// --- Block registry ---
+// Single source of truth for block types. The array index is the block id
+// used everywhere (placed blocks, blueprints, JSON import/export, blockify),
+// so existing ids must never be reordered — only append new types.
+//
+// Fields:
+//   name      display name (also accepted as `type` in imported JSON)
+//   color     representative colour (ghost previews, fallbacks)
+//   textures  procedural texture per face: { top, bottom, side }
+//   opacity   < 1 renders blended (glass, water)
+//   cutout    alpha-tested holes in the texture (leaves)
+//   light     light level 0-15: emissive glow, and a point light when placed
+//             near the camera (see the lamp light pool in app.js)
+//   solid     blocks player movement
+//   use       short usage hint for the AI system prompt
+
+export const BLOCKS = [
+  { name: 'Dirt',        color: 0x8b6914, roughness: 0.95, textures: { side: 'dirt' },                                       use: 'ground, fill' },
+  { name: 'Grass',       color: 0x4a7c3f, roughness: 0.9,  textures: { top: 'grass-top', bottom: 'dirt', side: 'grass-side' }, use: 'rooftop gardens, lawns' },
+  { name: 'Stone',       color: 0x888888, roughness: 0.95, textures: { side: 'stone' },                                      use: 'foundations, walls' },
+  { name: 'Wood',        color: 0x9e7c4a, roughness: 0.85, textures: { side: 'wood' },                                       use: 'walls, framing' },
+  { name: 'Sand',        color: 0xd4c48a, roughness: 0.95, textures: { side: 'sand' },                                       use: 'paths, beaches' },
+  { name: 'Glass',       color: 0x8cc8ff, roughness: 0.1,  textures: { side: 'glass' }, opacity: 0.4,                        use: 'windows' },
+  { name: 'Log',         color: 0x6b4a2b, roughness: 0.9,  textures: { top: 'log-top', bottom: 'log-top', side: 'log-side' }, use: 'pillars, beams, tree trunks' },
+  { name: 'Planks',      color: 0xb08850, roughness: 0.85, textures: { side: 'planks' },                                     use: 'floors, roofs, doors' },
+  { name: 'Brick',       color: 0x9c4a3a, roughness: 0.9,  textures: { side: 'brick' },                                      use: 'walls, chimneys' },
+  { name: 'Leaves',      color: 0x3d7a2a, roughness: 0.8,  textures: { side: 'leaves' }, cutout: true,                       use: 'tree crowns, hedges' },
+  { name: 'Water',       color: 0x2a70b8, roughness: 0.1,  textures: { side: 'water' }, opacity: 0.6, solid: false,          use: 'pools, fountains, moats' },
+  { name: 'Lamp',        color: 0xffd27a, roughness: 0.4,  textures: { side: 'lamp' }, light: 15,                            use: 'lights, lanterns' },
+  { name: 'Cobblestone', color: 0x7a7a7a, roughness: 0.95, textures: { side: 'cobble' },                                     use: 'castle walls, paving' },
+  { name: 'Snow',        color: 0xf0f4f8, roughness: 0.9,  textures: { side: 'snow' },                                       use: 'snowy roofs, peaks' },
+  { name: 'Red Sand',    color: 0xc46a35, roughness: 0.95, textures: { side: 'red-sand' },                                   use: 'desert paths, mesa ground' },
+  { name: 'Terracotta',  color: 0xa85a38, roughness: 0.9,  textures: { side: 'terracotta' },                                 use: 'adobe walls, roof tiles' },
+  { name: 'Gravel',      color: 0x847c76, roughness: 0.95, textures: { side: 'gravel' },                                     use: 'paths, riverbeds' },
+  { name: 'Coal Ore',    color: 0x6e6e6e, roughness: 0.95, textures: { side: 'coal-ore' },                                   use: 'mines, cave walls' },
+  { name: 'Iron Ore',    color: 0x8f8580, roughness: 0.9,  textures: { side: 'iron-ore' },                                   use: 'mines, cave walls' },
+  { name: 'Gold Ore',    color: 0x9a8f66, roughness: 0.8,  textures: { side: 'gold-ore' },                                   use: 'mines, treasure vaults' },
+  { name: 'Bedrock',     color: 0x3c3c3c, roughness: 1,    textures: { side: 'bedrock' },                                    use: 'dark floors, dungeon walls' },
+];
+
+// Named ids for code that needs a specific block
+export const BLOCK = {
+  DIRT: 0,
+  GRASS: 1,
+  STONE: 2,
+  WOOD: 3,
+  SAND: 4,
+  GLASS: 5,
+  LOG: 6,
+  PLANKS: 7,
+  BRICK: 8,
+  LEAVES: 9,
+  WATER: 10,
+  LAMP: 11,
+  COBBLESTONE: 12,
+  SNOW: 13,
+  RED_SAND: 14,
+  TERRACOTTA: 15,
+  GRAVEL: 16,
+  COAL_ORE: 17,
+  IRON_ORE: 18,
+  GOLD_ORE: 19,
+  BEDROCK: 20,
+};
+
+export const BLOCK_COUNT = BLOCKS.length;
+
+// Face order matches THREE.BoxGeometry material groups: +x, -x, +y, -y, +z, -z
+export const FACE_COUNT = 6;
+
+export function isTransparent(type) {
+  const b = BLOCKS[type];
+  return (b.opacity ?? 1) < 1 || !!b.cutout;
+}
+
+export function isSolid(type) {
+  return BLOCKS[type].solid !== false;
+}
+
+export function getLightLevel(type) {
+  return BLOCKS[type].light || 0;
+}
+
+// Coerce an imported `type` value to a valid block id: numbers are rounded and
+// clamped, names are matched case-insensitively, anything else becomes Stone.
+export function normalizeBlockType(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.max(0, Math.min(BLOCK_COUNT - 1, Math.round(value)));
+  }
+  if (typeof value === 'string') {
+    const name = value.trim().toLowerCase();
+    const idx = BLOCKS.findIndex(b => b.name.toLowerCase() === name);
+    if (idx !== -1) return idx;
+  }
+  return BLOCK.STONE;
+}
+
+// "0 = Dirt (ground, fill)" lines for the AI system prompt
+export function describeBlocksForPrompt() {
+  return BLOCKS.map((b, i) => `${i} = ${b.name} (${b.use})`).join('\n');
+}
+
+// =============================================
+// PROCEDURAL TEXTURES
+// =============================================
+
+const TEX_SIZE = 16;
+
+// Deterministic per-pixel hash in [0, 1)
+function hash(x, y, salt) {
+  let h = Math.imul(x * 374761393 + y * 668265263 + salt * 2147483647, 1274126177);
+  h = Math.imul(h ^ (h >>> 13), 1103515245);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+function shade(hex, factor, alpha = 1) {
+  const c = new THREE.Color(hex).multiplyScalar(factor);
+  const r = Math.round(THREE.MathUtils.clamp(c.r, 0, 1) * 255);
+  const g = Math.round(THREE.MathUtils.clamp(c.g, 0, 1) * 255);
+  const b = Math.round(THREE.MathUtils.clamp(c.b, 0, 1) * 255);
+  return `rgba(${r},${g},${b},${alpha})`;
+}
+
+function fillNoise(ctx, base, amount, salt) {
+  for (let y = 0; y < TEX_SIZE; y++) {
+    for (let x = 0; x < TEX_SIZE; x++) {
+      ctx.fillStyle = shade(base, 1 - amount + hash(x, y, salt) * amount * 2);
+      ctx.fillRect(x, y, 1, 1);
+    }
+  }
+}
+
+// Stone with clusters of coloured specks
+function paintOre(ctx, speck, salt) {
+  PAINTERS.stone(ctx);
+  for (let i = 0; i < 5; i++) {
+    const cx = 1 + Math.floor(hash(i, 0, salt) * (TEX_SIZE - 3));
+    const cy = 1 + Math.floor(hash(i, 1, salt) * (TEX_SIZE - 3));
+    for (let k = 0; k < 3; k++) {
+      ctx.fillStyle = shade(speck, 0.8 + hash(i, k, salt + 1) * 0.4);
+      ctx.fillRect(cx + Math.floor(hash(i, k + 2, salt) * 2), cy + Math.floor(hash(i, k + 5, salt) * 2), 1, 1);
+    }
+  }
+}
+
+// Painters draw one 16×16 face; canvas row 0 is the top of the block side
+const PAINTERS = {
+  'dirt': ctx => fillNoise(ctx, 0x8b6914, 0.18, 1),
+  'grass-top': ctx => fillNoise(ctx, 0x4a7c3f, 0.15, 2),
+  'grass-side': ctx => {
+    fillNoise(ctx, 0x8b6914, 0.18, 1);
+    for (let x = 0; x < TEX_SIZE; x++) {
+      const depth = 3 + Math.floor(hash(x, 0, 3) * 3);
+      for (let y = 0; y < depth; y++) {
+        ctx.fillStyle = shade(0x4a7c3f, 0.85 + hash(x, y, 2) * 0.3);
+        ctx.fillRect(x, y, 1, 1);
+      }
+    }
+  },
+  'stone': ctx => {
+    fillNoise(ctx, 0x888888, 0.12, 4);
+    for (let i = 0; i < 10; i++) {
+      ctx.fillStyle = shade(0x888888, 0.7);
+      ctx.fillRect(Math.floor(hash(i, 1, 5) * TEX_SIZE), Math.floor(hash(i, 2, 5) * TEX_SIZE), 2, 1);
+    }
+  },
+  'wood': ctx => {
+    for (let y = 0; y < TEX_SIZE; y++) {
+      for (let x = 0; x < TEX_SIZE; x++) {
+        const grain = Math.sin(x * 1.3 + hash(x, 0, 6) * 2) * 0.06;
+        ctx.fillStyle = shade(0x9e7c4a, 0.95 + grain + hash(x, y, 7) * 0.08);
+        ctx.fillRect(x, y, 1, 1);
+      }
+    }
+  },
+  'sand': ctx => fillNoise(ctx, 0xd4c48a, 0.08, 8),
+  'glass': ctx => {
+    ctx.fillStyle = shade(0x8cc8ff, 1);
+    ctx.fillRect(0, 0, TEX_SIZE, TEX_SIZE);
+    // Pale frame and a diagonal glint
+    ctx.fillStyle = shade(0xdff0ff, 1);
+    ctx.fillRect(0, 0, TEX_SIZE, 1);
+    ctx.fillRect(0, TEX_SIZE - 1, TEX_SIZE, 1);
+    ctx.fillRect(0, 0, 1, TEX_SIZE);
+    ctx.fillRect(TEX_SIZE - 1, 0, 1, TEX_SIZE);
+    for (let i = 0; i < 4; i++) ctx.fillRect(3 + i, 9 - i, 1, 1);
+  },
+  'log-side': ctx => {
+    for (let y = 0; y < TEX_SIZE; y++) {
+      for (let x = 0; x < TEX_SIZE; x++) {
+        const stripe = x % 4 === 0 ? 0.75 : 1;
+        ctx.fillStyle = shade(0x6b4a2b, stripe * (0.9 + hash(x, y, 9) * 0.2));
+        ctx.fillRect(x, y, 1, 1);
+      }
+    }
+  },
+  'log-top': ctx => {
+    for (let y = 0; y < TEX_SIZE; y++) {
+      for (let x = 0; x < TEX_SIZE; x++) {
+        const r = Math.hypot(x - 7.5, y - 7.5);
+        if (r > 7) {
+          ctx.fillStyle = shade(0x6b4a2b, 0.9);
+        } else {
+          const ring = Math.floor(r) % 2 === 0 ? 1 : 0.85;
+          ctx.fillStyle = shade(0xb89460, ring * (0.95 + hash(x, y, 10) * 0.1));
+        }
+        ctx.fillRect(x, y, 1, 1);
+      }
+    }
+  },
+  'planks': ctx => {
+    fillNoise(ctx, 0xb08850, 0.08, 11);
+    ctx.fillStyle = shade(0xb08850, 0.6);
+    for (let y = 3; y < TEX_SIZE; y += 4) ctx.fillRect(0, y, TEX_SIZE, 1);
+    for (let row = 0; row < 4; row++) {
+      const x = (row % 2 === 0 ? 4 : 11);
+      ctx.fillRect(x, row * 4, 1, 3);
+    }
+  },
+  'brick': ctx => {
+    ctx.fillStyle = shade(0xc8c0b0, 0.9);
+    ctx.fillRect(0, 0, TEX_SIZE, TEX_SIZE);
+    for (let row = 0; row < 4; row++) {
+      const offset = row % 2 === 0 ? 0 : 4;
+      for (let col = -1; col < 2; col++) {
+        const bx = col * 8 + offset;
+        ctx.fillStyle = shade(0x9c4a3a, 0.85 + hash(col + 2, row, 12) * 0.3);
+        ctx.fillRect(bx + 1, row * 4 + 1, 7, 3);
+      }
+    }
+  },
+  'leaves': ctx => {
+    ctx.clearRect(0, 0, TEX_SIZE, TEX_SIZE);
+    for (let y = 0; y < TEX_SIZE; y++) {
+      for (let x = 0; x < TEX_SIZE; x++) {
+        if (hash(x, y, 13) < 0.22) continue; // holes
+        ctx.fillStyle = shade(0x3d7a2a, 0.75 + hash(x, y, 14) * 0.5);
+        ctx.fillRect(x, y, 1, 1);
+      }
+    }
+  },
+  'water': ctx => {
+    fillNoise(ctx, 0x2a70b8, 0.08, 15);
+    ctx.fillStyle = shade(0x7ab8f0, 1);
+    for (let i = 0; i < 5; i++) {
+      ctx.fillRect(Math.floor(hash(i, 3, 16) * 12), Math.floor(hash(i, 4, 16) * TEX_SIZE), 4, 1);
+    }
+  },
+  'lamp': ctx => {
+    ctx.fillStyle = shade(0x5a4020, 1);
+    ctx.fillRect(0, 0, TEX_SIZE, TEX_SIZE);
+    for (let y = 2; y < TEX_SIZE - 2; y++) {
+      for (let x = 2; x < TEX_SIZE - 2; x++) {
+        const glow = 1 - Math.hypot(x - 7.5, y - 7.5) / 12;
+        ctx.fillStyle = shade(0xffd27a, 0.8 + glow * 0.4);
+        ctx.fillRect(x, y, 1, 1);
+      }
+    }
+  },
+  'cobble': ctx => {
+    ctx.fillStyle = shade(0x7a7a7a, 0.55);
+    ctx.fillRect(0, 0, TEX_SIZE, TEX_SIZE);
+    for (let i = 0; i < 9; i++) {
+      const cx = (i % 3) * 5 + 1 + Math.floor(hash(i, 5, 17) * 2);
+      const cy = Math.floor(i / 3) * 5 + 1 + Math.floor(hash(i, 6, 17) * 2);
+      ctx.fillStyle = shade(0x7a7a7a, 0.85 + hash(i, 7, 17) * 0.35);
+      ctx.fillRect(cx, cy, 4, 4);
+    }
+  },
+  'snow': ctx => fillNoise(ctx, 0xf0f4f8, 0.04, 18),
+  'red-sand': ctx => fillNoise(ctx, 0xc46a35, 0.08, 19),
+  'terracotta': ctx => {
+    fillNoise(ctx, 0xa85a38, 0.06, 20);
+    // Faint horizontal strata
+    for (let y = 0; y < TEX_SIZE; y += 5) {
+      ctx.fillStyle = shade(0xa85a38, 0.88);
+      ctx.fillRect(0, y + Math.floor(hash(y, 0, 21) * 2), TEX_SIZE, 1);
+    }
+  },
+  'gravel': ctx => {
+    fillNoise(ctx, 0x847c76, 0.1, 22);
+    // Pebbles, light and dark
+    for (let i = 0; i < 14; i++) {
+      ctx.fillStyle = shade(0x847c76, hash(i, 0, 23) < 0.5 ? 0.65 : 1.25);
+      ctx.fillRect(Math.floor(hash(i, 1, 23) * 15), Math.floor(hash(i, 2, 23) * 15), 2, 2);
+    }
+  },
+  'coal-ore': ctx => paintOre(ctx, 0x1e1e1e, 24),
+  'iron-ore': ctx => paintOre(ctx, 0xd8a88a, 26),
+  'gold-ore': ctx => paintOre(ctx, 0xf5d040, 28),
+  'bedrock': ctx => {
+    for (let y = 0; y < TEX_SIZE; y++) {
+      for (let x = 0; x < TEX_SIZE; x++) {
+        ctx.fillStyle = shade(0x3c3c3c, hash(x, y, 30) < 0.3 ? 0.5 : 0.8 + hash(x, y, 31) * 0.6);
+        ctx.fillRect(x, y, 1, 1);
+      }
+    }
+  },
+};
+
+const canvasCache = new Map(); // painter name -> canvas
+const textureCache = new Map(); // painter name -> THREE.CanvasTexture
+
+function getCanvas(name) {
+  let canvas = canvasCache.get(name);
+  if (!canvas) {
+    canvas = document.createElement('canvas');
+    canvas.width = TEX_SIZE;
+    canvas.height = TEX_SIZE;
+    PAINTERS[name](canvas.getContext('2d'));
+    canvasCache.set(name, canvas);
+  }
+  return canvas;
+}
+
+function getTexture(name) {
+  let tex = textureCache.get(name);
+  if (!tex) {
+    tex = new THREE.CanvasTexture(getCanvas(name));
+    tex.magFilter = THREE.NearestFilter;
+    tex.minFilter = THREE.NearestMipmapLinearFilter;
+    tex.wrapS = THREE.RepeatWrapping;
+    tex.wrapT = THREE.RepeatWrapping;
+    tex.colorSpace = THREE.SRGBColorSpace;
+    textureCache.set(name, tex);
+  }
+  return tex;
+}
+
+function faceTextureName(block, face) {
+  const t = block.textures;
+  if (face === 2) return t.top || t.side;
+  if (face === 3) return t.bottom || t.side;
+  return t.side;
+}
+
+// =============================================
+// MATERIALS
+// =============================================
+// Materials are shared by every mesh that shows blocks and flagged with
+// userData.shared so scene teardown code leaves them alone.
+
+let faceMaterials = null;
+let ghostMaterials = null;
+
+function createFaceMaterial(block, textureName) {
+  const opacity = block.opacity ?? 1;
+  const map = getTexture(textureName);
+  const mat = new THREE.MeshStandardMaterial({
+    map,
+    roughness: block.roughness,
+    metalness: 0.05,
+    transparent: opacity < 1,
+    opacity,
+    alphaTest: block.cutout ? 0.5 : 0,
+    side: block.cutout ? THREE.DoubleSide : THREE.FrontSide,
+  });
+  if (block.light) {
+    mat.emissive.setHex(0xffffff);
+    mat.emissiveMap = map;
+    mat.emissiveIntensity = block.light / 15;
+  }
+  // Named after the block (and texture, for blocks with several) in exports
+  mat.name = textureName === block.textures.side ? block.name : `${block.name}_${textureName}`;
+  mat.userData.baseColor = block.color;
+  mat.userData.shared = true;
+  return mat;
+}
+
+// Flat array indexed by type * FACE_COUNT + face, for chunk meshes
+export function getFaceMaterials() {
+  if (faceMaterials) return faceMaterials;
+  faceMaterials = [];
+  for (const block of BLOCKS) {
+    const byTexture = new Map();
+    for (let face = 0; face < FACE_COUNT; face++) {
+      const name = faceTextureName(block, face);
+      if (!byTexture.has(name)) byTexture.set(name, createFaceMaterial(block, name));
+      faceMaterials.push(byTexture.get(name));
+    }
+  }
+  return faceMaterials;
+}
+
+export function faceMaterialIndex(type, face) {
+  return type * FACE_COUNT + face;
+}
+
+// The six face materials of one type, for a BoxGeometry mesh
+export function getBlockMaterials(type) {
+  return getFaceMaterials().slice(type * FACE_COUNT, (type + 1) * FACE_COUNT);
+}
+
+// Translucent flat-colour materials for blueprint ghosts, indexed by type
+export function getGhostMaterials() {
+  if (ghostMaterials) return ghostMaterials;
+  ghostMaterials = BLOCKS.map(b => {
+    const mat = new THREE.MeshBasicMaterial({
+      color: b.color,
+      transparent: true,
+      opacity: 0.35,
+      depthWrite: false,
+    });
+    mat.userData.shared = true;
+    return mat;
+  });
+  return ghostMaterials;
+}
+
+// Data URL of the block's side texture, for hotbar swatches
+export function getBlockSwatch(type) {
+  return getCanvas(BLOCKS[type].textures.side).toDataURL();
+}
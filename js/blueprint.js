@@ -0,0 +1,105 @@
+// --- Blueprint transforms ---
+// How a blueprint is turned before it is placed: mirrored along X and/or Z,
+// then rotated in 90° steps around X, around Z and finally around Y (the Q/E
+// rotation), and raised or lowered by whole blocks. Rotating around X or Z
+// tips the structure over, so the result is re-grounded: its lowest layer
+// stays at the height the untransformed structure started at.
+//
+// Placement helpers below work on the transformed blocks: where the ghost
+// goes for an aimed cell, and which columns get a foundation.
+
+import { BLOCK, isSolid, isTransparent, getLightLevel } from './blocks.js';
+
+export function createTransform() {
+  return { rotY: 0, rotX: 0, rotZ: 0, mirrorX: false, mirrorZ: false, offsetY: 0 };
+}
+
+// Without X/Z rotation every block can be transformed on its own (streaming)
+export function isUpright(t) {
+  return t.rotX === 0 && t.rotZ === 0;
+}
+
+// One block, without re-grounding. The vertical offset is not applied here:
+// it moves the whole ghost.
+export function transformBlock(b, t) {
+  let { x, y, z } = b;
+  if (t.mirrorX) x = -x;
+  if (t.mirrorZ) z = -z;
+  for (let i = 0; i < t.rotX; i++) [y, z] = [-z, y];
+  for (let i = 0; i < t.rotZ; i++) [x, y] = [-y, x];
+  // 90° clockwise around Y (seen from above): (x, z) -> (-z, x)
+  for (let i = 0; i < t.rotY; i++) [x, z] = [-z, x];
+  return { x, y, z, type: b.type };
+}
+
+export function transformBlocks(blocks, t) {
+  const out = blocks.map(b => transformBlock(b, t));
+  if (isUpright(t) || blocks.length === 0) return out;
+
+  let before = Infinity, after = Infinity;
+  for (const b of blocks) before = Math.min(before, b.y);
+  for (const b of out) after = Math.min(after, b.y);
+  for (const b of out) b.y += before - after;
+  return out;
+}
+
+// Short summary for the blueprint hint, e.g. "Y 90° · X 180° · mirror X · +2"
+export function describeTransform(t) {
+  const parts = [];
+  if (t.rotY) parts.push(`Y ${t.rotY * 90}\u00b0`);
+  if (t.rotX) parts.push(`X ${t.rotX * 90}\u00b0`);
+  if (t.rotZ) parts.push(`Z ${t.rotZ * 90}\u00b0`);
+  if (t.mirrorX) parts.push('mirror X');
+  if (t.mirrorZ) parts.push('mirror Z');
+  if (t.offsetY) parts.push(t.offsetY > 0 ? `+${t.offsetY}` : `${t.offsetY}`);
+  return parts.length > 0 ? parts.join(' \u00b7 ') : 'no transform';
+}
+
+// { min, max } cell corners of a block list, or null when it is empty
+export function blockBounds(blocks) {
+  if (blocks.length === 0) return null;
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  for (const b of blocks) {
+    min.x = Math.min(min.x, b.x); max.x = Math.max(max.x, b.x);
+    min.y = Math.min(min.y, b.y); max.y = Math.max(max.y, b.y);
+    min.z = Math.min(min.z, b.z); max.z = Math.max(max.z, b.z);
+  }
+  return { min, max };
+}
+
+// Blueprint origin for an aimed cell. The lowest layer sits in the cell;
+// against a block side the structure is pushed out so its near edge touches
+// the face, and under a ceiling it hangs from it. Along axes the face doesn't
+// point the local origin (the structure's centre) stays on the cell.
+export function anchorOrigin(cell, normal, bounds) {
+  if (!bounds) return { ...cell };
+  const along = (axis) => {
+    if (normal[axis] > 0) return cell[axis] - bounds.min[axis];
+    if (normal[axis] < 0) return cell[axis] - bounds.max[axis];
+    return axis === 'y' ? cell.y - bounds.min.y : cell[axis];
+  };
+  return { x: along('x'), y: along('y'), z: along('z') };
+}
+
+// What to build under a block: the block's own type, or stone under glass,
+// water, leaves, lamps and other see-through, non-solid or glowing blocks
+export function foundationType(type) {
+  return isSolid(type) && !isTransparent(type) && getLightLevel(type) === 0 ? type : BLOCK.STONE;
+}
+
+// The lowest block of every (x, z) column, with its foundationType
+export function foundationColumns(blocks) {
+  const columns = new Map(); // "x,z" -> { x, y, z, type }
+  for (const b of blocks) {
+    const key = `${b.x},${b.z}`;
+    const lowest = columns.get(key);
+    if (!lowest || b.y < lowest.y) columns.set(key, b);
+  }
+  return [...columns.values()].map(b => ({
+    x: b.x,
+    y: b.y,
+    z: b.z,
+    type: foundationType(b.type),
+  }));
+}
@@ -0,0 +1,84 @@
+// --- AI build conversations ---
+// One conversation per blueprint: the build prompt, the follow-up edits and
+// every version of the structure the model returned. A follow-up edits one
+// version (not necessarily the newest), so stepping back and refining again
+// branches from there. Only the edited version's block list is sent back to
+// the model; earlier answers on its path are summarised to keep requests small.
+
+const cellKey = (b) => `${b.x},${b.y},${b.z}`;
+
+// Block-level difference between two versions
+export function diffBlocks(before, after) {
+  const old = new Map(before.map(b => [cellKey(b), b]));
+  const added = [];
+  const changed = [];
+  for (const b of after) {
+    const prev = old.get(cellKey(b));
+    if (!prev) added.push(b);
+    else if (prev.type !== b.type) changed.push(b);
+    old.delete(cellKey(b));
+  }
+  return { added, removed: [...old.values()], changed };
+}
+
+export function createConversation() {
+  const versions = []; // [{ prompt, blocks, parent, diff, model, input }]
+  let current = -1;
+
+  // Versions from the first build down to `index`, oldest first
+  function pathTo(index) {
+    const path = [];
+    for (let i = index; i !== null && i >= 0; i = versions[i].parent) path.unshift(versions[i]);
+    return path;
+  }
+
+  // API messages for a new prompt. With no versions yet this is a fresh build,
+  // otherwise an edit of the current version.
+  function buildMessages(prompt) {
+    if (current < 0) return [{ role: 'user', content: prompt }];
+
+    const messages = [];
+    const path = pathTo(current);
+    path.forEach((v, i) => {
+      messages.push({ role: 'user', content: v.prompt });
+      const isBase = i === path.length - 1;
+      messages.push({
+        role: 'assistant',
+        content: isBase
+          ? JSON.stringify(v.blocks)
+          : `[version ${versions.indexOf(v) + 1}: ${v.blocks.length} blocks, replaced by the next version]`,
+      });
+    });
+    messages.push({
+      role: 'user',
+      content: `${prompt}\n\nApply this change to the structure above and output the complete updated JSON array (all blocks, not only the changes). Keep unchanged blocks at the same coordinates.`,
+    });
+    return messages;
+  }
+
+  // Store a model answer as a new version of the current one and select it.
+  // `model` names the model that answered (kept for the structure library),
+  // `input` the validation counts of its answer (see validation.js).
+  function addVersion(prompt, blocks, { model = null, input = null } = {}) {
+    const parent = current >= 0 ? current : null;
+    const diff = parent === null ? null : diffBlocks(versions[parent].blocks, blocks);
+    versions.push({ prompt, blocks, parent, diff, model, input });
+    current = versions.length - 1;
+    return versions[current];
+  }
+
+  function select(index) {
+    if (index < 0 || index >= versions.length) return null;
+    current = index;
+    return versions[current];
+  }
+
+  return {
+    buildMessages,
+    addVersion,
+    select,
+    get versions() { return versions; },
+    get current() { return current; },
+    get currentVersion() { return current >= 0 ? versions[current] : null; },
+  };
+}
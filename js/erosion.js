@@ -0,0 +1,440 @@
+// --- Erosion, lakes and rivers ---
+// An optional post-process for the island's heightmap. The analytic height
+// function is sampled into a grid with one vertex per world unit, then:
+//   1. particle-based hydraulic erosion: droplets run downhill, picking up
+//      sediment where they speed up and dropping it where they slow down
+//   2. thermal erosion: slopes steeper than the talus angle slump
+//   3. basin filling (priority flood): every depression above the sea
+//      becomes a lake at the height where it would spill over
+//   4. rivers: traced from high ground down the filled surface to the sea,
+//      through lakes, and carved into the terrain
+// Heights stay normalized (0..1, like sample()); the water levels too.
+
+import { mulberry32, hashCoords } from './random.js';
+
+// Hydraulic erosion, tuned for normalized heights on a 1-unit grid
+const DROPLETS_AT_FULL_STRENGTH = 50000;
+const DROPLET_STEPS = 30;
+const INERTIA = 0.05;
+const SEDIMENT_CAPACITY = 4;
+const MIN_CAPACITY_SLOPE = 0.01;
+const ERODE_SPEED = 0.3;
+const DEPOSIT_SPEED = 0.3;
+const EVAPORATE_SPEED = 0.01;
+const GRAVITY = 4;
+const BRUSH_RADIUS = 3;
+
+// Thermal erosion: height difference per cell above which material slides
+const TALUS = 0.04;
+const THERMAL_ITERATIONS_AT_FULL_STRENGTH = 20;
+
+// Filled surfaces rise by this much per cell so water always has a way down
+const FLOOD_EPSILON = 1e-5;
+// Basins shallower than this (world units) or smaller than this many
+// vertices stay dry
+const LAKE_MIN_DEPTH = 0.3;
+const LAKE_MIN_VERTICES = 6;
+
+// Rivers start on the highest land, this many cells apart at least
+const RIVER_SOURCE_SPACING = 12;
+const RIVER_SOURCE_MIN_HEIGHT = 0.35;
+// Channel depth (world units) and half-width (cells), growing with the
+// number of rivers that share a cell
+const RIVER_DEPTH = 0.6;
+const RIVER_DEPTH_PER_FLOW = 0.25;
+const RIVER_MAX_DEPTH = 1.6;
+const RIVER_WIDTH = 1;
+const RIVER_WIDTH_PER_FLOW = 0.5;
+const RIVER_MAX_WIDTH = 3;
+
+const NEIGHBOURS_4 = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const NEIGHBOURS_8 = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// Vertex (ix, iz) of an n×n grid is index iz * n + ix, at world
+// (x0 + ix, z0 + iz)
+function sampleGrid(sample, x0, z0, size) {
+  const n = size + 1;
+  const heights = new Float32Array(n * n);
+  for (let iz = 0; iz < n; iz++) {
+    for (let ix = 0; ix < n; ix++) heights[iz * n + ix] = sample(x0 + ix, z0 + iz);
+  }
+  return { n, heights };
+}
+
+// Bilinear height and gradient at grid position (px, pz)
+function heightAndGradient(heights, n, px, pz) {
+  const cx = Math.min(Math.floor(px), n - 2);
+  const cz = Math.min(Math.floor(pz), n - 2);
+  const u = px - cx;
+  const v = pz - cz;
+  const i = cz * n + cx;
+  const h00 = heights[i];
+  const h10 = heights[i + 1];
+  const h01 = heights[i + n];
+  const h11 = heights[i + n + 1];
+  return {
+    height: h00 * (1 - u) * (1 - v) + h10 * u * (1 - v) + h01 * (1 - u) * v + h11 * u * v,
+    gx: (h10 - h00) * (1 - v) + (h11 - h01) * v,
+    gz: (h01 - h00) * (1 - u) + (h11 - h10) * u,
+  };
+}
+
+function createBrush(radius) {
+  const brush = [];
+  let total = 0;
+  for (let dz = -radius; dz <= radius; dz++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const weight = radius - Math.hypot(dx, dz);
+      if (weight <= 0) continue;
+      brush.push({ dx, dz, weight });
+      total += weight;
+    }
+  }
+  for (const b of brush) b.weight /= total;
+  return brush;
+}
+
+function erodeHydraulic(heights, n, rng, droplets, seaLevel) {
+  const brush = createBrush(BRUSH_RADIUS);
+  for (let d = 0; d < droplets; d++) {
+    let px = rng() * (n - 1);
+    let pz = rng() * (n - 1);
+    let dx = 0;
+    let dz = 0;
+    let speed = 1;
+    let water = 1;
+    let sediment = 0;
+
+    for (let step = 0; step < DROPLET_STEPS; step++) {
+      const cx = Math.floor(px);
+      const cz = Math.floor(pz);
+      const u = px - cx;
+      const v = pz - cz;
+      const { height, gx, gz } = heightAndGradient(heights, n, px, pz);
+      if (height <= seaLevel) break;
+
+      dx = dx * INERTIA - gx * (1 - INERTIA);
+      dz = dz * INERTIA - gz * (1 - INERTIA);
+      const length = Math.hypot(dx, dz);
+      if (length === 0) break;
+      dx /= length;
+      dz /= length;
+      px += dx;
+      pz += dz;
+      if (px < 0 || px >= n - 1 || pz < 0 || pz >= n - 1) break;
+
+      const dh = heightAndGradient(heights, n, px, pz).height - height;
+      const capacity = Math.max(-dh, MIN_CAPACITY_SLOPE) * speed * water * SEDIMENT_CAPACITY;
+
+      const i = cz * n + cx;
+      if (sediment > capacity || dh > 0) {
+        // Uphill: fill the pit behind, at most up to the new height
+        const amount = dh > 0 ? Math.min(dh, sediment) : (sediment - capacity) * DEPOSIT_SPEED;
+        sediment -= amount;
+        heights[i] += amount * (1 - u) * (1 - v);
+        heights[i + 1] += amount * u * (1 - v);
+        heights[i + n] += amount * (1 - u) * v;
+        heights[i + n + 1] += amount * u * v;
+      } else {
+        const amount = Math.min((capacity - sediment) * ERODE_SPEED, -dh);
+        for (const b of brush) {
+          const bx = cx + b.dx;
+          const bz = cz + b.dz;
+          if (bx < 0 || bx >= n || bz < 0 || bz >= n) continue;
+          const j = bz * n + bx;
+          const delta = Math.min(heights[j], amount * b.weight);
+          heights[j] -= delta;
+          sediment += delta;
+        }
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed - dh * GRAVITY));
+      water *= 1 - EVAPORATE_SPEED;
+    }
+  }
+}
+
+function erodeThermal(heights, n, iterations) {
+  for (let it = 0; it < iterations; it++) {
+    for (let iz = 1; iz < n - 1; iz++) {
+      for (let ix = 1; ix < n - 1; ix++) {
+        const i = iz * n + ix;
+        let total = 0;
+        let steepest = 0;
+        for (const [dx, dz] of NEIGHBOURS_4) {
+          const diff = heights[i] - heights[i + dz * n + dx];
+          if (diff > TALUS) {
+            total += diff - TALUS;
+            steepest = Math.max(steepest, diff - TALUS);
+          }
+        }
+        if (total === 0) continue;
+        // Move half of the largest excess, split by each slope's share
+        const moved = steepest / 2;
+        for (const [dx, dz] of NEIGHBOURS_4) {
+          const j = i + dz * n + dx;
+          const diff = heights[i] - heights[j];
+          if (diff > TALUS) heights[j] += moved * (diff - TALUS) / total;
+        }
+        heights[i] -= moved;
+      }
+    }
+  }
+}
+
+// Binary min-heap of grid indices keyed by `keys`
+function createHeap(keys) {
+  const items = [];
+  const less = (a, b) => keys[items[a]] < keys[items[b]];
+  const swap = (a, b) => { [items[a], items[b]] = [items[b], items[a]]; };
+  return {
+    get size() { return items.length; },
+    push(i) {
+      items.push(i);
+      let c = items.length - 1;
+      while (c > 0) {
+        const p = (c - 1) >> 1;
+        if (!less(c, p)) break;
+        swap(c, p);
+        c = p;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let p = 0;
+        for (;;) {
+          const l = 2 * p + 1;
+          const r = l + 1;
+          let m = p;
+          if (l < items.length && less(l, m)) m = l;
+          if (r < items.length && less(r, m)) m = r;
+          if (m === p) break;
+          swap(p, m);
+          p = m;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+// Priority flood from the grid border and the sea: the lowest surface at or
+// above the terrain from which water can flow off the island, rising by
+// FLOOD_EPSILON per cell across flats. `outlet` is the receiving neighbour
+// of every cell (-1 for the border and the sea), so following it always
+// leads downhill to the sea.
+function fillBasins(heights, n, seaLevel) {
+  const filled = new Float32Array(heights);
+  const outlet = new Int32Array(n * n).fill(-1);
+  const done = new Uint8Array(n * n);
+  const heap = createHeap(filled);
+  for (let iz = 0; iz < n; iz++) {
+    for (let ix = 0; ix < n; ix++) {
+      const i = iz * n + ix;
+      if (ix === 0 || iz === 0 || ix === n - 1 || iz === n - 1 || heights[i] <= seaLevel) {
+        done[i] = 1;
+        heap.push(i);
+      }
+    }
+  }
+  while (heap.size > 0) {
+    const i = heap.pop();
+    const ix = i % n;
+    const iz = (i - ix) / n;
+    for (const [dx, dz] of NEIGHBOURS_8) {
+      const jx = ix + dx;
+      const jz = iz + dz;
+      if (jx < 0 || jx >= n || jz < 0 || jz >= n) continue;
+      const j = jz * n + jx;
+      if (done[j]) continue;
+      done[j] = 1;
+      filled[j] = Math.max(heights[j], filled[i] + FLOOD_EPSILON);
+      outlet[j] = i;
+      heap.push(j);
+    }
+  }
+  return { filled, outlet };
+}
+
+// Lake vertices (filled deep enough above the terrain and above the sea),
+// without lakes of fewer than LAKE_MIN_VERTICES vertices
+function findLakes(heights, filled, n, seaLevel, minDepth) {
+  const isLake = new Uint8Array(n * n);
+  for (let i = 0; i < n * n; i++) {
+    if (filled[i] > seaLevel && filled[i] - heights[i] > minDepth) isLake[i] = 1;
+  }
+  const seen = new Uint8Array(n * n);
+  for (let start = 0; start < n * n; start++) {
+    if (!isLake[start] || seen[start]) continue;
+    const component = [start];
+    seen[start] = 1;
+    for (let k = 0; k < component.length; k++) {
+      const i = component[k];
+      const ix = i % n;
+      for (const [dx, dz] of NEIGHBOURS_4) {
+        const jx = ix + dx;
+        const j = i + dz * n + dx;
+        if (jx < 0 || jx >= n || j < 0 || j >= n * n || !isLake[j] || seen[j]) continue;
+        seen[j] = 1;
+        component.push(j);
+      }
+    }
+    if (component.length < LAKE_MIN_VERTICES) for (const i of component) isLake[i] = 0;
+  }
+  return isLake;
+}
+
+// River paths (lists of grid indices) from up to `count` sources, each
+// followed along the outlets to the sea or until it joins an earlier river.
+// `flow` counts the rivers through every vertex.
+function traceRivers(heights, outlet, n, rng, count, seaLevel) {
+  // Highest first, with some jitter so the sources spread out
+  const candidates = [];
+  for (let i = 0; i < n * n; i++) {
+    if (heights[i] >= RIVER_SOURCE_MIN_HEIGHT) candidates.push({ i, key: heights[i] * (0.8 + rng() * 0.4) });
+  }
+  candidates.sort((a, b) => b.key - a.key);
+
+  const sources = [];
+  for (const { i } of candidates) {
+    if (sources.length >= count) break;
+    const ix = i % n;
+    const iz = (i - ix) / n;
+    const near = sources.some(s => Math.hypot(s % n - ix, Math.floor(s / n) - iz) < RIVER_SOURCE_SPACING);
+    if (!near) sources.push(i);
+  }
+
+  const flow = new Uint16Array(n * n);
+  const full = sources.map((source) => {
+    const path = [];
+    for (let i = source; i !== -1 && heights[i] > seaLevel; i = outlet[i]) {
+      path.push(i);
+      flow[i]++;
+    }
+    return path;
+  });
+
+  // Longest first, so main streams are whole and tributaries end where
+  // they join them
+  full.sort((a, b) => b.length - a.length);
+  const onRiver = new Uint8Array(n * n);
+  const paths = [];
+  for (const path of full) {
+    const kept = [];
+    for (const i of path) {
+      kept.push(i);
+      if (onRiver[i]) break;
+      onRiver[i] = 1;
+    }
+    if (kept.length > 1) paths.push(kept);
+  }
+  return { paths, flow };
+}
+
+const riverDepth = flow => Math.min(RIVER_MAX_DEPTH, RIVER_DEPTH + RIVER_DEPTH_PER_FLOW * (flow - 1));
+const riverWidth = flow => Math.min(RIVER_MAX_WIDTH, RIVER_WIDTH + RIVER_WIDTH_PER_FLOW * (flow - 1));
+
+// Lower a channel along every path. The water surface of each path vertex
+// sits a little below the filled surface and never rises downstream.
+function carveRivers(heights, filled, n, paths, flow, heightScale) {
+  const original = new Float32Array(heights);
+  const surfaces = paths.map((path) => {
+    let previous = Infinity;
+    return path.map((i) => {
+      const depth = riverDepth(flow[i]) / heightScale;
+      const surface = Math.min(previous, filled[i] - depth * 0.35);
+      previous = surface;
+
+      const ix = i % n;
+      const iz = (i - ix) / n;
+      const reach = Math.ceil(riverWidth(flow[i])) + 1;
+      for (let dz = -reach; dz <= reach; dz++) {
+        for (let dx = -reach; dx <= reach; dx++) {
+          const jx = ix + dx;
+          const jz = iz + dz;
+          if (jx < 0 || jx >= n || jz < 0 || jz >= n) continue;
+          const t = Math.min(1, Math.hypot(dx, dz) / (riverWidth(flow[i]) + 1));
+          const j = jz * n + jx;
+          heights[j] = Math.min(heights[j], original[i] - depth * (1 - t * t));
+        }
+      }
+      return surface;
+    });
+  });
+  return surfaces;
+}
+
+// Runs the whole pass over the square [x0, x0 + size] × [z0, z0 + size] of
+// `sample`. `params` are the terrain parameters (erosion strength 0..1,
+// river count, water level and height scale). Returns:
+//   sample(x, z)   the eroded, carved height, bilinear between vertices
+//   waterAt(x, z)  surface height of the lake or river at the nearest
+//                  vertex, or null
+//   lakes          { n, x0, z0, levels }: lake level per vertex (NaN if none)
+//   rivers         [{ points: [{ x, z, surface, width }] }] downstream
+export function runHydrology(sample, x0, z0, size, params, seed) {
+  const { n, heights } = sampleGrid(sample, x0, z0, size);
+  const seaLevel = params.waterLevel / params.heightScale;
+  const rng = mulberry32(hashCoords(seed, 0x65726f64, 0x65));
+
+  if (params.erosion > 0) {
+    erodeHydraulic(heights, n, rng, Math.round(DROPLETS_AT_FULL_STRENGTH * params.erosion), seaLevel);
+    erodeThermal(heights, n, Math.round(THERMAL_ITERATIONS_AT_FULL_STRENGTH * params.erosion));
+  }
+
+  const { filled, outlet } = fillBasins(heights, n, seaLevel);
+  const isLake = findLakes(heights, filled, n, seaLevel, LAKE_MIN_DEPTH / params.heightScale);
+  const { paths, flow } = traceRivers(heights, outlet, n, rng, params.rivers, seaLevel);
+  const surfaces = carveRivers(heights, filled, n, paths, flow, params.heightScale);
+
+  // Water per vertex: lakes, then river channels below their surface
+  const water = new Float32Array(n * n).fill(NaN);
+  const levels = new Float32Array(n * n).fill(NaN);
+  for (let i = 0; i < n * n; i++) {
+    if (isLake[i]) water[i] = levels[i] = filled[i];
+  }
+  paths.forEach((path, p) => path.forEach((i, k) => {
+    const ix = i % n;
+    const iz = (i - ix) / n;
+    const reach = Math.ceil(riverWidth(flow[i]));
+    for (let dz = -reach; dz <= reach; dz++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        const jx = ix + dx;
+        const jz = iz + dz;
+        if (jx < 0 || jx >= n || jz < 0 || jz >= n || Math.hypot(dx, dz) > riverWidth(flow[i])) continue;
+        const j = jz * n + jx;
+        if (Number.isNaN(water[j]) && heights[j] < surfaces[p][k]) water[j] = surfaces[p][k];
+      }
+    }
+  }));
+
+  const rivers = paths.map((path, p) => ({
+    points: path.map((i, k) => ({
+      x: x0 + (i % n),
+      z: z0 + Math.floor(i / n),
+      surface: surfaces[p][k],
+      width: riverWidth(flow[i]),
+      inLake: !!isLake[i],
+    })),
+  }));
+
+  function erodedSample(x, z) {
+    const gx = x - x0;
+    const gz = z - z0;
+    if (!(gx >= 0 && gx <= size && gz >= 0 && gz <= size)) return 0;
+    return heightAndGradient(heights, n, gx, gz).height;
+  }
+
+  function waterAt(x, z) {
+    const ix = Math.round(x - x0);
+    const iz = Math.round(z - z0);
+    if (ix < 0 || ix >= n || iz < 0 || iz >= n) return null;
+    const level = water[iz * n + ix];
+    return Number.isNaN(level) ? null : level;
+  }
+
+  return { sample: erodedSample, waterAt, lakes: { n, x0, z0, levels }, rivers };
+}
@@ -0,0 +1,665 @@
+// --- Structure file formats ---
+// Import and export of builds in formats other voxel tools use:
+//   .vox        MagicaVoxel (coloured voxels, Z up)
+//   .schem      Sponge schematic v2/v3 (WorldEdit, gzipped NBT)
+//   .nbt        vanilla Minecraft structure block files (gzipped NBT)
+//   .litematic  Litematica schematics (gzipped NBT, bit-packed states)
+// Blocks are { x, y, z, type } with y up, like everywhere else. A palette
+// mapping translates between external block IDs / colours and our types;
+// users can override it with a JSON config kept in localStorage.
+
+import { BLOCKS, BLOCK, BLOCK_COUNT, normalizeBlockType } from './blocks.js';
+import { TAG, nbt, readNBT, writeNBT, gunzip, gzip } from './nbt.js';
+import { createBlockReader } from './validation.js';
+
+export const STRUCTURE_FORMATS = {
+  json: { label: 'JSON', extension: '.json', mime: 'application/json' },
+  vox: { label: 'MagicaVoxel (.vox)', extension: '.vox', mime: 'application/octet-stream' },
+  schem: { label: 'Sponge schematic (.schem)', extension: '.schem', mime: 'application/octet-stream' },
+  nbt: { label: 'Minecraft structure (.nbt)', extension: '.nbt', mime: 'application/octet-stream' },
+  litematic: { label: 'Litematica (.litematic)', extension: '.litematic', mime: 'application/octet-stream' },
+};
+
+// Minecraft 1.20.4, the version the exported files claim to come from
+const DATA_VERSION = 3700;
+const AIR = 'minecraft:air';
+
+// --- Palette mapping ---
+
+// Block each type is exported as
+const DEFAULT_EXPORT_IDS = {
+  Dirt: 'minecraft:dirt',
+  Grass: 'minecraft:grass_block',
+  Stone: 'minecraft:stone',
+  Wood: 'minecraft:stripped_oak_wood',
+  Sand: 'minecraft:sand',
+  Glass: 'minecraft:glass',
+  Log: 'minecraft:oak_log',
+  Planks: 'minecraft:oak_planks',
+  Brick: 'minecraft:bricks',
+  Leaves: 'minecraft:oak_leaves',
+  Water: 'minecraft:water',
+  Lamp: 'minecraft:glowstone',
+  Cobblestone: 'minecraft:cobblestone',
+  Snow: 'minecraft:snow_block',
+  'Red Sand': 'minecraft:red_sand',
+  Terracotta: 'minecraft:terracotta',
+  Gravel: 'minecraft:gravel',
+  'Coal Ore': 'minecraft:coal_ore',
+  'Iron Ore': 'minecraft:iron_ore',
+  'Gold Ore': 'minecraft:gold_ore',
+  Bedrock: 'minecraft:bedrock',
+};
+
+// Imported IDs that aren't an export ID are matched against these in order
+// (namespace and block state stripped). null means "leave the cell empty".
+const IMPORT_RULES = [
+  [/^(air|cave_air|void_air|structure_void|barrier|light)$/, null],
+  [/^(short_grass|grass|tall_grass|fern|large_fern|dead_bush|seagrass|tall_seagrass|kelp|kelp_plant|vine|cobweb|ladder|lever|rail|redstone_wire|snow|fire)$/, null],
+  [/(_sapling|_flower|_tulip|_carpet|_button|_pressure_plate|_sign|_banner|_rail|_head|_skull|_pot)$/, null],
+  [/^(dandelion|poppy|blue_orchid|allium|azure_bluet|oxeye_daisy|cornflower|lily_of_the_valley|sunflower|lilac|rose_bush|peony)$/, null],
+  [/glass/, 'Glass'],
+  [/leaves/, 'Leaves'],
+  [/water|bubble_column/, 'Water'],
+  [/lantern|glowstone|lamp|torch|shroomlight|froglight|end_rod|campfire|beacon/, 'Lamp'],
+  [/snow|ice$/, 'Snow'],
+  [/coal_ore/, 'Coal Ore'],
+  [/iron_ore|raw_iron_block/, 'Iron Ore'],
+  [/gold_ore|raw_gold_block/, 'Gold Ore'],
+  [/^bedrock$/, 'Bedrock'],
+  [/cobble/, 'Cobblestone'],
+  [/stone_brick|deepslate_brick|deepslate_tile|polished_blackstone_brick/, 'Stone'],
+  [/terracotta/, 'Terracotta'],
+  [/brick/, 'Brick'],
+  [/_log$|_stem$/, 'Log'],
+  [/_wood$|_hyphae$/, 'Wood'],
+  [/oak|spruce|birch|jungle|acacia|mangrove|cherry|bamboo|crimson|warped|planks|bookshelf|crafting_table|barrel|chest/, 'Planks'],
+  [/red_sand/, 'Red Sand'],
+  [/sand/, 'Sand'],
+  [/grass_block|moss|mycelium|podzol/, 'Grass'],
+  [/gravel/, 'Gravel'],
+  [/dirt|mud|farmland|clay|soul_soil/, 'Dirt'],
+];
+
+const stripId = (id) => id.replace(/\[.*$/, '').replace(/^minecraft:/, '').trim().toLowerCase();
+
+function typeOrNull(value) {
+  return value === null ? null : normalizeBlockType(value);
+}
+
+const hexColor = (r, g, b) => '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+
+// Parse a user palette config:
+//   { "blocks": { "minecraft:stone_bricks": "Brick", "minecraft:torch": null },
+//     "colors": { "#ff0000": "Brick" },
+//     "export": { "Wood": "minecraft:spruce_planks" } }
+// Block values are block names or type numbers; null skips the block.
+// Throws with a readable message on bad input.
+export function parsePaletteConfig(text) {
+  if (!text || !text.trim()) return {};
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch {
+    throw new Error('Palette mapping must be valid JSON');
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Palette mapping must be a JSON object');
+  }
+  for (const section of ['blocks', 'colors', 'export']) {
+    const value = config[section];
+    if (value !== undefined && (!value || typeof value !== 'object' || Array.isArray(value))) {
+      throw new Error(`"${section}" must be an object`);
+    }
+  }
+  for (const key of Object.keys(config.colors || {})) {
+    if (!/^#[0-9a-f]{6}$/i.test(key)) throw new Error(`Colour "${key}" must look like #rrggbb`);
+  }
+  for (const name of Object.keys(config.export || {})) {
+    if (!BLOCKS.some(b => b.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`Unknown block "${name}" in "export"`);
+    }
+  }
+  return config;
+}
+
+// Translation between external block IDs / colours and our block types,
+// with the user's overrides applied on top of the defaults
+export function createPaletteMapping(config = {}) {
+  const byId = new Map();
+  const exportIds = BLOCKS.map(b => DEFAULT_EXPORT_IDS[b.name]);
+  for (const [name, id] of Object.entries(config.export || {})) {
+    exportIds[normalizeBlockType(name)] = id.includes(':') ? id : `minecraft:${id}`;
+  }
+  // Everything we export reads back as the same type
+  BLOCKS.forEach((b, type) => byId.set(stripId(DEFAULT_EXPORT_IDS[b.name]), type));
+  exportIds.forEach((id, type) => byId.set(stripId(id), type));
+  for (const [id, value] of Object.entries(config.blocks || {})) byId.set(stripId(id), typeOrNull(value));
+
+  const byColor = new Map();
+  for (const [hex, value] of Object.entries(config.colors || {})) byColor.set(hex.toLowerCase(), typeOrNull(value));
+  const colors = BLOCKS.map(b => [(b.color >> 16) & 0xff, (b.color >> 8) & 0xff, b.color & 0xff]);
+
+  // Type for an external ID, null to skip it, undefined if unrecognised
+  function blockFromId(id) {
+    const key = stripId(id);
+    if (byId.has(key)) return byId.get(key);
+    for (const [pattern, name] of IMPORT_RULES) {
+      if (pattern.test(key)) return name === null ? null : normalizeBlockType(name);
+    }
+    if (/stone|andesite|diorite|granite|deepslate|tuff|basalt|ore$|obsidian|calcite|concrete|bedrock|quartz/.test(key)) {
+      return BLOCK.STONE;
+    }
+    return undefined;
+  }
+
+  // Nearest block colour, unless the config maps this exact colour
+  function blockFromColor(r, g, b) {
+    const hex = hexColor(r, g, b);
+    if (byColor.has(hex)) return byColor.get(hex);
+    let best = BLOCK.STONE;
+    let bestDist = Infinity;
+    colors.forEach(([cr, cg, cb], type) => {
+      const dist = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = type;
+      }
+    });
+    return best;
+  }
+
+  return {
+    blockFromId,
+    blockFromColor,
+    idFromBlock: (type) => exportIds[type],
+    colorFromBlock: (type) => colors[type],
+  };
+}
+
+// --- Settings (localStorage) ---
+// Kept as the text the user typed so their formatting survives
+const PALETTE_KEY = 'palette_mapping';
+
+export function loadPaletteText() {
+  return localStorage.getItem(PALETTE_KEY) || '';
+}
+
+export function savePaletteText(text) {
+  if (text.trim()) localStorage.setItem(PALETTE_KEY, text);
+  else localStorage.removeItem(PALETTE_KEY);
+}
+
+// --- Shared helpers ---
+
+function bounds(blocks) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (const b of blocks) {
+    if (b.x < minX) minX = b.x;
+    if (b.y < minY) minY = b.y;
+    if (b.z < minZ) minZ = b.z;
+    if (b.x > maxX) maxX = b.x;
+    if (b.y > maxY) maxY = b.y;
+    if (b.z > maxZ) maxZ = b.z;
+  }
+  return {
+    min: { x: minX, y: minY, z: minZ },
+    size: { x: maxX - minX + 1, y: maxY - minY + 1, z: maxZ - minZ + 1 },
+  };
+}
+
+// Shift a structure so its lowest layer is y = 0 and it is centred on x/z
+export function centerStructure(blocks) {
+  if (blocks.length === 0) return [];
+  const { min, size } = bounds(blocks);
+  const centerX = min.x + Math.round((size.x - 1) / 2);
+  const centerZ = min.z + Math.round((size.z - 1) / 2);
+  return blocks.map(b => ({ x: b.x - centerX, y: b.y - min.y, z: b.z - centerZ, type: b.type }));
+}
+
+// Feeds imported blocks to a block reader (see validation.js), which keeps
+// them up to its limit and counts the rest, and counts IDs the mapping
+// didn't recognise
+function createCollector(reader) {
+  const unknown = new Map();
+  return {
+    unknown,
+    add(x, y, z, type, id) {
+      if (type === null) return;
+      if (type === undefined) {
+        unknown.set(id, (unknown.get(id) || 0) + 1);
+        type = BLOCK.STONE;
+      }
+      reader.add({ x, y, z, type });
+    },
+  };
+}
+
+const stateName = (entry) => typeof entry === 'string' ? entry : entry?.Name || AIR;
+
+// Palette used on export: air first, then one ID per block type present
+function exportPalette(blocks, mapping) {
+  const ids = [AIR];
+  const indexOf = new Array(BLOCK_COUNT).fill(-1);
+  for (const b of blocks) {
+    if (indexOf[b.type] !== -1) continue;
+    const id = mapping.idFromBlock(b.type);
+    let index = ids.indexOf(id);
+    if (index === -1) {
+      index = ids.length;
+      ids.push(id);
+    }
+    indexOf[b.type] = index;
+  }
+  return { ids, indexOf };
+}
+
+// Dense index grid (x fastest, then z, then y) shifted to start at 0
+function denseGrid(blocks, indexOf) {
+  const { min, size } = bounds(blocks);
+  const cells = new Int32Array(size.x * size.y * size.z);
+  for (const b of blocks) {
+    const x = b.x - min.x, y = b.y - min.y, z = b.z - min.z;
+    cells[(y * size.z + z) * size.x + x] = indexOf[b.type];
+  }
+  return { size, cells };
+}
+
+// --- MagicaVoxel .vox ---
+// Little-endian RIFF-style chunks. Models carry voxel colour indices into a
+// 256-entry RGBA palette; the scene graph places models by translation
+// (rotations are ignored). MagicaVoxel is Z up: (x, y, z) there is (x, z, -y) here.
+
+function readVox(bytes, mapping, collector) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const text = (pos, n) => String.fromCharCode(...bytes.subarray(pos, pos + n));
+  if (bytes.length < 8 || text(0, 4) !== 'VOX ') throw new Error('Not a MagicaVoxel file');
+
+  const models = [];
+  const nodes = new Map();
+  let palette = null;
+  let pendingSize = null;
+
+  function readDict(state) {
+    const dict = {};
+    const count = view.getInt32(state.pos, true);
+    state.pos += 4;
+    for (let i = 0; i < count; i++) {
+      const keyLen = view.getInt32(state.pos, true);
+      const key = text(state.pos + 4, keyLen);
+      state.pos += 4 + keyLen;
+      const valueLen = view.getInt32(state.pos, true);
+      dict[key] = text(state.pos + 4, valueLen);
+      state.pos += 4 + valueLen;
+    }
+    return dict;
+  }
+
+  const int = (state) => {
+    const value = view.getInt32(state.pos, true);
+    state.pos += 4;
+    return value;
+  };
+
+  let pos = 8;
+  // MAIN holds every other chunk as its children
+  if (text(pos, 4) === 'MAIN') pos += 12 + view.getInt32(pos + 4, true);
+  while (pos + 12 <= bytes.length) {
+    const id = text(pos, 4);
+    const contentSize = view.getInt32(pos + 4, true);
+    const start = pos + 12;
+    const state = { pos: start };
+
+    if (id === 'SIZE') {
+      pendingSize = { x: view.getInt32(start, true), y: view.getInt32(start + 4, true), z: view.getInt32(start + 8, true) };
+    } else if (id === 'XYZI') {
+      const count = view.getInt32(start, true);
+      models.push({ size: pendingSize, voxels: bytes.subarray(start + 4, start + 4 + count * 4) });
+    } else if (id === 'RGBA') {
+      palette = bytes.subarray(start, start + 1024);
+    } else if (id === 'nTRN') {
+      const nodeId = int(state);
+      readDict(state);
+      const child = int(state);
+      state.pos += 8; // reserved id, layer id
+      const frames = int(state);
+      const frame = frames > 0 ? readDict(state) : {};
+      const t = (frame._t || '0 0 0').split(' ').map(Number);
+      nodes.set(nodeId, { kind: 'transform', child, t });
+    } else if (id === 'nGRP') {
+      const nodeId = int(state);
+      readDict(state);
+      const count = int(state);
+      const children = [];
+      for (let i = 0; i < count; i++) children.push(int(state));
+      nodes.set(nodeId, { kind: 'group', children });
+    } else if (id === 'nSHP') {
+      const nodeId = int(state);
+      readDict(state);
+      const count = int(state);
+      const modelIds = [];
+      for (let i = 0; i < count; i++) {
+        modelIds.push(int(state));
+        readDict(state);
+      }
+      nodes.set(nodeId, { kind: 'shape', modelIds });
+    }
+    pos = start + contentSize + view.getInt32(pos + 8, true);
+  }
+
+  // Colour index (1-255) to block type. Without an RGBA chunk the file uses
+  // MagicaVoxel's built-in palette, which we don't ship: everything is stone.
+  const typeOfIndex = [null];
+  for (let ci = 1; ci < 256; ci++) {
+    const p = (ci - 1) * 4;
+    typeOfIndex.push(palette ? mapping.blockFromColor(palette[p], palette[p + 1], palette[p + 2]) : BLOCK.STONE);
+  }
+
+  function addModel(model, tx, ty, tz) {
+    const { size, voxels } = model;
+    // Translations point at the model's centre
+    const ox = tx - Math.floor(size.x / 2);
+    const oy = ty - Math.floor(size.y / 2);
+    const oz = tz - Math.floor(size.z / 2);
+    for (let i = 0; i < voxels.length; i += 4) {
+      const x = ox + voxels[i], y = oy + voxels[i + 1], z = oz + voxels[i + 2];
+      collector.add(x, z, -y, typeOfIndex[voxels[i + 3]]);
+    }
+  }
+
+  function visit(nodeId, tx, ty, tz, depth) {
+    const node = nodes.get(nodeId);
+    if (!node || depth > 64) return;
+    if (node.kind === 'transform') visit(node.child, tx + node.t[0], ty + node.t[1], tz + node.t[2], depth + 1);
+    else if (node.kind === 'group') node.children.forEach(c => visit(c, tx, ty, tz, depth + 1));
+    else node.modelIds.forEach(m => models[m] && addModel(models[m], tx, ty, tz));
+  }
+
+  if (nodes.size > 0) visit(0, 0, 0, 0, 0);
+  else models.forEach(m => addModel(m, 0, 0, 0));
+}
+
+function writeVox(blocks, mapping) {
+  // Our x, -z, y are the file's x, y, z
+  const { min, size } = bounds(blocks.map(b => ({ x: b.x, y: -b.z, z: b.y })));
+  if (size.x > 256 || size.y > 256 || size.z > 256) {
+    throw new Error('MagicaVoxel models are limited to 256 blocks per side');
+  }
+
+  const chunkBytes = [24, 12 + 4 + blocks.length * 4, 12 + 1024];
+  const childrenSize = chunkBytes.reduce((a, b) => a + b, 0);
+  const bytes = new Uint8Array(8 + 12 + childrenSize);
+  const view = new DataView(bytes.buffer);
+  let pos = 0;
+  const tag = (id) => {
+    for (let i = 0; i < 4; i++) bytes[pos + i] = id.charCodeAt(i);
+    pos += 4;
+  };
+  const int = (value) => {
+    view.setInt32(pos, value, true);
+    pos += 4;
+  };
+
+  tag('VOX '); int(150);
+  tag('MAIN'); int(0); int(childrenSize);
+  tag('SIZE'); int(12); int(0); int(size.x); int(size.y); int(size.z);
+  tag('XYZI'); int(4 + blocks.length * 4); int(0); int(blocks.length);
+  for (const b of blocks) {
+    bytes[pos] = b.x - min.x;
+    bytes[pos + 1] = -b.z - min.y;
+    bytes[pos + 2] = b.y - min.z;
+    bytes[pos + 3] = b.type + 1; // colour indices start at 1
+    pos += 4;
+  }
+  tag('RGBA'); int(1024); int(0);
+  for (let i = 0; i < 256; i++, pos += 4) {
+    if (i >= BLOCK_COUNT) continue;
+    bytes.set(mapping.colorFromBlock(i), pos);
+    bytes[pos + 3] = 255;
+  }
+  return bytes;
+}
+
+// --- Sponge schematic .schem ---
+// Palette maps block states to indices; the block data is those indices as
+// varints, x fastest, then z, then y. v3 moves both under "Blocks".
+
+function readVarints(data, count) {
+  const out = new Int32Array(count);
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    let value = 0;
+    let shift = 0;
+    for (;;) {
+      if (pos >= data.length) throw new Error('Schematic block data ends unexpectedly');
+      const byte = data[pos++] & 0xff;
+      value |= (byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) break;
+      shift += 7;
+    }
+    out[i] = value;
+  }
+  return out;
+}
+
+function writeVarints(values) {
+  const out = [];
+  for (let value of values) {
+    while (value >= 0x80) {
+      out.push((value & 0x7f) | 0x80);
+      value >>>= 7;
+    }
+    out.push(value);
+  }
+  return Int8Array.from(out, v => (v << 24) >> 24);
+}
+
+function readSchem(root, mapping, collector) {
+  const schematic = root.Schematic || root;
+  const width = schematic.Width & 0xffff;
+  const height = schematic.Height & 0xffff;
+  const length = schematic.Length & 0xffff;
+  const palette = schematic.Blocks?.Palette || schematic.Palette;
+  const data = schematic.Blocks?.Data || schematic.BlockData;
+  if (!palette || !data || !width || !height || !length) throw new Error('Not a Sponge schematic');
+
+  const ids = [];
+  for (const [id, index] of Object.entries(palette)) ids[index] = id;
+  const types = ids.map(id => mapping.blockFromId(id));
+  const cells = readVarints(data, width * height * length);
+
+  for (let i = 0; i < cells.length; i++) {
+    const x = i % width;
+    const z = Math.floor(i / width) % length;
+    const y = Math.floor(i / (width * length));
+    collector.add(x, y, z, types[cells[i]], ids[cells[i]]);
+  }
+}
+
+function writeSchem(blocks, mapping) {
+  const { ids, indexOf } = exportPalette(blocks, mapping);
+  const { size, cells } = denseGrid(blocks, indexOf);
+  const palette = {};
+  ids.forEach((id, index) => { palette[id] = nbt.int(index); });
+  // Shorts are unsigned in practice; write the bit pattern
+  const short = (v) => nbt.short((v << 16) >> 16);
+
+  return writeNBT('Schematic', nbt.compound({
+    Version: nbt.int(2),
+    DataVersion: nbt.int(DATA_VERSION),
+    Width: short(size.x),
+    Height: short(size.y),
+    Length: short(size.z),
+    Offset: nbt.intArray([0, 0, 0]),
+    PaletteMax: nbt.int(ids.length),
+    Palette: nbt.compound(palette),
+    BlockData: nbt.byteArray(writeVarints(cells)),
+    BlockEntities: nbt.list(TAG.COMPOUND, []),
+  }));
+}
+
+// --- Vanilla structure .nbt ---
+// A palette of block states (or several "palettes" variants; we use the
+// first) and a list of non-empty blocks with positions.
+
+function readStructureNBT(root, mapping, collector) {
+  const palette = root.palette || root.palettes?.[0];
+  if (!Array.isArray(palette) || !Array.isArray(root.blocks)) throw new Error('Not a Minecraft structure file');
+
+  const ids = palette.map(stateName);
+  const types = ids.map(id => mapping.blockFromId(id));
+  for (const b of root.blocks) {
+    if (!b.pos || b.pos.length !== 3) continue;
+    collector.add(b.pos[0], b.pos[1], b.pos[2], types[b.state], ids[b.state]);
+  }
+}
+
+function writeStructureNBT(blocks, mapping) {
+  const { ids, indexOf } = exportPalette(blocks, mapping);
+  const { min, size } = bounds(blocks);
+  const intList = (values) => nbt.list(TAG.INT, values.map(nbt.int));
+
+  return writeNBT('', nbt.compound({
+    DataVersion: nbt.int(DATA_VERSION),
+    size: intList([size.x, size.y, size.z]),
+    palette: nbt.list(TAG.COMPOUND, ids.map(id => nbt.compound({ Name: nbt.string(id) }))),
+    blocks: nbt.list(TAG.COMPOUND, blocks.map(b => nbt.compound({
+      pos: intList([b.x - min.x, b.y - min.y, b.z - min.z]),
+      state: nbt.int(indexOf[b.type]),
+    }))),
+    entities: nbt.list(TAG.COMPOUND, []),
+  }));
+}
+
+// --- Litematica .litematic ---
+// One or more regions, each with a palette and its indices packed into longs
+// at max(2, bits needed) bits per cell, spanning long boundaries. A region's
+// size may be negative: it then extends from its position towards -axis.
+
+const paletteBits = (count) => Math.max(2, 32 - Math.clz32(Math.max(1, count - 1)));
+
+function readLitematic(root, mapping, collector) {
+  if (!root.Regions || typeof root.Regions !== 'object') throw new Error('Not a Litematica schematic');
+
+  for (const region of Object.values(root.Regions)) {
+    const { Position: position, Size: size } = region;
+    const palette = region.BlockStatePalette;
+    const states = region.BlockStates;
+    if (!position || !size || !Array.isArray(palette) || !states) continue;
+
+    const sx = Math.abs(size.x), sy = Math.abs(size.y), sz = Math.abs(size.z);
+    const minX = position.x + (size.x < 0 ? size.x + 1 : 0);
+    const minY = position.y + (size.y < 0 ? size.y + 1 : 0);
+    const minZ = position.z + (size.z < 0 ? size.z + 1 : 0);
+
+    const ids = palette.map(stateName);
+    const types = ids.map(id => mapping.blockFromId(id));
+    const bits = BigInt(paletteBits(palette.length));
+    const mask = (1n << bits) - 1n;
+    const longs = Array.from(states, v => BigInt.asUintN(64, v));
+
+    const volume = sx * sy * sz;
+    for (let i = 0; i < volume; i++) {
+      const startBit = BigInt(i) * bits;
+      const index = Number(startBit >> 6n);
+      const offset = startBit & 63n;
+      let value = longs[index] >> offset;
+      if (offset + bits > 64n) value |= longs[index + 1] << (64n - offset);
+      const state = Number(value & mask);
+      if (state === 0 && ids[0] === AIR) continue;
+
+      const x = i % sx;
+      const z = Math.floor(i / sx) % sz;
+      const y = Math.floor(i / (sx * sz));
+      collector.add(minX + x, minY + y, minZ + z, types[state], ids[state]);
+    }
+  }
+}
+
+function writeLitematic(blocks, mapping, name) {
+  const { ids, indexOf } = exportPalette(blocks, mapping);
+  const { size, cells } = denseGrid(blocks, indexOf);
+  const bits = BigInt(paletteBits(ids.length));
+  const longs = new BigUint64Array(Math.ceil(cells.length * Number(bits) / 64));
+  cells.forEach((state, i) => {
+    if (state === 0) return;
+    const startBit = BigInt(i) * bits;
+    const index = Number(startBit >> 6n);
+    const offset = startBit & 63n;
+    longs[index] |= BigInt.asUintN(64, BigInt(state) << offset);
+    if (offset + bits > 64n) longs[index + 1] |= BigInt(state) >> (64n - offset);
+  });
+
+  const now = nbt.long(Date.now());
+  const vec = (v) => nbt.compound({ x: nbt.int(v.x), y: nbt.int(v.y), z: nbt.int(v.z) });
+  const empty = () => nbt.list(TAG.COMPOUND, []);
+
+  return writeNBT('', nbt.compound({
+    Version: nbt.int(6),
+    MinecraftDataVersion: nbt.int(DATA_VERSION),
+    Metadata: nbt.compound({
+      Name: nbt.string(name),
+      Author: nbt.string('Blockwright'),
+      Description: nbt.string(''),
+      RegionCount: nbt.int(1),
+      EnclosingSize: vec(size),
+      TotalBlocks: nbt.int(blocks.length),
+      TotalVolume: nbt.int(cells.length),
+      TimeCreated: now,
+      TimeModified: now,
+    }),
+    Regions: nbt.compound({
+      [name]: nbt.compound({
+        Position: vec({ x: 0, y: 0, z: 0 }),
+        Size: vec(size),
+        BlockStatePalette: nbt.list(TAG.COMPOUND, ids.map(id => nbt.compound({ Name: nbt.string(id) }))),
+        BlockStates: nbt.longArray(Array.from(longs)),
+        Entities: empty(),
+        TileEntities: empty(),
+        PendingBlockTicks: empty(),
+        PendingFluidTicks: empty(),
+      }),
+    }),
+  }));
+}
+
+// --- Entry points ---
+
+export function formatFromFilename(filename) {
+  const match = filename.toLowerCase().match(/\.(\w+)$/);
+  return match && STRUCTURE_FORMATS[match[1]] ? match[1] : null;
+}
+
+// Read a .vox/.schem/.nbt/.litematic file into blocks through `reader`
+// (createBlockReader, whose limit caps the structure and whose counts say
+// what was left out). Returns { blocks, unknown } where unknown maps
+// unrecognised IDs (or .vox colours) to how many blocks fell back to stone.
+// Throws on unreadable files.
+export async function importStructure(filename, buffer, mapping, reader = createBlockReader()) {
+  const format = formatFromFilename(filename);
+  const bytes = new Uint8Array(buffer);
+  const collector = createCollector(reader);
+
+  if (format === 'vox') {
+    readVox(bytes, mapping, collector);
+  } else if (format === 'schem' || format === 'nbt' || format === 'litematic') {
+    const { value } = readNBT(await gunzip(bytes));
+    if (format === 'schem') readSchem(value, mapping, collector);
+    else if (format === 'nbt') readStructureNBT(value, mapping, collector);
+    else readLitematic(value, mapping, collector);
+  } else {
+    throw new Error(`Unsupported file type: ${filename}`);
+  }
+  return { blocks: reader.blocks, unknown: collector.unknown };
+}
+
+// Encode blocks in one of the binary formats. Resolves with the file bytes.
+export async function exportStructure(format, blocks, mapping, name = 'structure') {
+  if (blocks.length === 0) throw new Error('Nothing to export');
+  if (format === 'vox') return writeVox(blocks, mapping);
+  if (format === 'schem') return gzip(writeSchem(blocks, mapping));
+  if (format === 'nbt') return gzip(writeStructureNBT(blocks, mapping));
+  if (format === 'litematic') return gzip(writeLitematic(blocks, mapping, name));
+  throw new Error(`Unsupported export format: ${format}`);
+}
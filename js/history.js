@@ -0,0 +1,160 @@
+// --- Undo / redo history for block edits ---
+// Every edit is recorded as a change { x, y, z, from, to }, where `from` and
+// `to` are block type indices or null for an empty cell. Changes are grouped
+// into transactions so that a whole blueprint placement or a clear is undone
+// in one step. Applying a change is delegated to the caller, which must NOT
+// record it again. An optional `layer` tells the caller which store the cell
+// belongs to (e.g. placed blocks vs terrain); it is passed back unchanged.
+
+// Rough per-record footprint used for the memory budget (object + key + numbers)
+const BYTES_PER_CHANGE = 96;
+const BYTES_PER_TRANSACTION = 64;
+
+function transactionBytes(changes) {
+  return BYTES_PER_TRANSACTION + changes.length * BYTES_PER_CHANGE;
+}
+
+export function createHistory(applyChange, options = {}) {
+  let maxBytes = options.maxBytes ?? 8 * 1024 * 1024;
+  const onChange = options.onChange || (() => {});
+
+  const undoStack = []; // [{ changes, bytes }]
+  const redoStack = [];
+  let usedBytes = 0;
+
+  // Open transaction: Map of "layer:x,y,z" -> change, so a cell touched twice
+  // keeps its original `from` and latest `to`
+  let pending = null;
+  let depth = 0;
+
+  function trim() {
+    // Always keep the newest transaction, even if it alone exceeds the budget
+    while (usedBytes > maxBytes && undoStack.length > 1) {
+      usedBytes -= undoStack.shift().bytes;
+    }
+    while (usedBytes > maxBytes && redoStack.length > 0) {
+      usedBytes -= redoStack.shift().bytes;
+    }
+  }
+
+  function push(changes) {
+    if (changes.length === 0) return;
+    for (const t of redoStack) usedBytes -= t.bytes;
+    redoStack.length = 0;
+
+    const bytes = transactionBytes(changes);
+    undoStack.push({ changes, bytes });
+    usedBytes += bytes;
+    trim();
+    onChange();
+  }
+
+  function begin() {
+    if (depth === 0) pending = new Map();
+    depth++;
+  }
+
+  function commit() {
+    if (depth === 0) return;
+    depth--;
+    if (depth > 0) return;
+    const changes = [...pending.values()].filter(c => c.from !== c.to);
+    pending = null;
+    push(changes);
+  }
+
+  function record(x, y, z, from, to, layer) {
+    if (from === to) return;
+    if (!pending) {
+      push([{ x, y, z, from, to, layer }]);
+      return;
+    }
+    const key = `${layer ?? ''}:${x},${y},${z}`;
+    const prev = pending.get(key);
+    if (prev) prev.to = to;
+    else pending.set(key, { x, y, z, from, to, layer });
+  }
+
+  // Run fn as a single transaction; nested calls fold into the outer one
+  function transaction(fn) {
+    begin();
+    try {
+      return fn();
+    } finally {
+      commit();
+    }
+  }
+
+  function undo() {
+    if (depth > 0 || undoStack.length === 0) return false;
+    const t = undoStack.pop();
+    for (let i = t.changes.length - 1; i >= 0; i--) {
+      const c = t.changes[i];
+      applyChange(c.x, c.y, c.z, c.from, c.layer);
+    }
+    redoStack.push(t);
+    onChange();
+    return true;
+  }
+
+  function redo() {
+    if (depth > 0 || redoStack.length === 0) return false;
+    const t = redoStack.pop();
+    for (const c of t.changes) {
+      applyChange(c.x, c.y, c.z, c.to, c.layer);
+    }
+    undoStack.push(t);
+    onChange();
+    return true;
+  }
+
+  function clear() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    usedBytes = 0;
+    onChange();
+  }
+
+  // Forget every change to one layer (e.g. after that store is rebuilt from
+  // scratch), keeping the other changes of mixed transactions
+  function dropLayer(layer) {
+    for (const stack of [undoStack, redoStack]) {
+      for (let i = stack.length - 1; i >= 0; i--) {
+        const t = stack[i];
+        const changes = t.changes.filter(c => c.layer !== layer);
+        if (changes.length === t.changes.length) continue;
+        usedBytes -= t.bytes;
+        if (changes.length === 0) {
+          stack.splice(i, 1);
+        } else {
+          t.changes = changes;
+          t.bytes = transactionBytes(changes);
+          usedBytes += t.bytes;
+        }
+      }
+    }
+    onChange();
+  }
+
+  function setMaxBytes(bytes) {
+    maxBytes = bytes;
+    trim();
+    onChange();
+  }
+
+  return {
+    record,
+    begin,
+    commit,
+    transaction,
+    undo,
+    redo,
+    clear,
+    dropLayer,
+    setMaxBytes,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    get usedBytes() { return usedBytes; },
+    get maxBytes() { return maxBytes; },
+  };
+}
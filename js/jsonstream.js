@@ -0,0 +1,63 @@
+// --- Incremental parser for streamed JSON block arrays ---
+// Feed it the model's answer in arbitrary text chunks; every time a complete
+// top-level object of the first JSON array is closed, it is parsed and handed
+// to `onObject`. Anything before the opening '[' (prose, a ```json fence) is
+// skipped, strings and nested values are tracked so braces inside them don't
+// count, and only the object currently being read is kept in memory.
+// Entries that aren't valid JSON objects are reported to `onMalformed`.
+
+export function createBlockStreamParser(onObject, onMalformed = () => {}) {
+  let started = false; // seen the array's '['
+  let done = false;    // seen the array's ']'
+  let depth = 0;       // nesting inside the array (1 = top-level object)
+  let inString = false;
+  let escaped = false;
+  let current = '';    // text of the object being read
+
+  function push(chunk) {
+    for (let i = 0; i < chunk.length && !done; i++) {
+      const ch = chunk[i];
+
+      if (!started) {
+        if (ch === '[') started = true;
+        continue;
+      }
+
+      if (depth > 0) current += ch;
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        if (depth === 0) current = ch;
+        depth++;
+      } else if (ch === '}' || ch === ']') {
+        if (depth === 0) {
+          done = ch === ']';
+          continue;
+        }
+        depth--;
+        if (depth === 0) {
+          let value = null;
+          try {
+            value = JSON.parse(current);
+          } catch { /* reported below */ }
+          if (value && typeof value === 'object' && !Array.isArray(value)) onObject(value);
+          else onMalformed(current);
+          current = '';
+        }
+      }
+    }
+  }
+
+  return {
+    push,
+    get done() { return done; },
+  };
+}
@@ -0,0 +1,131 @@
+// --- Mesh export: glTF binary (.glb) and Wavefront OBJ/MTL ---
+// Both take a group of meshes (anything visible under it is exported with its
+// world transform). GLB keeps the block textures; OBJ/MTL has no embedded
+// images, so its materials carry the flat block colour, plus vertex colours
+// where the mesh has them (the smooth terrain).
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+
+// Resolves with the .glb file contents
+export function exportGLB(root) {
+  return new GLTFExporter().parseAsync(root, { binary: true, onlyVisible: true });
+}
+
+// OBJ/MTL names can't contain whitespace; make them unique per material
+function createMaterialNames() {
+  const names = new Map(); // material -> name
+  const used = new Set();
+  return {
+    names,
+    nameOf(material) {
+      let name = names.get(material);
+      if (name) return name;
+      const base = (material.name || 'material').replace(/\s+/g, '_');
+      name = base;
+      for (let i = 2; used.has(name); i++) name = `${base}_${i}`;
+      used.add(name);
+      names.set(material, name);
+      return name;
+    },
+  };
+}
+
+const formatNumber = (n) => String(Number(n.toFixed(5)));
+
+// sRGB components (0-1) of the colour a material shows
+function materialColor(material) {
+  const hex = material.userData.baseColor ?? (material.color ? material.color.getHex() : 0xffffff);
+  return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff].map(c => c / 255);
+}
+
+function writeMTL(names) {
+  const lines = ['# Blockwright materials'];
+  for (const [material, name] of names) {
+    const rgb = materialColor(material);
+    lines.push('', `newmtl ${name}`, `Kd ${rgb.map(formatNumber).join(' ')}`, 'Ka 0 0 0', 'Ks 0.05 0.05 0.05');
+    if (material.roughness !== undefined) lines.push(`Ns ${formatNumber((1 - material.roughness) * 100)}`);
+    const opacity = material.transparent ? material.opacity : 1;
+    if (opacity < 1) lines.push(`d ${formatNumber(opacity)}`);
+    if (material.emissive && material.emissiveIntensity > 0 && material.emissive.getHex() !== 0) {
+      lines.push(`Ke ${rgb.map(c => formatNumber(c * material.emissiveIntensity)).join(' ')}`);
+    }
+    lines.push('illum 2');
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Returns { obj, mtl } texts; the OBJ references the MTL as `mtlFileName`
+export function exportOBJ(root, mtlFileName) {
+  root.updateMatrixWorld(true);
+  const lines = ['# Blockwright', `mtllib ${mtlFileName}`];
+  const materialNames = createMaterialNames();
+  const normalMatrix = new THREE.Matrix3();
+  const v = new THREE.Vector3();
+  const c = new THREE.Color();
+  // OBJ indices are 1-based and global across the file
+  let vBase = 1, vtBase = 1, vnBase = 1;
+  let objectCount = 0;
+
+  root.traverseVisible((obj) => {
+    if (!obj.isMesh) return;
+    const geometry = obj.geometry;
+    const position = geometry.attributes.position;
+    if (!position || position.count === 0) return;
+    const normal = geometry.attributes.normal;
+    const uv = geometry.attributes.uv;
+    const color = geometry.attributes.color;
+
+    lines.push(`o ${(obj.name || 'mesh').replace(/\s+/g, '_')}_${objectCount++}`);
+    for (let i = 0; i < position.count; i++) {
+      v.fromBufferAttribute(position, i).applyMatrix4(obj.matrixWorld);
+      let line = `v ${formatNumber(v.x)} ${formatNumber(v.y)} ${formatNumber(v.z)}`;
+      if (color) {
+        // Vertex colours are linear in three.js, OBJ viewers expect sRGB
+        c.setRGB(color.getX(i), color.getY(i), color.getZ(i)).convertLinearToSRGB();
+        line += ` ${formatNumber(c.r)} ${formatNumber(c.g)} ${formatNumber(c.b)}`;
+      }
+      lines.push(line);
+    }
+    if (uv) {
+      for (let i = 0; i < uv.count; i++) lines.push(`vt ${formatNumber(uv.getX(i))} ${formatNumber(uv.getY(i))}`);
+    }
+    if (normal) {
+      normalMatrix.getNormalMatrix(obj.matrixWorld);
+      for (let i = 0; i < normal.count; i++) {
+        v.fromBufferAttribute(normal, i).applyMatrix3(normalMatrix).normalize();
+        lines.push(`vn ${formatNumber(v.x)} ${formatNumber(v.y)} ${formatNumber(v.z)}`);
+      }
+    }
+
+    const index = geometry.index;
+    const vertexAt = (i) => (index ? index.getX(i) : i);
+    const corner = (vi) => {
+      const p = vBase + vi;
+      if (uv && normal) return `${p}/${vtBase + vi}/${vnBase + vi}`;
+      if (normal) return `${p}//${vnBase + vi}`;
+      if (uv) return `${p}/${vtBase + vi}`;
+      return String(p);
+    };
+
+    const indexCount = index ? index.count : position.count;
+    const groups = geometry.groups.length > 0
+      ? geometry.groups
+      : [{ start: 0, count: indexCount, materialIndex: 0 }];
+    for (const group of groups) {
+      const material = Array.isArray(obj.material) ? obj.material[group.materialIndex] : obj.material;
+      if (!material) continue;
+      lines.push(`usemtl ${materialNames.nameOf(material)}`);
+      const end = Math.min(group.start + group.count, indexCount);
+      for (let i = group.start; i + 2 < end; i += 3) {
+        lines.push(`f ${corner(vertexAt(i))} ${corner(vertexAt(i + 1))} ${corner(vertexAt(i + 2))}`);
+      }
+    }
+
+    vBase += position.count;
+    if (uv) vtBase += uv.count;
+    if (normal) vnBase += normal.count;
+  });
+
+  return { obj: lines.join('\n') + '\n', mtl: writeMTL(materialNames.names) };
+}
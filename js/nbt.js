@@ -0,0 +1,216 @@
+// --- Named Binary Tag (NBT) reading and writing ---
+// The big-endian binary format Minecraft uses for schematics and structure
+// files. Reading turns a tag tree into plain values: numbers, BigInt for
+// longs, typed arrays for the array tags, arrays for lists and objects for
+// compounds. Writing needs the tag types back, so it takes a tree built with
+// the `nbt` helpers below. Files are usually gzipped; see gunzip/gzip.
+
+export const TAG = {
+  END: 0, BYTE: 1, SHORT: 2, INT: 3, LONG: 4, FLOAT: 5, DOUBLE: 6,
+  BYTE_ARRAY: 7, STRING: 8, LIST: 9, COMPOUND: 10, INT_ARRAY: 11, LONG_ARRAY: 12,
+};
+
+const textDecoder = new TextDecoder();
+const textEncoder = new TextEncoder();
+
+// --- Reading ---
+
+// Parse an uncompressed NBT file. Returns { name, value } of the root compound.
+export function readNBT(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+
+  function need(n) {
+    if (pos + n > view.byteLength) throw new Error('NBT data ends unexpectedly');
+  }
+
+  function readString() {
+    need(2);
+    const length = view.getUint16(pos);
+    pos += 2;
+    need(length);
+    const text = textDecoder.decode(bytes.subarray(pos, pos + length));
+    pos += length;
+    return text;
+  }
+
+  function readArray(ArrayType, size, getter) {
+    need(4);
+    const length = view.getInt32(pos);
+    pos += 4;
+    need(length * size);
+    const out = new ArrayType(length);
+    for (let i = 0; i < length; i++, pos += size) out[i] = getter(pos);
+    return out;
+  }
+
+  function readPayload(type) {
+    let value;
+    switch (type) {
+      case TAG.BYTE: need(1); value = view.getInt8(pos); pos += 1; return value;
+      case TAG.SHORT: need(2); value = view.getInt16(pos); pos += 2; return value;
+      case TAG.INT: need(4); value = view.getInt32(pos); pos += 4; return value;
+      case TAG.LONG: need(8); value = view.getBigInt64(pos); pos += 8; return value;
+      case TAG.FLOAT: need(4); value = view.getFloat32(pos); pos += 4; return value;
+      case TAG.DOUBLE: need(8); value = view.getFloat64(pos); pos += 8; return value;
+      case TAG.BYTE_ARRAY: return readArray(Int8Array, 1, p => view.getInt8(p));
+      case TAG.STRING: return readString();
+      case TAG.INT_ARRAY: return readArray(Int32Array, 4, p => view.getInt32(p));
+      case TAG.LONG_ARRAY: return readArray(BigInt64Array, 8, p => view.getBigInt64(p));
+      case TAG.LIST: {
+        need(5);
+        const itemType = view.getUint8(pos);
+        const length = view.getInt32(pos + 1);
+        pos += 5;
+        const items = [];
+        for (let i = 0; i < length; i++) items.push(readPayload(itemType));
+        return items;
+      }
+      case TAG.COMPOUND: {
+        const out = {};
+        for (;;) {
+          need(1);
+          const childType = view.getUint8(pos);
+          pos += 1;
+          if (childType === TAG.END) return out;
+          const name = readString();
+          out[name] = readPayload(childType);
+        }
+      }
+      default:
+        throw new Error(`Unknown NBT tag type ${type}`);
+    }
+  }
+
+  need(1);
+  const rootType = view.getUint8(pos);
+  pos += 1;
+  if (rootType !== TAG.COMPOUND) throw new Error('Not an NBT file (root is not a compound)');
+  const name = readString();
+  return { name, value: readPayload(TAG.COMPOUND) };
+}
+
+// --- Writing ---
+
+const tagged = (type) => (value) => ({ type, value });
+
+// Typed tag builders for writeNBT, e.g.
+//   nbt.compound({ Width: nbt.short(4), Palette: nbt.compound({ ... }) })
+export const nbt = {
+  byte: tagged(TAG.BYTE),
+  short: tagged(TAG.SHORT),
+  int: tagged(TAG.INT),
+  long: (value) => ({ type: TAG.LONG, value: BigInt(value) }),
+  float: tagged(TAG.FLOAT),
+  double: tagged(TAG.DOUBLE),
+  string: tagged(TAG.STRING),
+  byteArray: tagged(TAG.BYTE_ARRAY),
+  intArray: tagged(TAG.INT_ARRAY),
+  longArray: tagged(TAG.LONG_ARRAY),
+  // Items are tagged values of `itemType`; an empty list may use TAG.END
+  list: (itemType, items) => ({ type: TAG.LIST, value: { itemType, items } }),
+  compound: tagged(TAG.COMPOUND),
+};
+
+// Serialise a root compound (built with `nbt.compound`) to uncompressed bytes
+export function writeNBT(name, root) {
+  let bytes = new Uint8Array(1024);
+  let view = new DataView(bytes.buffer);
+  let pos = 0;
+
+  function reserve(n) {
+    if (pos + n <= bytes.length) return;
+    let size = bytes.length * 2;
+    while (size < pos + n) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(bytes);
+    bytes = grown;
+    view = new DataView(bytes.buffer);
+  }
+
+  function writeString(text) {
+    const encoded = textEncoder.encode(text);
+    if (encoded.length > 0xffff) throw new Error('NBT string too long');
+    reserve(2 + encoded.length);
+    view.setUint16(pos, encoded.length);
+    bytes.set(encoded, pos + 2);
+    pos += 2 + encoded.length;
+  }
+
+  function writeArray(values, size, setter) {
+    reserve(4 + values.length * size);
+    view.setInt32(pos, values.length);
+    pos += 4;
+    for (const v of values) {
+      setter(pos, v);
+      pos += size;
+    }
+  }
+
+  function writePayload(type, value) {
+    switch (type) {
+      case TAG.BYTE: reserve(1); view.setInt8(pos, value); pos += 1; break;
+      case TAG.SHORT: reserve(2); view.setInt16(pos, value); pos += 2; break;
+      case TAG.INT: reserve(4); view.setInt32(pos, value); pos += 4; break;
+      case TAG.LONG: reserve(8); view.setBigInt64(pos, BigInt.asIntN(64, value)); pos += 8; break;
+      case TAG.FLOAT: reserve(4); view.setFloat32(pos, value); pos += 4; break;
+      case TAG.DOUBLE: reserve(8); view.setFloat64(pos, value); pos += 8; break;
+      case TAG.BYTE_ARRAY: writeArray(value, 1, (p, v) => view.setInt8(p, v)); break;
+      case TAG.STRING: writeString(value); break;
+      case TAG.INT_ARRAY: writeArray(value, 4, (p, v) => view.setInt32(p, v)); break;
+      case TAG.LONG_ARRAY: writeArray(value, 8, (p, v) => view.setBigInt64(p, BigInt.asIntN(64, v))); break;
+      case TAG.LIST: {
+        const { itemType, items } = value;
+        reserve(5);
+        view.setUint8(pos, items.length ? itemType : TAG.END);
+        view.setInt32(pos + 1, items.length);
+        pos += 5;
+        for (const item of items) {
+          if (item.type !== itemType) throw new Error('NBT list items must all have the list type');
+          writePayload(itemType, item.value);
+        }
+        break;
+      }
+      case TAG.COMPOUND:
+        for (const [childName, child] of Object.entries(value)) {
+          reserve(1);
+          view.setUint8(pos, child.type);
+          pos += 1;
+          writeString(childName);
+          writePayload(child.type, child.value);
+        }
+        reserve(1);
+        view.setUint8(pos, TAG.END);
+        pos += 1;
+        break;
+      default:
+        throw new Error(`Unknown NBT tag type ${type}`);
+    }
+  }
+
+  if (root.type !== TAG.COMPOUND) throw new Error('NBT root must be a compound');
+  reserve(1);
+  view.setUint8(pos, TAG.COMPOUND);
+  pos += 1;
+  writeString(name);
+  writePayload(TAG.COMPOUND, root.value);
+  return bytes.slice(0, pos);
+}
+
+// --- Compression ---
+
+async function pipeThrough(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+export const isGzip = (bytes) => bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+// Decompress gzipped data; anything else is returned unchanged
+export async function gunzip(bytes) {
+  return isGzip(bytes) ? pipeThrough(bytes, new DecompressionStream('gzip')) : bytes;
+}
+
+export async function gzip(bytes) {
+  return pipeThrough(bytes, new CompressionStream('gzip'));
+}
@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+
+// --- First-person player physics ---
+// The player is an axis-aligned box standing on `position` (feet, centre of
+// the footprint). Movement is resolved one axis at a time against solid voxel
+// cells, with gravity, jumping and automatic step-up onto one-block ledges.
+//
+// The world is described by two callbacks:
+//   isSolid(x, y, z)   true if the integer grid cell blocks movement
+//   groundHeight(x, z) lowest walkable surface outside the voxels
+//                      (smooth terrain or the water plane)
+
+export const PLAYER_WIDTH = 0.6;
+export const PLAYER_HEIGHT = 1.8;
+export const PLAYER_EYE_HEIGHT = 1.62;
+
+const GRAVITY = 32;          // units/s²
+const JUMP_SPEED = 10;       // clears a bit more than one block
+const TERMINAL_SPEED = 60;
+const STEP_HEIGHT = 1.0;     // auto-climb ledges up to one block
+const MAX_SUBSTEP = 0.25;    // max distance per collision substep
+const SKIN = 1e-4;           // gap kept between the box and a wall
+
+export function createPlayerBody() {
+  return {
+    position: new THREE.Vector3(),
+    velocity: new THREE.Vector3(),
+    onGround: false,
+  };
+}
+
+// Does the box with feet at (x, y, z) overlap any solid cell?
+function collidesAt(x, y, z, world) {
+  const half = PLAYER_WIDTH / 2;
+  const minX = Math.floor(x - half + SKIN);
+  const maxX = Math.floor(x + half - SKIN);
+  const minY = Math.floor(y + SKIN);
+  const maxY = Math.floor(y + PLAYER_HEIGHT - SKIN);
+  const minZ = Math.floor(z - half + SKIN);
+  const maxZ = Math.floor(z + half - SKIN);
+
+  for (let cx = minX; cx <= maxX; cx++) {
+    for (let cy = minY; cy <= maxY; cy++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        if (world.isSolid(cx, cy, cz)) return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Move along x or z; on contact either step up a ledge or stop at the wall
+function moveHorizontal(body, axis, amount, canStep, world) {
+  if (amount === 0) return;
+  const p = body.position;
+  const start = p[axis];
+  p[axis] = start + amount;
+  if (!collidesAt(p.x, p.y, p.z, world)) return;
+
+  if (canStep) {
+    const stepY = Math.floor(p.y + SKIN) + 1;
+    if (stepY - p.y <= STEP_HEIGHT + SKIN && !collidesAt(p.x, stepY, p.z, world)) {
+      p.y = stepY;
+      return;
+    }
+  }
+
+  // Snap flush against the blocking cell face, never back past the start
+  const half = PLAYER_WIDTH / 2;
+  if (amount > 0) {
+    p[axis] = Math.max(start, Math.floor(p[axis] + half - SKIN) - half - SKIN);
+  } else {
+    p[axis] = Math.min(start, Math.floor(p[axis] - half + SKIN) + 1 + half + SKIN);
+  }
+  body.velocity[axis] = 0;
+}
+
+function moveVertical(body, amount, world) {
+  const p = body.position;
+  p.y += amount;
+  if (collidesAt(p.x, p.y, p.z, world)) {
+    if (amount < 0) {
+      p.y = Math.floor(p.y + SKIN) + 1;
+      body.onGround = true;
+    } else {
+      p.y = Math.floor(p.y + PLAYER_HEIGHT - SKIN) - PLAYER_HEIGHT - SKIN;
+    }
+    body.velocity.y = 0;
+  }
+
+  const ground = world.groundHeight(p.x, p.z);
+  if (p.y <= ground) {
+    p.y = ground;
+    if (body.velocity.y < 0) body.velocity.y = 0;
+    body.onGround = true;
+  }
+}
+
+// Advance the body by dt. `moveX`/`moveZ` are the desired horizontal world
+// velocity; `jump` requests a jump (only honoured on the ground).
+export function stepPlayer(body, { moveX, moveZ, jump }, dt, world) {
+  const v = body.velocity;
+  v.x = moveX;
+  v.z = moveZ;
+
+  if (jump && body.onGround) {
+    v.y = JUMP_SPEED;
+    body.onGround = false;
+  }
+  v.y = Math.max(v.y - GRAVITY * dt, -TERMINAL_SPEED);
+
+  // A block appeared inside the body (undo, paste): lift it out
+  const p = body.position;
+  for (let i = 0; i < 256 && collidesAt(p.x, p.y, p.z, world); i++) {
+    p.y = Math.floor(p.y + SKIN) + 1;
+  }
+
+  const travel = Math.max(Math.abs(v.x), Math.abs(v.y), Math.abs(v.z)) * dt;
+  const steps = Math.max(1, Math.ceil(travel / MAX_SUBSTEP));
+  const h = dt / steps;
+
+  for (let i = 0; i < steps; i++) {
+    const wasOnGround = body.onGround;
+    body.onGround = false;
+    moveVertical(body, v.y * h, world);
+    // Step-up stays available for the substep in which we walk off a ledge
+    const canStep = body.onGround || (wasOnGround && v.y <= 0);
+    moveHorizontal(body, 'x', v.x * h, canStep, world);
+    moveHorizontal(body, 'z', v.z * h, canStep, world);
+  }
+}
@@ -0,0 +1,71 @@
+// --- Terrain presets ---
+// A preset is a named set of terrain parameters. Presets saved by the user
+// also keep the seed and world type they were saved with; the built-in ones
+// apply to the current seed. Saved presets live in localStorage, and a
+// share code carries one preset as base64 JSON so it can be pasted into
+// another browser.
+
+import { normalizeTerrainParams } from './terrain.js';
+
+const PRESETS_KEY = 'terrain_presets';
+const SHARE_PREFIX = 'terrain:';
+const MAX_NAME_LENGTH = 60;
+
+export const BUILTIN_PRESETS = [
+  { name: 'Default', params: {} },
+  { name: 'Archipelago', params: { noiseScale: 0.022, exponent: 2.2, falloff: 2, waterLevel: 5 } },
+  { name: 'Alpine', params: { octaves: 5, gain: 0.55, exponent: 2.4, heightScale: 55, vegetation: 0.6 } },
+  { name: 'Rolling hills', params: { noiseScale: 0.009, octaves: 2, exponent: 1.3, heightScale: 18, falloff: 6 } },
+  { name: 'Lush', params: { exponent: 1.5, vegetation: 2.5 } },
+  { name: 'River valleys', params: { octaves: 4, exponent: 2, heightScale: 40, erosion: 0.8, rivers: 12 } },
+].map(p => ({ ...p, seed: null, endless: false, builtin: true, params: normalizeTerrainParams(p.params) }));
+
+// { name, seed, endless, params } from anything that looks like a preset,
+// or null
+function toPreset(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  return {
+    name: raw.name.trim().slice(0, MAX_NAME_LENGTH),
+    seed: Number.isInteger(raw.seed) ? raw.seed : null,
+    endless: !!raw.endless,
+    params: normalizeTerrainParams(raw.params),
+  };
+}
+
+export function loadPresets() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PRESETS_KEY) || '[]');
+    return Array.isArray(list) ? list.map(toPreset).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function savePresets(presets) {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+}
+
+export function encodePreset(preset) {
+  const { name, seed, endless, params } = preset;
+  const bytes = new TextEncoder().encode(JSON.stringify({ name, seed, endless, params }));
+  return SHARE_PREFIX + btoa(String.fromCharCode(...bytes));
+}
+
+// Accepts a share code or the plain JSON of a preset
+export function decodePreset(code) {
+  const text = code.trim();
+  let raw;
+  try {
+    if (text.startsWith(SHARE_PREFIX)) {
+      const bytes = Uint8Array.from(atob(text.slice(SHARE_PREFIX.length)), c => c.charCodeAt(0));
+      raw = JSON.parse(new TextDecoder().decode(bytes));
+    } else {
+      raw = JSON.parse(text);
+    }
+  } catch {
+    raw = null;
+  }
+  const preset = toPreset(raw);
+  if (!preset) throw new Error('Not a terrain share code');
+  return preset;
+}
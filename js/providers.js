@@ -0,0 +1,366 @@
+// --- LLM providers for AI Build ---
+// A provider turns { system, messages, maxTokens } into one HTTP request and
+// pulls the answer text back out of the response. Three wire formats are
+// supported: Anthropic Messages, OpenAI-compatible chat completions (OpenAI,
+// llama.cpp server, most hosted gateways) and Ollama's native /api/chat.
+//
+// Settings per provider: { endpoint, model, apiKey, headers, responsePath }
+// where headers is a JSON object of extra request headers and responsePath
+// (e.g. "choices.0.message.content") overrides where the text is read from.
+//
+// Requests can stream: each format then also knows how to read one streamed
+// event (server-sent events, or newline-delimited JSON for Ollama).
+// Token usage is reported as { inputTokens, outputTokens } where the server
+// provides it.
+
+const FORMATS = {
+  anthropic: {
+    buildRequest({ model, apiKey, system, messages, maxTokens, stream }) {
+      return {
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true',
+        },
+        body: { model, max_tokens: maxTokens, system, messages, stream },
+      };
+    },
+    extract(data) {
+      const text = (data.content || [])
+        .filter(c => c.type === 'text')
+        .map(c => c.text)
+        .join('');
+      return {
+        text,
+        truncated: data.stop_reason === 'max_tokens',
+        usage: { inputTokens: data.usage?.input_tokens, outputTokens: data.usage?.output_tokens },
+      };
+    },
+    readEvent(event) {
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        return { text: event.delta.text };
+      }
+      if (event.type === 'message_start') {
+        return { usage: { inputTokens: event.message?.usage?.input_tokens } };
+      }
+      if (event.type === 'message_delta') {
+        return {
+          truncated: event.delta?.stop_reason === 'max_tokens',
+          usage: { outputTokens: event.usage?.output_tokens },
+        };
+      }
+      if (event.type === 'error') return { error: event.error?.message };
+      return {};
+    },
+    errorMessage: (body) => body?.error?.message,
+    lines: 'sse',
+  },
+
+  openai: {
+    buildRequest({ model, apiKey, system, messages, maxTokens, stream }) {
+      return {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: {
+          model,
+          max_tokens: maxTokens,
+          messages: [{ role: 'system', content: system }, ...messages],
+          stream,
+          // Ask for a final usage chunk when streaming
+          ...(stream ? { stream_options: { include_usage: true } } : {}),
+        },
+      };
+    },
+    extract(data) {
+      const choice = data.choices?.[0];
+      return {
+        text: choice?.message?.content || '',
+        truncated: choice?.finish_reason === 'length',
+        usage: { inputTokens: data.usage?.prompt_tokens, outputTokens: data.usage?.completion_tokens },
+      };
+    },
+    readEvent(event) {
+      const choice = event.choices?.[0];
+      return {
+        text: choice?.delta?.content,
+        truncated: choice?.finish_reason === 'length',
+        usage: { inputTokens: event.usage?.prompt_tokens, outputTokens: event.usage?.completion_tokens },
+        error: event.error?.message,
+      };
+    },
+    errorMessage: (body) => body?.error?.message || body?.error,
+    lines: 'sse',
+  },
+
+  ollama: {
+    buildRequest({ model, system, messages, maxTokens, stream }) {
+      return {
+        headers: {},
+        body: {
+          model,
+          stream,
+          messages: [{ role: 'system', content: system }, ...messages],
+          options: { num_predict: maxTokens },
+        },
+      };
+    },
+    extract(data) {
+      return {
+        text: data.message?.content || '',
+        truncated: data.done_reason === 'length',
+        usage: { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count },
+      };
+    },
+    readEvent(event) {
+      return {
+        text: event.message?.content,
+        truncated: event.done_reason === 'length',
+        usage: { inputTokens: event.prompt_eval_count, outputTokens: event.eval_count },
+        error: event.error,
+      };
+    },
+    errorMessage: (body) => body?.error,
+    lines: 'ndjson',
+  },
+};
+
+export const PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic',
+    format: 'anthropic',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    model: 'claude-sonnet-4-5-20250929',
+    needsKey: true,
+    keyPlaceholder: 'sk-ant-...',
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    format: 'openai',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    model: 'gpt-4.1',
+    needsKey: true,
+    keyPlaceholder: 'sk-...',
+  },
+  ollama: {
+    label: 'Ollama (local)',
+    format: 'ollama',
+    endpoint: 'http://localhost:11434/api/chat',
+    model: 'llama3.1',
+    needsKey: false,
+    keyPlaceholder: 'not needed',
+  },
+  llamacpp: {
+    label: 'llama.cpp server (local)',
+    format: 'openai',
+    endpoint: 'http://localhost:8080/v1/chat/completions',
+    model: 'local',
+    needsKey: false,
+    keyPlaceholder: 'not needed',
+  },
+};
+
+export const DEFAULT_PROVIDER = 'anthropic';
+
+// --- Settings (localStorage, next to the API keys) ---
+// The Anthropic key keeps its original storage key so existing setups work.
+const PROVIDER_KEY = 'ai_provider';
+const CONFIG_KEY = 'ai_provider_config';
+const apiKeyStorageKey = (id) => `${id}_api_key`;
+
+function loadConfigs() {
+  try {
+    return JSON.parse(localStorage.getItem(CONFIG_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function getSelectedProvider() {
+  const id = localStorage.getItem(PROVIDER_KEY);
+  return PROVIDERS[id] ? id : DEFAULT_PROVIDER;
+}
+
+export function setSelectedProvider(id) {
+  localStorage.setItem(PROVIDER_KEY, id);
+}
+
+// Stored settings for a provider, with its defaults filled in
+export function loadProviderSettings(id) {
+  const preset = PROVIDERS[id];
+  const stored = loadConfigs()[id] || {};
+  return {
+    endpoint: stored.endpoint || preset.endpoint,
+    model: stored.model || preset.model,
+    headers: stored.headers || '',
+    responsePath: stored.responsePath || '',
+    apiKey: localStorage.getItem(apiKeyStorageKey(id)) || '',
+  };
+}
+
+export function saveProviderSettings(id, { endpoint, model, headers, responsePath, apiKey }) {
+  const configs = loadConfigs();
+  configs[id] = { endpoint, model, headers, responsePath };
+  localStorage.setItem(CONFIG_KEY, JSON.stringify(configs));
+  if (apiKey) localStorage.setItem(apiKeyStorageKey(id), apiKey);
+  else localStorage.removeItem(apiKeyStorageKey(id));
+}
+
+// --- Requests ---
+
+function parseExtraHeaders(text) {
+  if (!text || !text.trim()) return {};
+  let headers;
+  try {
+    headers = JSON.parse(text);
+  } catch {
+    throw new Error('Extra headers must be a JSON object');
+  }
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new Error('Extra headers must be a JSON object');
+  }
+  return headers;
+}
+
+// Read "a.0.b" style paths out of a parsed response
+function readPath(data, path) {
+  let value = data;
+  for (const part of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+// Split a response body into lines as it arrives
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+// Parsed events of a streamed response (SSE `data:` lines or NDJSON)
+async function* readEvents(body, kind) {
+  for await (const raw of readLines(body)) {
+    let line = raw.trim();
+    if (kind === 'sse') {
+      if (!line.startsWith('data:')) continue;
+      line = line.slice(5).trim();
+      if (line === '[DONE]') return;
+    }
+    if (!line) continue;
+    try {
+      yield JSON.parse(line);
+    } catch { /* ignore keep-alives and partial garbage */ }
+  }
+}
+
+// Keep the usage numbers a response or event actually reported
+function mergeUsage(usage, part) {
+  if (!part) return;
+  if (part.inputTokens !== undefined) usage.inputTokens = part.inputTokens;
+  if (part.outputTokens !== undefined) usage.outputTokens = part.outputTokens;
+}
+
+async function readStream(response, format, onText, usage) {
+  let text = '';
+  let truncated = false;
+  for await (const event of readEvents(response.body, format.lines)) {
+    const part = format.readEvent(event);
+    if (part.error) throw new Error(typeof part.error === 'string' ? part.error : 'Stream error');
+    if (part.truncated) truncated = true;
+    mergeUsage(usage, part.usage);
+    if (part.text) {
+      text += part.text;
+      onText(part.text);
+    }
+  }
+  return { text, truncated };
+}
+
+// Send one chat request. Resolves with { text, truncated, aborted, usage }; rejects
+// with an Error carrying the provider's message on HTTP or network failure.
+// With `onText` the answer is streamed and passed on chunk by chunk; aborting
+// through `signal` resolves with the text received so far. A custom response
+// path needs the whole response, so it disables streaming.
+export async function requestCompletion(id, settings, { system, messages, maxTokens, signal, onText }) {
+  const preset = PROVIDERS[id];
+  const format = FORMATS[preset.format];
+  if (preset.needsKey && !settings.apiKey) {
+    throw new Error(`${preset.label} API key is not set`);
+  }
+
+  const stream = !!onText && !settings.responsePath;
+  const { headers, body } = format.buildRequest({
+    model: settings.model,
+    apiKey: settings.apiKey,
+    system,
+    messages,
+    maxTokens,
+    stream,
+  });
+
+  let response;
+  try {
+    response = await fetch(settings.endpoint, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        ...headers,
+        ...parseExtraHeaders(settings.headers),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (signal?.aborted) return { text: '', truncated: false, aborted: true, usage: {} };
+    throw err;
+  }
+
+  if (!response.ok) {
+    const errBody = await response.json().catch(() => ({}));
+    const errMsg = format.errorMessage(errBody);
+    throw new Error(typeof errMsg === 'string' && errMsg ? errMsg : `API error (${response.status})`);
+  }
+
+  if (stream) {
+    let received = '';
+    const usage = {};
+    try {
+      const result = await readStream(response, format, (part) => {
+        received += part;
+        onText(part);
+      }, usage);
+      return { ...result, aborted: false, usage };
+    } catch (err) {
+      if (signal?.aborted) return { text: received, truncated: false, aborted: true, usage };
+      throw err;
+    }
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (err) {
+    if (signal?.aborted) return { text: '', truncated: false, aborted: true, usage: {} };
+    throw err;
+  }
+  const result = format.extract(data);
+  const usage = {};
+  mergeUsage(usage, result.usage);
+  result.usage = usage;
+  if (settings.responsePath) {
+    const text = readPath(data, settings.responsePath);
+    result.text = typeof text === 'string' ? text : '';
+  }
+  if (onText && result.text) onText(result.text);
+  return { ...result, aborted: false };
+}
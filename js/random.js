@@ -0,0 +1,22 @@
+// --- Seeded PRNG (Mulberry32) ---
+// Shared by terrain generation and build scripts. Kept free of imports and
+// outside references, so its source can be sent into the script sandbox.
+
+export function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seed for one cell of a grid (e.g. a terrain chunk) of a seeded world, so
+// per-cell generators give the same result whatever order cells load in
+export function hashCoords(seed, x, z) {
+  let h = (seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(z, 0x165667b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 15), 0x2c1b3c6d);
+  h = Math.imul(h ^ (h >>> 12), 0x297a2d39);
+  return (h ^ (h >>> 15)) >>> 0;
+}
@@ -0,0 +1,93 @@
+// --- Build scripts: running and saving ---
+// Scripts run in a throwaway worker (js/scriptworker.js) against a snapshot
+// of the world; the page applies the edits they return. The worker is
+// started inside a sandboxed iframe: an opaque origin (no access to the
+// page, its storage or cookies) whose CSP allows no network requests, which
+// blob workers inherit. The page talks to it only through a MessageChannel.
+// Saved scripts live in localStorage, so they are shared by every world in
+// this browser.
+
+import { mulberry32 } from './random.js';
+import { SCRIPT_GLOBALS, scriptWorkerMain } from './scriptworker.js';
+
+const SCRIPTS_KEY = 'build_scripts';
+export const SCRIPT_TIMEOUT_MS = 10000;
+
+// Starts the worker from the source it is sent and relays its messages
+const SANDBOX_HTML = `<!DOCTYPE html>
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline' blob:">
+<script>
+onmessage = (e) => {
+  const port = e.ports[0];
+  const worker = new Worker(URL.createObjectURL(new Blob([e.data.source], { type: 'text/javascript' })));
+  worker.onmessage = (m) => port.postMessage(m.data);
+  worker.onerror = (err) => {
+    err.preventDefault();
+    port.postMessage({ type: 'error', message: err.message || 'The script could not be started' });
+  };
+  worker.postMessage(e.data.world);
+};
+<\/script>`;
+
+// The worker as one classic script, with the user's code compiled in as a
+// function rather than through eval (which the CSP forbids)
+function workerSource(code) {
+  const params = [...SCRIPT_GLOBALS, 'self', 'globalThis'].join(', ');
+  return `const mulberry32 = ${mulberry32};\n` +
+    `(${scriptWorkerMain})(${JSON.stringify(SCRIPT_GLOBALS)}, function (${params}) {\n'use strict';\n${code}\n});\n`;
+}
+
+// Resolves with { edits, blueprint } or { error }. `world` is the snapshot
+// described in scriptworker.js; `onLog(text)` receives print() output.
+// Aborting `signal` stops the script.
+export function runBuildScript(code, world, { onLog = () => {}, signal, timeoutMs = SCRIPT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve) => {
+    const frame = document.createElement('iframe');
+    frame.sandbox = 'allow-scripts';
+    frame.hidden = true;
+    frame.srcdoc = SANDBOX_HTML;
+    const channel = new MessageChannel();
+    let timer = null;
+
+    // Removing the frame ends its worker too
+    function finish(result) {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      channel.port1.close();
+      frame.remove();
+      resolve(result);
+    }
+    function onAbort() {
+      finish({ error: 'Stopped' });
+    }
+
+    timer = setTimeout(() => finish({ error: `Stopped after ${timeoutMs / 1000} s (endless loop?)` }), timeoutMs);
+    signal?.addEventListener('abort', onAbort);
+
+    channel.port1.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'log') onLog(msg.text);
+      else if (msg.type === 'done') finish({ edits: msg.edits, blueprint: msg.blueprint });
+      else if (msg.type === 'error') finish({ error: msg.message });
+    };
+    frame.addEventListener('load', () => {
+      // The frame's origin is opaque, so '*' is the only target that matches
+      frame.contentWindow.postMessage({ source: workerSource(code), world }, '*', [channel.port2]);
+    }, { once: true });
+    document.body.appendChild(frame);
+  });
+}
+
+// Saved scripts: { name: code }
+export function loadScripts() {
+  try {
+    const scripts = JSON.parse(localStorage.getItem(SCRIPTS_KEY) || '{}');
+    return scripts && typeof scripts === 'object' ? scripts : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveScripts(scripts) {
+  localStorage.setItem(SCRIPTS_KEY, JSON.stringify(scripts));
+}
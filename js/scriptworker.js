@@ -0,0 +1,178 @@
+// --- Build script worker ---
+// Runs one script and exits. The script sees a snapshot of the world (blocks
+// and the terrain height grid) plus its own writes, never the page's DOM or
+// state, and the page kills the worker if it runs too long. Writes are
+// collected and posted back as one list of edits for the page to apply in a
+// single undo step.
+//
+// The worker is started from a sandboxed iframe (see scripting.js), so it
+// has an opaque origin and a CSP that allows no network requests. Its whole
+// source, this function and the script included, is shipped in as text:
+// everything it uses must live inside it, apart from mulberry32 (random.js),
+// which is sent along. The common network and storage globals are removed
+// too, so a script fails early rather than on the CSP.
+
+import { mulberry32 } from './random.js';
+
+// The names the API is passed to a script under, besides `self` and
+// `globalThis` (both undefined)
+export const SCRIPT_GLOBALS = [
+  'seed', 'waterLevel', 'player', 'aim', 'BLOCK',
+  'getBlock', 'setBlock', 'fill', 'getTerrainHeight', 'blueprint',
+  'random', 'randomInt', 'randomSeed', 'mulberry32', 'print', 'console',
+];
+
+// `script` is the user's code wrapped as a function of `globalNames`,
+// then `self` and `globalThis`
+export function scriptWorkerMain(globalNames, script) {
+  const post = self.postMessage.bind(self);
+
+  const BLOCKED_GLOBALS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts',
+    'indexedDB', 'caches', 'Worker', 'SharedWorker', 'BroadcastChannel', 'postMessage',
+  ];
+
+  const MAX_LOG_LINES = 500;
+
+  function lockDown() {
+    for (const name of BLOCKED_GLOBALS) {
+      Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+    }
+  }
+
+  // Chunk layers in priority order (placed blocks over terrain), as sent by the page
+  function createWorldReader(layers, chunkSize) {
+    const maps = layers.map(chunks => new Map(chunks.map(c => [`${c.cx},${c.cy},${c.cz}`, c.data])));
+    return (x, y, z) => {
+      const cx = Math.floor(x / chunkSize);
+      const cy = Math.floor(y / chunkSize);
+      const cz = Math.floor(z / chunkSize);
+      const key = `${cx},${cy},${cz}`;
+      const i = (x - cx * chunkSize) + chunkSize * ((y - cy * chunkSize) + chunkSize * (z - cz * chunkSize));
+      for (const map of maps) {
+        const data = map.get(key);
+        if (data && data[i] !== 0) return data[i] - 1;
+      }
+      return null;
+    };
+  }
+
+  // Bilinear height between grid vertices; 0 outside the grid
+  function createHeightReader({ size, x0, z0, heights }) {
+    const n = size + 1;
+    return (x, z) => {
+      const gx = x - x0;
+      const gz = z - z0;
+      if (!(gx >= 0 && gx <= size && gz >= 0 && gz <= size)) return 0;
+      const ix = Math.min(Math.floor(gx), size - 1);
+      const iz = Math.min(Math.floor(gz), size - 1);
+      const fx = gx - ix;
+      const fz = gz - iz;
+      const h = (i, j) => heights[i * n + j];
+      return (h(ix, iz) * (1 - fx) + h(ix + 1, iz) * fx) * (1 - fz) +
+        (h(ix, iz + 1) * (1 - fx) + h(ix + 1, iz + 1) * fx) * fz;
+    };
+  }
+
+  function createApi(world) {
+    const readWorld = createWorldReader(world.layers, world.chunkSize);
+    const edits = new Map(); // "x,y,z" -> [x, y, z, type | null]
+    let blueprintBlocks = null;
+    let logLines = 0;
+
+    const cell = (v, name) => {
+      if (!Number.isFinite(v)) throw new Error(`${name} must be a number`);
+      return Math.floor(v);
+    };
+
+    // Block ids, names (any case), or null / 'air' for empty
+    const lowerNames = world.blockNames.map(n => n.toLowerCase());
+    function toType(value) {
+      if (value === null || value === undefined) return null;
+      if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value < lowerNames.length) return value;
+      if (typeof value === 'string') {
+        const name = value.trim().toLowerCase();
+        if (name === 'air') return null;
+        const i = lowerNames.indexOf(name);
+        if (i !== -1) return i;
+      }
+      throw new Error(`Unknown block type ${JSON.stringify(value)}`);
+    }
+
+    function write(x, y, z, type) {
+      const key = `${x},${y},${z}`;
+      if (!edits.has(key) && edits.size >= world.maxEdits) {
+        throw new Error(`Scripts may change at most ${world.maxEdits} blocks per run`);
+      }
+      edits.set(key, [x, y, z, type]);
+    }
+
+    function print(...args) {
+      if (++logLines > MAX_LOG_LINES) return;
+      const text = logLines === MAX_LOG_LINES
+        ? '(further output dropped)'
+        : args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ');
+      post({ type: 'log', text });
+    }
+
+    let random = mulberry32(world.seed ?? 0);
+
+    const BLOCK = Object.fromEntries(world.blockNames.map((n, i) => [n.toUpperCase(), i]));
+
+    const api = {
+      seed: world.seed,
+      waterLevel: world.waterLevel,
+      player: world.player,
+      aim: world.aim,
+      BLOCK: Object.freeze(BLOCK),
+
+      getBlock(x, y, z) {
+        x = cell(x, 'x'); y = cell(y, 'y'); z = cell(z, 'z');
+        const edit = edits.get(`${x},${y},${z}`);
+        return edit ? edit[3] : readWorld(x, y, z);
+      },
+      setBlock(x, y, z, type) {
+        write(cell(x, 'x'), cell(y, 'y'), cell(z, 'z'), toType(type));
+      },
+      fill(x1, y1, z1, x2, y2, z2, type) {
+        const t = toType(type);
+        const [ax, bx] = [cell(x1, 'x1'), cell(x2, 'x2')].sort((a, b) => a - b);
+        const [ay, by] = [cell(y1, 'y1'), cell(y2, 'y2')].sort((a, b) => a - b);
+        const [az, bz] = [cell(z1, 'z1'), cell(z2, 'z2')].sort((a, b) => a - b);
+        for (let y = ay; y <= by; y++) {
+          for (let z = az; z <= bz; z++) {
+            for (let x = ax; x <= bx; x++) write(x, y, z, t);
+          }
+        }
+      },
+      getTerrainHeight: createHeightReader(world.heights),
+      // Hand blocks relative to an origin to the blueprint system instead
+      blueprint(blocks) {
+        if (!Array.isArray(blocks)) throw new Error('blueprint() takes an array of { x, y, z, type }');
+        blueprintBlocks = blocks.map(b => ({
+          x: cell(b.x, 'x'), y: cell(b.y, 'y'), z: cell(b.z, 'z'), type: toType(b.type),
+        })).filter(b => b.type !== null);
+      },
+      random: () => random(),
+      randomInt: (min, max) => min + Math.floor(random() * (max - min + 1)),
+      randomSeed(seed) { random = mulberry32(seed); },
+      mulberry32,
+      print,
+      console: { log: print, info: print, warn: print, error: print },
+    };
+
+    return { api, result: () => ({ edits: [...edits.values()], blueprint: blueprintBlocks }) };
+  }
+
+  self.onmessage = (e) => {
+    const { api, result } = createApi(e.data);
+    lockDown();
+    try {
+      // Pass the API as plain arguments, and shadow the global object names
+      script(...globalNames.map(name => api[name]), undefined, undefined);
+      post({ type: 'done', ...result() });
+    } catch (err) {
+      post({ type: 'error', message: err && err.message ? err.message : String(err) });
+    }
+  };
+}
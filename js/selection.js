@@ -0,0 +1,39 @@
+// --- Region selection helpers ---
+// A selection is the box of grid cells spanned by two corner cells
+// (inclusive). These helpers work on plain { x, y, z } corners and a cell
+// getter; the edit operations themselves live in app.js so they go through
+// the undo history.
+
+// Normalised box { min, max, size, volume } for two corners in any order
+export function selectionBox(a, b) {
+  const min = { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) };
+  const max = { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) };
+  const size = { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 };
+  return { min, max, size, volume: size.x * size.y * size.z };
+}
+
+export function forEachCell(box, fn) {
+  for (let y = box.min.y; y <= box.max.y; y++) {
+    for (let z = box.min.z; z <= box.max.z; z++) {
+      for (let x = box.min.x; x <= box.max.x; x++) fn(x, y, z);
+    }
+  }
+}
+
+// True for cells on the box's outer faces
+export function isOnShell(box, x, y, z) {
+  return x === box.min.x || x === box.max.x ||
+    y === box.min.y || y === box.max.y ||
+    z === box.min.z || z === box.max.z;
+}
+
+// The filled cells of the box as blocks relative to its min corner.
+// `getType(x, y, z)` returns a type or null for empty cells.
+export function copyRegion(box, getType) {
+  const blocks = [];
+  forEachCell(box, (x, y, z) => {
+    const type = getType(x, y, z);
+    if (type !== null) blocks.push({ x: x - box.min.x, y: y - box.min.y, z: z - box.min.z, type });
+  });
+  return blocks;
+}
@@ -0,0 +1,123 @@
+// --- Shape generators ---
+// Parameterised primitives as block lists in the same form as AI and
+// imported structures: centred on x/z, lowest layer at y = 0. Each shape is
+// an `inside(x, y, z)` test over a bounding box. Hollow keeps only the cells
+// with an empty neighbour, looking only along the axes where the shape is
+// more than one block thick. So a hollow wall or floor is a frame and a
+// hollow sphere is a shell.
+
+export const SHAPE_PARAMS = {
+  length: { label: 'Length', min: 1, max: 128 },
+  width: { label: 'Width', min: 1, max: 128 },
+  height: { label: 'Height', min: 1, max: 64 },
+  radius: { label: 'Radius', min: 1, max: 32 },
+};
+
+// Cells -half..(size - 1 - half), so odd sizes centre exactly
+const span = (size) => {
+  const lo = -Math.floor((size - 1) / 2);
+  return [lo, lo + size - 1];
+};
+
+// Round shapes test cell centres against the radius plus half a cell, which
+// gives the familiar voxel circle (radius 1 is a plus sign, not a single cell)
+const within = (d2, r) => d2 <= (r + 0.5) * (r + 0.5);
+
+export const SHAPES = {
+  line: {
+    label: 'Line',
+    params: ['length'],
+    bounds: ({ length }) => ({ x: span(length), y: [0, 0], z: [0, 0] }),
+    inside: () => true,
+  },
+  wall: {
+    label: 'Wall',
+    params: ['length', 'height'],
+    bounds: ({ length, height }) => ({ x: span(length), y: [0, height - 1], z: [0, 0] }),
+    inside: () => true,
+  },
+  floor: {
+    label: 'Floor',
+    params: ['length', 'width'],
+    bounds: ({ length, width }) => ({ x: span(length), y: [0, 0], z: span(width) }),
+    inside: () => true,
+  },
+  sphere: {
+    label: 'Sphere',
+    params: ['radius'],
+    bounds: ({ radius: r }) => ({ x: [-r, r], y: [0, 2 * r], z: [-r, r] }),
+    inside: (x, y, z, { radius: r }) => within(x * x + (y - r) * (y - r) + z * z, r),
+  },
+  cylinder: {
+    label: 'Cylinder',
+    params: ['radius', 'height'],
+    bounds: ({ radius: r, height }) => ({ x: [-r, r], y: [0, height - 1], z: [-r, r] }),
+    inside: (x, y, z, { radius: r }) => within(x * x + z * z, r),
+  },
+  // Square layers shrinking from `radius` at the base to a point at the top
+  // (a single layer is just the base)
+  pyramid: {
+    label: 'Pyramid',
+    params: ['radius', 'height'],
+    bounds: ({ radius: r, height }) => ({ x: [-r, r], y: [0, height - 1], z: [-r, r] }),
+    inside: (x, y, z, { radius: r, height }) => {
+      const half = height > 1 ? Math.round((r * (height - 1 - y)) / (height - 1)) : r;
+      return Math.abs(x) <= half && Math.abs(z) <= half;
+    },
+  },
+  // A flat-topped block `width` deep along Z with a round-topped opening:
+  // straight sides `height` tall, then a half circle of `radius`, with one
+  // block of wall beside and above it
+  arch: {
+    label: 'Arch',
+    params: ['radius', 'height', 'width'],
+    bounds: ({ radius: r, height, width }) => ({ x: [-r - 1, r + 1], y: [0, height + r + 1], z: span(width) }),
+    inside: (x, y, z, { radius: r, height }) => {
+      if (y < height) return Math.abs(x) > r;
+      return !within(x * x + (y - height) * (y - height), r);
+    },
+  },
+};
+
+// Clamp the shape's parameters into range; unused ones are dropped
+export function normalizeShapeParams(shapeId, params) {
+  const out = {};
+  for (const name of SHAPES[shapeId].params) {
+    const { min, max } = SHAPE_PARAMS[name];
+    const value = Math.round(Number(params[name]));
+    out[name] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min;
+  }
+  return out;
+}
+
+// Block list for a shape. Throws if it would exceed `limit` blocks.
+export function generateShape(shapeId, params, { hollow = false, type, limit = Infinity }) {
+  const shape = SHAPES[shapeId];
+  if (!shape) throw new Error(`Unknown shape "${shapeId}"`);
+  const p = normalizeShapeParams(shapeId, params);
+  const box = shape.bounds(p);
+  const inBox = (v, [lo, hi]) => v >= lo && v <= hi;
+  const filled = (x, y, z) => inBox(x, box.x) && inBox(y, box.y) && inBox(z, box.z) && shape.inside(x, y, z, p);
+
+  // Hollow looks along the axes where the box is thicker than one cell
+  const neighbours = [];
+  for (const [axis, [lo, hi]] of Object.entries(box)) {
+    if (hi === lo) continue;
+    for (const d of [-1, 1]) neighbours.push({ x: 0, y: 0, z: 0, [axis]: d });
+  }
+
+  const blocks = [];
+  for (let y = box.y[0]; y <= box.y[1]; y++) {
+    for (let z = box.z[0]; z <= box.z[1]; z++) {
+      for (let x = box.x[0]; x <= box.x[1]; x++) {
+        if (!filled(x, y, z)) continue;
+        if (hollow && neighbours.every(n => filled(x + n.x, y + n.y, z + n.z))) continue;
+        if (blocks.length >= limit) {
+          throw new Error(`This shape has more than ${limit} blocks. Make it smaller or hollow.`);
+        }
+        blocks.push({ x, y, z, type });
+      }
+    }
+  }
+  return blocks;
+}
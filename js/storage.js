@@ -0,0 +1,189 @@
+// --- IndexedDB persistence for saved worlds and the structure library ---
+// A world record holds everything needed to rebuild a session:
+// { id, name, seed, endless, terrain, timeOfDay, isBlockified, fullDepth, chickensEnabled,
+//   blocks, terrainEdits, createdAt, updatedAt }
+// where endless marks an endless (streamed) world, terrain holds the terrain
+// parameters (TERRAIN_PARAMS in terrain.js), fullDepth says blockify fills
+// whole columns down to bedrock, blocks is a flat [{x, y, z, type}] array of
+// integer grid cells and terrainEdits lists changed blockified-terrain cells
+// the same way (type null = dug out).
+// Its summary { id, name, seed, blockCount, updatedAt } is kept in a store of
+// its own, written in the same transaction, so listing never reads block data.
+//
+// A structure record is a reusable blueprint:
+// { id, name, tags, source, prompt, model, blocks, thumbnail, createdAt, updatedAt }
+// where source is 'ai', 'import', 'copy', 'shape' or 'script' (kept when a saved
+// structure is reused), prompt/model are set for AI builds (else null) and
+// thumbnail is a PNG data URL.
+// Its summary (everything but blocks, plus blockCount) has a store of its own
+// like a world's.
+
+const DB_NAME = 'blockwright';
+const DB_VERSION = 4;
+const WORLD_STORE = 'worlds';
+const WORLD_SUMMARY_STORE = 'worldSummaries';
+const STRUCTURE_STORE = 'structures';
+const STRUCTURE_SUMMARY_STORE = 'structureSummaries';
+
+// Stores with a summary store next to them, and how a record is summarised
+const SUMMARIES = {
+  [WORLD_STORE]: {
+    store: WORLD_SUMMARY_STORE,
+    summarize: w => ({
+      id: w.id,
+      name: w.name,
+      seed: w.seed,
+      blockCount: w.blocks ? w.blocks.length : 0,
+      updatedAt: w.updatedAt,
+    }),
+  },
+  [STRUCTURE_STORE]: {
+    store: STRUCTURE_SUMMARY_STORE,
+    summarize: ({ blocks, ...summary }) => ({ ...summary, blockCount: blocks ? blocks.length : 0 }),
+  },
+};
+
+let dbPromise = null;
+
+// Create a summary store and fill it from the records saved before it
+// existed (a one-off read of every record, during the upgrade)
+function addSummaryStore(db, tx, storeName) {
+  const { store, summarize } = SUMMARIES[storeName];
+  if (db.objectStoreNames.contains(store)) return;
+  const summaries = db.createObjectStore(store, { keyPath: 'id' });
+  tx.objectStore(storeName).openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    summaries.put(summarize(cursor.value));
+    cursor.continue();
+  };
+}
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(WORLD_STORE)) {
+        db.createObjectStore(WORLD_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(STRUCTURE_STORE)) {
+        db.createObjectStore(STRUCTURE_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      addSummaryStore(db, req.transaction, WORLD_STORE);
+      addSummaryStore(db, req.transaction, STRUCTURE_STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+// Run a transaction over one or more stores and resolve with the result of
+// the request `fn` returns, once the transaction completes
+async function withTransaction(storeNames, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const req = fn(tx);
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Run a single request against a store and resolve with its result
+function withStore(storeName, mode, fn) {
+  return withTransaction(storeName, mode, tx => fn(tx.objectStore(storeName)));
+}
+
+// Summaries only (no block data), newest first
+export async function listWorlds() {
+  const worlds = await withStore(WORLD_SUMMARY_STORE, 'readonly', store => store.getAll());
+  return worlds.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function loadWorld(id) {
+  return withStore(WORLD_STORE, 'readonly', store => store.get(id));
+}
+
+// Insert (no id) or overwrite (with id), along with the record's summary if
+// the store has one. Resolves with the record's id.
+function putRecord(storeName, data) {
+  const now = Date.now();
+  const record = { ...data, updatedAt: now };
+  if (!record.createdAt) record.createdAt = now;
+  if (record.id === undefined || record.id === null) delete record.id;
+  const summary = SUMMARIES[storeName];
+  if (!summary) return withStore(storeName, 'readwrite', store => store.put(record));
+  return withTransaction([storeName, summary.store], 'readwrite', (tx) => {
+    const req = tx.objectStore(storeName).put(record);
+    req.onsuccess = () => {
+      tx.objectStore(summary.store).put(summary.summarize({ ...record, id: req.result }));
+    };
+    return req;
+  });
+}
+
+function deleteRecord(storeName, id) {
+  const summary = SUMMARIES[storeName];
+  if (!summary) return withStore(storeName, 'readwrite', store => store.delete(id));
+  return withTransaction([storeName, summary.store], 'readwrite', (tx) => {
+    tx.objectStore(summary.store).delete(id);
+    return tx.objectStore(storeName).delete(id);
+  });
+}
+
+export function saveWorld(world) {
+  return putRecord(WORLD_STORE, world);
+}
+
+export async function renameWorld(id, name) {
+  const world = await loadWorld(id);
+  if (!world) throw new Error('World not found');
+  world.name = name;
+  return saveWorld(world);
+}
+
+export async function duplicateWorld(id, name) {
+  const world = await loadWorld(id);
+  if (!world) throw new Error('World not found');
+  const copy = { ...world, name, createdAt: undefined };
+  delete copy.id;
+  return saveWorld(copy);
+}
+
+export function deleteWorld(id) {
+  return deleteRecord(WORLD_STORE, id);
+}
+
+// --- Structure library ---
+
+// Everything but the block data, newest first
+export async function listStructures() {
+  const structures = await withStore(STRUCTURE_SUMMARY_STORE, 'readonly', store => store.getAll());
+  return structures.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function loadStructure(id) {
+  return withStore(STRUCTURE_STORE, 'readonly', store => store.get(id));
+}
+
+export function saveStructure(structure) {
+  return putRecord(STRUCTURE_STORE, structure);
+}
+
+// Change name and/or tags, keeping the blocks
+export async function updateStructure(id, changes) {
+  const structure = await loadStructure(id);
+  if (!structure) throw new Error('Structure not found');
+  return saveStructure({ ...structure, ...changes });
+}
+
+export function deleteStructure(id) {
+  return deleteRecord(STRUCTURE_STORE, id);
+}
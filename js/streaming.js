@@ -0,0 +1,118 @@
+// --- Endless terrain streaming ---
+// Keeps the chunks of an endless landscape (see generateLandscape) loaded
+// around a point, usually the camera. The level of detail falls off in
+// rings by chunk distance (the larger of the x and z chunk offsets):
+//   near  full-resolution terrain with trees, rocks and flowers
+//   mid   half resolution, trees and rocks
+//   far   quarter resolution, terrain only
+// Chunks out of range are disposed. A few chunks are built per update,
+// nearest first, so walking into new land never stalls a frame for long.
+// Only near chunks can be blockified; the app is told when a chunk enters
+// or leaves the near ring.
+
+import { TERRAIN_CHUNK_SIZE, ENDLESS_VIEW_DISTANCE, createTerrainChunk } from './terrain.js';
+
+const VIEW_RADIUS = Math.ceil(ENDLESS_VIEW_DISTANCE / TERRAIN_CHUNK_SIZE);
+
+const LODS = [
+  { radius: 2, segments: TERRAIN_CHUNK_SIZE, scatter: ['trees', 'rocks', 'flowers'] },
+  { radius: 4, segments: TERRAIN_CHUNK_SIZE / 2, scatter: ['trees', 'rocks'] },
+  { radius: VIEW_RADIUS, segments: TERRAIN_CHUNK_SIZE / 4, scatter: [] },
+];
+const NEAR = 0;
+
+const BUILDS_PER_UPDATE = 2;
+
+const key = (cx, cz) => `${cx},${cz}`;
+
+// Scattered objects have their own geometries and materials; the terrain
+// material is shared by all chunks and belongs to the landscape
+function disposeChunk(chunk) {
+  chunk.mesh.removeFromParent();
+  chunk.mesh.geometry.dispose();
+  chunk.objects.removeFromParent();
+  chunk.objects.traverse((obj) => {
+    if (obj.geometry) obj.geometry.dispose();
+    if (obj.material) obj.material.dispose();
+  });
+}
+
+// `onNearChange(cx, cz, near)` is called when a chunk enters (true) or
+// leaves (false) the near ring.
+export function createTerrainStreamer(landscapeGroup, { onNearChange = () => {} } = {}) {
+  const terrain = landscapeGroup.getObjectByName('terrain');
+  const objectGroup = landscapeGroup.getObjectByName('trees');
+  const chunks = new Map(); // "cx,cz" -> { cx, cz, lod, mesh, objects }
+  let nearHidden = false;
+
+  function lodFor(distance) {
+    return LODS.findIndex(l => distance <= l.radius); // -1: out of range
+  }
+
+  function build(cx, cz, lod) {
+    const old = chunks.get(key(cx, cz));
+    if (old) disposeChunk(old);
+    const { mesh, objects } = createTerrainChunk(landscapeGroup, cx, cz, LODS[lod]);
+    mesh.visible = !(nearHidden && lod === NEAR);
+    terrain.add(mesh);
+    objectGroup.add(objects);
+    chunks.set(key(cx, cz), { cx, cz, lod, mesh, objects });
+
+    const wasNear = old ? old.lod === NEAR : false;
+    if (wasNear !== (lod === NEAR)) onNearChange(cx, cz, lod === NEAR);
+  }
+
+  function unload(chunk) {
+    disposeChunk(chunk);
+    chunks.delete(key(chunk.cx, chunk.cz));
+    if (chunk.lod === NEAR) onNearChange(chunk.cx, chunk.cz, false);
+  }
+
+  // Bring the chunks around world point (x, z) up to date, building at most
+  // `budget` of them (Infinity loads the whole view at once)
+  function update(x, z, budget = BUILDS_PER_UPDATE) {
+    const ccx = Math.floor(x / TERRAIN_CHUNK_SIZE);
+    const ccz = Math.floor(z / TERRAIN_CHUNK_SIZE);
+    const distance = (cx, cz) => Math.max(Math.abs(cx - ccx), Math.abs(cz - ccz));
+
+    for (const chunk of [...chunks.values()]) {
+      if (lodFor(distance(chunk.cx, chunk.cz)) === -1) unload(chunk);
+    }
+
+    const wanted = [];
+    for (let cx = ccx - VIEW_RADIUS; cx <= ccx + VIEW_RADIUS; cx++) {
+      for (let cz = ccz - VIEW_RADIUS; cz <= ccz + VIEW_RADIUS; cz++) {
+        const d = distance(cx, cz);
+        const lod = lodFor(d);
+        const chunk = chunks.get(key(cx, cz));
+        if (!chunk || chunk.lod !== lod) wanted.push({ cx, cz, lod, d });
+      }
+    }
+    wanted.sort((a, b) => a.d - b.d);
+    for (const { cx, cz, lod } of wanted.slice(0, budget)) build(cx, cz, lod);
+  }
+
+  // Hide the smooth terrain of the near ring (it is blockified there)
+  function setNearHidden(hidden) {
+    nearHidden = hidden;
+    for (const chunk of chunks.values()) chunk.mesh.visible = !(hidden && chunk.lod === NEAR);
+  }
+
+  function isNear(x, z) {
+    const chunk = chunks.get(key(Math.floor(x / TERRAIN_CHUNK_SIZE), Math.floor(z / TERRAIN_CHUNK_SIZE)));
+    return !!chunk && chunk.lod === NEAR;
+  }
+
+  function forEachNear(fn) {
+    for (const chunk of chunks.values()) {
+      if (chunk.lod === NEAR) fn(chunk.cx, chunk.cz);
+    }
+  }
+
+  function dispose() {
+    for (const chunk of chunks.values()) disposeChunk(chunk);
+    chunks.clear();
+  }
+
+  return { update, setNearHidden, isNear, forEachNear, dispose };
+}
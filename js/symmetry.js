@@ -0,0 +1,74 @@
+// --- Symmetry for hand building ---
+// A symmetry is a mode plus a vertical pivot line at world (x, z). Mirror
+// planes pass through the pivot across X and/or Z; radial symmetry repeats a
+// cell N times around it. The pivot sits on a cell centre (x + 0.5) for
+// odd-width builds or on a cell edge (x) for even ones.
+
+export const SYMMETRY_MODES = {
+  off: 'Off',
+  x: 'Mirror X',
+  z: 'Mirror Z',
+  xz: 'Mirror X and Z',
+  radial: 'Radial',
+};
+
+export const MIN_FOLDS = 2;
+export const MAX_FOLDS = 8;
+
+export function createSymmetry() {
+  return { mode: 'off', folds: 4, pivot: null }; // pivot: { x, y, z } or null
+}
+
+export function isSymmetryActive(s) {
+  return s.mode !== 'off' && s.pivot !== null;
+}
+
+// Nearest cell index (never -0)
+const toCell = (v) => Math.round(v) + 0;
+
+// Mirror a cell index across the plane at world coordinate `p`:
+// the cell centre c + 0.5 goes to 2p - (c + 0.5)
+const mirror = (c, p) => toCell(2 * p - c - 1);
+
+// All cells a block at `cell` is copied to, the cell itself first, without
+// duplicates (cells on a plane or the radial axis map onto themselves)
+export function symmetricCells(cell, s) {
+  const cells = [cell];
+  if (isSymmetryActive(s)) {
+    const { x: px, z: pz } = s.pivot;
+    if (s.mode === 'x' || s.mode === 'xz') cells.push({ x: mirror(cell.x, px), y: cell.y, z: cell.z });
+    if (s.mode === 'z' || s.mode === 'xz') {
+      for (const c of [...cells]) cells.push({ x: c.x, y: c.y, z: mirror(c.z, pz) });
+    }
+    if (s.mode === 'radial') {
+      // Rotate the cell centre around the pivot and take the cell it lands in
+      const dx = cell.x + 0.5 - px;
+      const dz = cell.z + 0.5 - pz;
+      for (let k = 1; k < s.folds; k++) {
+        const a = (2 * Math.PI * k) / s.folds;
+        const cos = Math.cos(a), sin = Math.sin(a);
+        cells.push({
+          x: toCell(px + dx * cos - dz * sin - 0.5),
+          y: cell.y,
+          z: toCell(pz + dx * sin + dz * cos - 0.5),
+        });
+      }
+    }
+  }
+
+  const seen = new Set();
+  return cells.filter(c => {
+    const key = `${c.x},${c.y},${c.z}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Short status line, e.g. "Radial ×6 around 10.5, -3"
+export function describeSymmetry(s) {
+  if (s.mode === 'off') return 'Off';
+  const label = s.mode === 'radial' ? `Radial \u00d7${s.folds}` : SYMMETRY_MODES[s.mode];
+  if (!s.pivot) return `${label} \u2014 no pivot set`;
+  return `${label} around ${s.pivot.x}, ${s.pivot.z}`;
+}
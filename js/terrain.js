@@ -1,17 +1,63 @@
 import * as THREE from 'three';
 import { createNoise2D } from 'simplex-noise';
-
-// --- Seeded PRNG (Mulberry32) ---
-function mulberry32(seed) {
-  return function () {
-    seed |= 0;
-    seed = (seed + 0x6d2b79f5) | 0;
-    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+import { mulberry32, hashCoords } from './random.js';
+import { BIOMES, createBiomeMap } from './biomes.js';
+import { BLOCK } from './blocks.js';
+import { runHydrology } from './erosion.js';
+import { createUnderground } from './underground.js';
+
+// Endless worlds are generated in square chunks of this many units, and
+// kept loaded this far around the camera
+export const TERRAIN_CHUNK_SIZE = 32;
+export const ENDLESS_VIEW_DISTANCE = 240;
+
+// --- Terrain parameters ---
+// Everything that shapes the generated terrain, with the range the sidebar
+// sliders offer. generateLandscape takes a partial set; missing or invalid
+// values fall back to the defaults.
+//   noiseScale   fBm frequency (smaller = broader hills)
+//   octaves, lacunarity, gain   fBm detail layers
+//   exponent     height redistribution (higher = flatter lowlands, sharper peaks)
+//   heightScale  world units for height 1
+//   falloff      island edge exponent (higher = flatter island, steeper coast)
+//   waterLevel   water surface height in world units
+//   vegetation   multiplier on tree, rock and flower counts
+//   erosion      hydraulic and thermal erosion strength (0 = none)
+//   rivers       number of rivers traced from the high ground
+// Erosion, rivers and lakes (see erosion.js) shape the island only; with
+// both at 0 the heightmap is left as generated.
+export const TERRAIN_PARAMS = {
+  noiseScale: { label: 'Feature scale', value: 0.015, min: 0.005, max: 0.04, step: 0.001 },
+  octaves: { label: 'Octaves', value: 3, min: 1, max: 6, step: 1 },
+  lacunarity: { label: 'Lacunarity', value: 2, min: 1.5, max: 3, step: 0.05 },
+  gain: { label: 'Gain', value: 0.5, min: 0.2, max: 0.8, step: 0.05 },
+  exponent: { label: 'Height curve', value: 1.8, min: 1, max: 3, step: 0.1 },
+  heightScale: { label: 'Height scale', value: 30, min: 10, max: 60, step: 1 },
+  falloff: { label: 'Island falloff', value: 3, min: 1, max: 8, step: 0.5 },
+  waterLevel: { label: 'Water level', value: 2, min: 0, max: 8, step: 0.5 },
+  vegetation: { label: 'Vegetation', value: 1, min: 0, max: 3, step: 0.1 },
+  erosion: { label: 'Erosion', value: 0, min: 0, max: 1, step: 0.05 },
+  rivers: { label: 'Rivers', value: 0, min: 0, max: 30, step: 1 },
+};
+
+export const DEFAULT_TERRAIN_PARAMS = Object.fromEntries(
+  Object.entries(TERRAIN_PARAMS).map(([name, p]) => [name, p.value]),
+);
+
+// A full, clamped parameter set from any object (saved worlds, presets)
+export function normalizeTerrainParams(params) {
+  const result = {};
+  for (const [name, { value, min, max, step }] of Object.entries(TERRAIN_PARAMS)) {
+    const v = params?.[name];
+    result[name] = Number.isFinite(v) ? THREE.MathUtils.clamp(v, min, max) : value;
+    if (step === 1) result[name] = Math.round(result[name]);
+  }
+  return result;
 }
 
+// Sand reaches this far above the water (world units)
+const BEACH_RISE = 0.4;
+
 // --- fBm noise with octaves ---
 function fbm(noise2D, x, z, octaves, lacunarity, gain) {
   let value = 0;
@@ -28,18 +74,44 @@ function fbm(noise2D, x, z, octaves, lacunarity, gain) {
 }
 
 // --- Shared terrain height sampler (for placing objects) ---
-function sampleHeight(noise2D, x, z, halfSize) {
-  const scale = 0.015;
+// Heights are 0..1 (times params.heightScale for world units). Both world
+// shapes use the same fBm, reshaped by the local biomes (see biomes.js); the
+// island fades it out towards its edge, endless worlds let low-frequency
+// noise carve continents and seas out of it instead.
+function baseHeight(noise2D, params, x, z) {
+  const scale = params.noiseScale;
+  let h = fbm(noise2D, x * scale, z * scale, params.octaves, params.lacunarity, params.gain);
+  h = (h + 1) / 2;
+  return Math.pow(h, params.exponent);
+}
+
+const weightScratch = new Float32Array(BIOMES.length);
+
+function biomeHeight(noise2D, params, biomes, x, z) {
+  const h = baseHeight(noise2D, params, x, z);
+  const weights = biomes.weights(x, z, weightScratch);
+  let shaped = 0;
+  for (let i = 0; i < BIOMES.length; i++) {
+    if (weights[i] > 0) shaped += weights[i] * BIOMES[i].shape(h, x, z);
+  }
+  return shaped;
+}
+
+function sampleHeight(noise2D, params, biomes, x, z, halfSize) {
   const dx = x / halfSize;
   const dz = z / halfSize;
   const dist = Math.sqrt(dx * dx + dz * dz);
-  const falloff = Math.max(0, 1 - Math.pow(dist, 3));
+  const falloff = Math.max(0, 1 - Math.pow(dist, params.falloff));
+  return biomeHeight(noise2D, params, biomes, x, z) * falloff;
+}
 
-  let h = fbm(noise2D, x * scale, z * scale, 3, 2.0, 0.5);
-  h = (h + 1) / 2;
-  h = Math.pow(h, 1.8);
-  h *= falloff;
-  return h;
+const CONTINENT_SCALE = 0.0025;
+
+function sampleEndlessHeight(noise2D, params, biomes, x, z) {
+  // Offset so the continent noise doesn't line up with the detail noise
+  const c = noise2D(x * CONTINENT_SCALE + 311.7, z * CONTINENT_SCALE - 127.3);
+  const falloff = THREE.MathUtils.smoothstep(c, -0.35, 0.25);
+  return biomeHeight(noise2D, params, biomes, x, z) * falloff;
 }
 
 // --- Color helpers ---
@@ -47,62 +119,183 @@ function lerpColor(c1, c2, t) {
   return new THREE.Color().lerpColors(c1, c2, THREE.MathUtils.clamp(t, 0, 1));
 }
 
-function getTerrainColor(height) {
-  const sand = new THREE.Color(0xc2b280);
-  const grass = new THREE.Color(0x4a7c3f);
-  const rock = new THREE.Color(0x6b6b6b);
-  const snow = new THREE.Color(0xf0f0f0);
-
-  if (height < 0.08) return sand;
-  if (height < 0.15) return lerpColor(sand, grass, (height - 0.08) / 0.07);
-  if (height < 0.45) return grass;
-  if (height < 0.55) return lerpColor(grass, rock, (height - 0.45) / 0.10);
-  if (height < 0.75) return rock;
-  if (height < 0.85) return lerpColor(rock, snow, (height - 0.75) / 0.10);
-  return snow;
+// --- Terrain colours ---
+// Every biome has a colour ramp by height (shore, ground, rock, snow), with
+// the shore band starting at the beach line (world.beach, a normalized
+// height just above the water); a vertex blends the ramps of the biomes
+// around it. With the biome overlay
+// on, the biomes' debug colours are blended instead, shaded by height.
+const toColors = v => (Array.isArray(v) ? v.map(c => new THREE.Color(c)) : new THREE.Color(v));
+const RAMPS = BIOMES.map(b => Object.fromEntries(Object.entries(b.colors).map(([k, v]) => [k, toColors(v)])));
+const DEBUG_COLORS = BIOMES.map(b => new THREE.Color(b.debug));
+const BAND_HEIGHT = 1.5; // world units per mesa stratum
+
+function rampColor(ramp, height, world, target) {
+  const elevation = height * world.params.heightScale;
+  const ground = ramp.bands ? ramp.bands[Math.floor(elevation / BAND_HEIGHT) % ramp.bands.length] : ramp.ground;
+  const rock = ramp.rock ?? ground;
+  const snow = ramp.snow ?? rock;
+  const { shore } = ramp;
+  const { beach } = world;
+
+  if (height < beach) return target.copy(shore);
+  if (height < beach + 0.07) return target.lerpColors(shore, ground, (height - beach) / 0.07);
+  if (height < 0.45) return target.copy(ground);
+  if (height < 0.55) return target.lerpColors(ground, rock, (height - 0.45) / 0.10);
+  if (height < 0.75) return target.copy(rock);
+  if (height < 0.85) return target.lerpColors(rock, snow, (height - 0.75) / 0.10);
+  return target.copy(snow);
 }
 
-// --- Terrain mesh ---
-function createTerrain(noise2D, size, segments) {
-  const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
-  geometry.rotateX(-Math.PI / 2);
+const blendScratch = new THREE.Color();
+
+function terrainColor(world, x, z, height, target) {
+  const weights = world.biomes.weights(x, z, weightScratch);
+  // Lake and river beds take the shore colour
+  const wet = world.waterAt(x, z) !== null;
+  target.setRGB(0, 0, 0);
+  for (let i = 0; i < BIOMES.length; i++) {
+    if (weights[i] === 0) continue;
+    if (world.biomeOverlay) blendScratch.copy(DEBUG_COLORS[i]);
+    else if (wet) blendScratch.copy(RAMPS[i].shore);
+    else rampColor(RAMPS[i], height, world, blendScratch);
+    target.r += blendScratch.r * weights[i];
+    target.g += blendScratch.g * weights[i];
+    target.b += blendScratch.b * weights[i];
+  }
+  if (world.biomeOverlay) target.multiplyScalar(0.6 + 0.4 * Math.min(height, 1));
+  return target;
+}
 
+// Vertex colours from the vertices' world x/z, so a mesh can be recoloured
+// in place
+function colorTerrainGeometry(world, geometry) {
   const positions = geometry.attributes.position;
-  const count = positions.count;
-  const colors = new Float32Array(count * 3);
-  const halfSize = size / 2;
-
-  for (let i = 0; i < count; i++) {
+  let colors = geometry.attributes.color;
+  if (!colors) {
+    colors = new THREE.BufferAttribute(new Float32Array(positions.count * 3), 3);
+    geometry.setAttribute('color', colors);
+  }
+  const color = new THREE.Color();
+  for (let i = 0; i < positions.count; i++) {
     const x = positions.getX(i);
     const z = positions.getZ(i);
-    const h = sampleHeight(noise2D, x, z, halfSize);
-    const elevation = h * 30;
-    positions.setY(i, elevation);
-
-    const color = getTerrainColor(h);
-    colors[i * 3] = color.r;
-    colors[i * 3 + 1] = color.g;
-    colors[i * 3 + 2] = color.b;
+    terrainColor(world, x, z, world.sample(x, z), color);
+    colors.setXYZ(i, color.r, color.g, color.b);
   }
+  colors.needsUpdate = true;
+}
 
-  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-  geometry.computeVertexNormals();
+// Switch the terrain between its own colours and the biome overlay. Chunks
+// streamed in later follow the setting.
+export function setBiomeOverlay(landscapeGroup, enabled) {
+  const world = landscapeGroup.userData;
+  world.biomeOverlay = enabled;
+  landscapeGroup.getObjectByName('terrain').traverse((obj) => {
+    if (obj.isMesh) colorTerrainGeometry(world, obj.geometry);
+  });
+}
 
-  const material = new THREE.MeshStandardMaterial({
+// --- Terrain mesh ---
+function createTerrainMaterial() {
+  return new THREE.MeshStandardMaterial({
+    name: 'Terrain',
     vertexColors: true,
     roughness: 0.85,
     metalness: 0.05,
     flatShading: false,
   });
+}
 
-  const mesh = new THREE.Mesh(geometry, material);
+function createTerrain(world, size, segments) {
+  const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+  geometry.rotateX(-Math.PI / 2);
+
+  const positions = geometry.attributes.position;
+  for (let i = 0; i < positions.count; i++) {
+    positions.setY(i, world.sample(positions.getX(i), positions.getZ(i)) * world.params.heightScale);
+  }
+
+  colorTerrainGeometry(world, geometry);
+  geometry.computeVertexNormals();
+
+  const mesh = new THREE.Mesh(geometry, createTerrainMaterial());
   mesh.castShadow = true;
   mesh.receiveShadow = true;
   return mesh;
 }
 
+// --- Endless terrain chunk mesh ---
+// `segments` quads per side. Normals come from the height function rather
+// than the mesh, so neighbouring chunks shade seamlessly, and a skirt hangs
+// below the edges to cover the cracks between chunks of different detail.
+const SKIRT_DEPTH = 4;
+
+function createTerrainChunkGeometry(world, x0, z0, size, segments) {
+  const n = segments + 1;
+  const step = size / segments;
+  const edge = 4 * segments; // vertices around the border
+  const positions = new Float32Array((n * n + edge) * 3);
+  const normals = new Float32Array((n * n + edge) * 3);
+  const indices = [];
+  const normal = new THREE.Vector3();
+
+  const heightAt = (x, z) => world.sample(x, z) * world.params.heightScale;
+  function writeVertex(v, x, y, z) {
+    positions.set([x, y, z], v * 3);
+    // Central differences over one segment
+    normal.set(
+      heightAt(x - step, z) - heightAt(x + step, z),
+      2 * step,
+      heightAt(x, z - step) - heightAt(x, z + step),
+    ).normalize();
+    normals.set([normal.x, normal.y, normal.z], v * 3);
+  }
+
+  const vertex = (ix, iz) => iz * n + ix;
+  for (let iz = 0; iz < n; iz++) {
+    for (let ix = 0; ix < n; ix++) {
+      const x = x0 + ix * step;
+      const z = z0 + iz * step;
+      writeVertex(vertex(ix, iz), x, heightAt(x, z), z);
+    }
+  }
+  for (let iz = 0; iz < segments; iz++) {
+    for (let ix = 0; ix < segments; ix++) {
+      const a = vertex(ix, iz), b = vertex(ix, iz + 1), c = vertex(ix + 1, iz), d = vertex(ix + 1, iz + 1);
+      indices.push(a, b, c, b, d, c);
+    }
+  }
+
+  // Skirt: the border loop copied SKIRT_DEPTH lower, joined with
+  // double-sided quads so it shows from either side
+  const border = [];
+  for (let i = 0; i < segments; i++) border.push(vertex(i, 0));
+  for (let i = 0; i < segments; i++) border.push(vertex(segments, i));
+  for (let i = segments; i > 0; i--) border.push(vertex(i, segments));
+  for (let i = segments; i > 0; i--) border.push(vertex(0, i));
+  border.forEach((top, i) => {
+    const v = n * n + i;
+    positions.set([positions[top * 3], positions[top * 3 + 1] - SKIRT_DEPTH, positions[top * 3 + 2]], v * 3);
+    normals.set(normals.subarray(top * 3, top * 3 + 3), v * 3);
+  });
+  for (let i = 0; i < edge; i++) {
+    const j = (i + 1) % edge;
+    const a = border[i], b = border[j], c = n * n + i, d = n * n + j;
+    indices.push(a, c, b, b, c, d, a, b, c, b, d, c);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  geometry.setIndex(indices);
+  colorTerrainGeometry(world, geometry);
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
 // --- Water plane with wave-capable geometry ---
-function createWater(size) {
+function createWater(size, level) {
   const segs = 80;
   const geometry = new THREE.PlaneGeometry(size * 1.2, size * 1.2, segs, segs);
   geometry.rotateX(-Math.PI / 2);
@@ -116,6 +309,7 @@ function createWater(size) {
   geometry.userData = { baseY };
 
   const material = new THREE.MeshPhongMaterial({
+    name: 'WaterSurface',
     color: 0x1a6ea0,
     transparent: true,
     opacity: 0.65,
@@ -124,75 +318,250 @@ function createWater(size) {
   });
 
   const mesh = new THREE.Mesh(geometry, material);
-  mesh.position.y = 2.0;
+  mesh.position.y = level;
   mesh.receiveShadow = true;
   return mesh;
 }
 
-// --- Trees ---
-function createTrees(noise2D, rng, size) {
-  const treeGroup = new THREE.Group();
-  const count = Math.floor(150 + rng() * 100);
-  const halfSize = size / 2;
+// --- Lakes and rivers ---
+// Calm water above sea level from the hydrology pass (see erosion.js): one
+// flat quad per grid cell touching a lake, and a ribbon along every river
+// outside the lakes, at the river's surface height.
+function createLakeGeometry(lakes, heightScale) {
+  const { n, x0, z0, levels } = lakes;
+  const positions = [];
+  for (let iz = 0; iz < n - 1; iz++) {
+    for (let ix = 0; ix < n - 1; ix++) {
+      const i = iz * n + ix;
+      const corners = [levels[i], levels[i + 1], levels[i + n], levels[i + n + 1]].filter(l => !Number.isNaN(l));
+      if (corners.length === 0) continue;
+      const y = Math.max(...corners) * heightScale;
+      const x = x0 + ix;
+      const z = z0 + iz;
+      positions.push(
+        x, y, z, x, y, z + 1, x + 1, y, z,
+        x + 1, y, z, x, y, z + 1, x + 1, y, z + 1,
+      );
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
 
-  const trunkGeo = new THREE.CylinderGeometry(0.15, 0.2, 1.5, 6);
-  const trunkMat = new THREE.MeshStandardMaterial({ color: 0x5c3d1e, roughness: 0.9 });
-  const foliageGeo = new THREE.ConeGeometry(1.0, 2.5, 7);
-  const foliageMat = new THREE.MeshStandardMaterial({ color: 0x2d6b1e, roughness: 0.8 });
+function createRiverGeometry(rivers, heightScale) {
+  const positions = [];
+  const indices = [];
+  for (const river of rivers) {
+    // Runs of points outside lakes, each a separate ribbon
+    const runs = [[]];
+    for (const p of river.points) {
+      if (p.inLake) {
+        if (runs[runs.length - 1].length > 0) runs.push([]);
+      } else {
+        runs[runs.length - 1].push(p);
+      }
+    }
+    for (const run of runs) {
+      if (run.length < 2) continue;
+      // Averaged with the neighbours to soften the grid's 45° turns
+      const points = run.map((p, k) => {
+        const a = run[Math.max(0, k - 1)];
+        const b = run[Math.min(run.length - 1, k + 1)];
+        return { x: (a.x + p.x + b.x) / 3, z: (a.z + p.z + b.z) / 3, y: p.surface * heightScale, width: p.width };
+      });
+      const start = positions.length / 3;
+      points.forEach((p, k) => {
+        const a = points[Math.max(0, k - 1)];
+        const b = points[Math.min(points.length - 1, k + 1)];
+        const length = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+        // Half as wide as the carved channel, where the banks reach the surface
+        const half = 0.8 * (p.width + 1);
+        const nx = -(b.z - a.z) / length * half;
+        const nz = (b.x - a.x) / length * half;
+        positions.push(p.x + nx, p.y, p.z + nz, p.x - nx, p.y, p.z - nz);
+        if (k > 0) {
+          const v = start + 2 * k;
+          indices.push(v - 2, v - 1, v, v - 1, v + 1, v);
+        }
+      });
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
 
-  for (let i = 0; i < count; i++) {
-    const x = (rng() - 0.5) * size * 0.85;
-    const z = (rng() - 0.5) * size * 0.85;
-    const h = sampleHeight(noise2D, x, z, halfSize);
+function createFreshwater(hydrology, heightScale) {
+  const group = new THREE.Group();
+  group.name = 'freshwater';
+  const material = new THREE.MeshPhongMaterial({
+    name: 'FreshWater',
+    color: 0x2a7fa8,
+    transparent: true,
+    opacity: 0.7,
+    shininess: 120,
+    specular: 0x88ccff,
+    side: THREE.DoubleSide,
+  });
+  const lakes = new THREE.Mesh(createLakeGeometry(hydrology.lakes, heightScale), material);
+  lakes.name = 'lakes';
+  const rivers = new THREE.Mesh(createRiverGeometry(hydrology.rivers, heightScale), material);
+  rivers.name = 'rivers';
+  for (const mesh of [lakes, rivers]) {
+    mesh.receiveShadow = true;
+    group.add(mesh);
+  }
+  return group;
+}
 
-    if (h < 0.12 || h > 0.48) continue;
+// --- Scattered objects ---
+// Trees, rocks, flowers and chickens are scattered over a square `area`
+// { x, z, span } centred on (x, z), with the island's counts times
+// `area.scale` (the island scatters over its central 85%) times the
+// vegetation parameter. The counts are for the densest biome; each
+// candidate spot is kept with the probability its biome's density gives.
+const ISLAND_SCATTER_AREA = (200 * 0.85) ** 2;
 
-    const elevation = h * 30;
-    const treeScale = 0.7 + rng() * 0.8;
+function scatterArea(x, z, span) {
+  return { x, z, span, scale: (span * span) / ISLAND_SCATTER_AREA };
+}
 
-    const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-    trunk.position.set(x, elevation + 0.75 * treeScale, z);
-    trunk.scale.setScalar(treeScale);
-    trunk.castShadow = true;
+// Geometries and materials shared by the objects of one scatter call
+function createPartCache() {
+  const cache = new Map();
+  return (key, make) => {
+    if (!cache.has(key)) cache.set(key, make());
+    return cache.get(key);
+  };
+}
+
+function addMesh(group, geometry, material, x, y, z, scale) {
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.position.set(x, y, z);
+  mesh.scale.setScalar(scale);
+  mesh.castShadow = true;
+  group.add(mesh);
+  return mesh;
+}
 
-    const foliage = new THREE.Mesh(foliageGeo, foliageMat);
-    foliage.position.set(x, elevation + 2.2 * treeScale, z);
-    foliage.scale.setScalar(treeScale);
-    foliage.rotation.y = rng() * Math.PI * 2;
-    foliage.castShadow = true;
+const plantMaterial = (name, color) => new THREE.MeshStandardMaterial({ name, color, roughness: 0.85 });
 
-    treeGroup.add(trunk);
-    treeGroup.add(foliage);
+// --- Trees ---
+// One builder per species: adds the meshes of a tree of size `s` standing
+// at (x, y, z) to `group`
+const TREE_SPECIES = {
+  pine(part, group, x, y, z, s, rng) {
+    const trunkGeo = part('trunkGeo', () => new THREE.CylinderGeometry(0.15, 0.2, 1.5, 6));
+    const trunkMat = part('trunkMat', () => plantMaterial('TreeTrunk', 0x5c3d1e));
+    addMesh(group, trunkGeo, trunkMat, x, y + 0.75 * s, z, s);
+    const foliageGeo = part('pineGeo', () => new THREE.ConeGeometry(1.0, 2.5, 7));
+    const foliageMat = part('pineMat', () => plantMaterial('TreeFoliage', 0x2d6b1e));
+    addMesh(group, foliageGeo, foliageMat, x, y + 2.2 * s, z, s).rotation.y = rng() * Math.PI * 2;
+  },
+  // Tall, narrow and dark, with snow on top
+  spruce(part, group, x, y, z, s, rng) {
+    const trunkGeo = part('trunkGeo', () => new THREE.CylinderGeometry(0.15, 0.2, 1.5, 6));
+    const trunkMat = part('trunkMat', () => plantMaterial('TreeTrunk', 0x5c3d1e));
+    addMesh(group, trunkGeo, trunkMat, x, y + 0.75 * s, z, s);
+    const foliageGeo = part('spruceGeo', () => new THREE.ConeGeometry(0.75, 3.2, 7));
+    const foliageMat = part('spruceMat', () => plantMaterial('SpruceFoliage', 0x1f4d2e));
+    addMesh(group, foliageGeo, foliageMat, x, y + 2.4 * s, z, s).rotation.y = rng() * Math.PI * 2;
+    const capGeo = part('capGeo', () => new THREE.ConeGeometry(0.4, 0.9, 7));
+    const capMat = part('capMat', () => plantMaterial('SnowCap', 0xf4f8fc));
+    addMesh(group, capGeo, capMat, x, y + 3.6 * s, z, s);
+  },
+  // Round crown
+  oak(part, group, x, y, z, s, rng) {
+    const trunkGeo = part('oakTrunkGeo', () => new THREE.CylinderGeometry(0.18, 0.25, 1.8, 6));
+    const trunkMat = part('trunkMat', () => plantMaterial('TreeTrunk', 0x5c3d1e));
+    addMesh(group, trunkGeo, trunkMat, x, y + 0.9 * s, z, s);
+    const crownGeo = part('oakGeo', () => new THREE.IcosahedronGeometry(1.2, 0));
+    const crownMat = part('oakMat', () => plantMaterial('OakFoliage', 0x3f7f2a));
+    const crown = addMesh(group, crownGeo, crownMat, x, y + 2.4 * s, z, s);
+    crown.rotation.set(rng() * Math.PI, rng() * Math.PI, 0);
+  },
+  // Dark trunk under a wide, flat crown
+  swamp(part, group, x, y, z, s) {
+    const trunkGeo = part('swampTrunkGeo', () => new THREE.CylinderGeometry(0.2, 0.3, 2.2, 6));
+    const trunkMat = part('swampTrunkMat', () => plantMaterial('SwampTrunk', 0x4a3b2a));
+    addMesh(group, trunkGeo, trunkMat, x, y + 1.1 * s, z, s);
+    const crownGeo = part('swampGeo', () => new THREE.SphereGeometry(1.6, 8, 5));
+    const crownMat = part('swampMat', () => plantMaterial('SwampFoliage', 0x4d5f2a));
+    addMesh(group, crownGeo, crownMat, x, y + 2.3 * s, z, s).scale.y *= 0.45;
+  },
+  // Column with two arms
+  cactus(part, group, x, y, z, s, rng) {
+    const mat = part('cactusMat', () => plantMaterial('Cactus', 0x3f8f3a));
+    const cactus = new THREE.Group();
+    cactus.position.set(x, y, z);
+    cactus.rotation.y = rng() * Math.PI;
+    addMesh(cactus, part('cactusGeo', () => new THREE.CylinderGeometry(0.25, 0.25, 2, 8)), mat, 0, s, 0, s);
+    const armGeo = part('armGeo', () => new THREE.CylinderGeometry(0.16, 0.16, 0.8, 6));
+    const stubGeo = part('stubGeo', () => new THREE.BoxGeometry(0.45, 0.2, 0.2));
+    for (const side of [-1, 1]) {
+      const height = side < 0 ? 1.3 : 1.0;
+      addMesh(cactus, armGeo, mat, side * 0.42 * s, (height + 0.35) * s, 0, s);
+      addMesh(cactus, stubGeo, mat, side * 0.22 * s, height * s, 0, s);
+    }
+    group.add(cactus);
+  },
+  // Low dry bush
+  shrub(part, group, x, y, z, s) {
+    const geo = part('shrubGeo', () => new THREE.SphereGeometry(0.6, 6, 4));
+    const mat = part('shrubMat', () => plantMaterial('Shrub', 0x7a7a3a));
+    addMesh(group, geo, mat, x, y + 0.25 * s, z, s).scale.y *= 0.6;
+  },
+};
+
+function createTrees(world, rng, area) {
+  const treeGroup = new THREE.Group();
+  const count = Math.floor((300 + rng() * 100) * area.scale * world.params.vegetation);
+  const part = createPartCache();
+
+  for (let i = 0; i < count; i++) {
+    const x = area.x + (rng() - 0.5) * area.span;
+    const z = area.z + (rng() - 0.5) * area.span;
+    const h = world.sample(x, z);
+    const { trees } = world.biomes.biomeAt(x, z);
+
+    if (h < trees.band[0] || h > trees.band[1] || rng() >= trees.density || world.waterAt(x, z) !== null) continue;
+
+    const species = trees.species[Math.floor(rng() * trees.species.length)];
+    TREE_SPECIES[species](part, treeGroup, x, h * world.params.heightScale, z, 0.7 + rng() * 0.8, rng);
   }
 
   return treeGroup;
 }
 
 // --- Rocks / Boulders ---
-function createRocks(noise2D, rng, size) {
+function createRocks(world, rng, area) {
   const rockGroup = new THREE.Group();
-  const count = Math.floor(80 + rng() * 60); // 80-140 rocks
-  const halfSize = size / 2;
-
+  const count = Math.floor((120 + rng() * 80) * area.scale * world.params.vegetation);
+  const part = createPartCache();
   const rockGeo = new THREE.DodecahedronGeometry(1, 1);
-  const rockMat = new THREE.MeshStandardMaterial({
-    color: 0x7a7a7a,
-    roughness: 0.95,
-    metalness: 0.05,
-    flatShading: true,
-  });
 
   for (let i = 0; i < count; i++) {
-    const x = (rng() - 0.5) * size * 0.85;
-    const z = (rng() - 0.5) * size * 0.85;
-    const h = sampleHeight(noise2D, x, z, halfSize);
+    const x = area.x + (rng() - 0.5) * area.span;
+    const z = area.z + (rng() - 0.5) * area.span;
+    const h = world.sample(x, z);
+    const { rocks } = world.biomes.biomeAt(x, z);
 
-    // Place rocks in the rock/mountain zone
-    if (h < 0.42 || h > 0.88) continue;
+    // Mostly in the rock/mountain zone
+    if (h < 0.1 || h > 0.88 || rng() >= rocks.density * (h < 0.42 ? 0.3 : 1) || world.waterAt(x, z) !== null) continue;
 
-    const elevation = h * 30;
+    const elevation = h * world.params.heightScale;
     const s = 0.3 + rng() * 1.0;
 
+    const rockMat = part(rocks.color, () => new THREE.MeshStandardMaterial({
+      color: rocks.color,
+      roughness: 0.95,
+      metalness: 0.05,
+      flatShading: true,
+    }));
     const rock = new THREE.Mesh(rockGeo, rockMat);
     rock.position.set(x, elevation + s * 0.3, z);
     rock.scale.set(s * (0.8 + rng() * 0.4), s * (0.5 + rng() * 0.5), s * (0.8 + rng() * 0.4));
@@ -206,12 +575,10 @@ function createRocks(noise2D, rng, size) {
 }
 
 // --- Wildflowers ---
-function createFlowers(noise2D, rng, size) {
+function createFlowers(world, rng, area) {
   const flowerGroup = new THREE.Group();
-  const count = Math.floor(200 + rng() * 150); // 200-350 flowers
-  const halfSize = size / 2;
+  const count = Math.floor((200 + rng() * 150) * area.scale * world.params.vegetation); // 200-350 flowers on an all-plains island
 
-  const petalColors = [0xff6b8a, 0xffaa33, 0xdd44ff, 0xffee44, 0xff4466, 0x66bbff];
   const stemGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.4, 4);
   const stemMat = new THREE.MeshStandardMaterial({ color: 0x3a8a2a });
 
@@ -219,16 +586,17 @@ function createFlowers(noise2D, rng, size) {
   const petalGeo = new THREE.SphereGeometry(0.12, 5, 4);
 
   for (let i = 0; i < count; i++) {
-    const x = (rng() - 0.5) * size * 0.85;
-    const z = (rng() - 0.5) * size * 0.85;
-    const h = sampleHeight(noise2D, x, z, halfSize);
+    const x = area.x + (rng() - 0.5) * area.span;
+    const z = area.z + (rng() - 0.5) * area.span;
+    const h = world.sample(x, z);
+    const { flowers } = world.biomes.biomeAt(x, z);
 
     // Only place flowers in grass zone
-    if (h < 0.13 || h > 0.43) continue;
+    if (h < 0.13 || h > 0.43 || rng() >= flowers.density || world.waterAt(x, z) !== null) continue;
 
-    const elevation = h * 30;
+    const elevation = h * world.params.heightScale;
     const flowerScale = 0.6 + rng() * 0.8;
-    const colorIdx = Math.floor(rng() * petalColors.length);
+    const colorIdx = Math.floor(rng() * flowers.colors.length);
 
     // Stem
     const stem = new THREE.Mesh(stemGeo, stemMat);
@@ -238,7 +606,7 @@ function createFlowers(noise2D, rng, size) {
 
     // Flower head (cluster of small spheres)
     const headMat = new THREE.MeshStandardMaterial({
-      color: petalColors[colorIdx],
+      color: flowers.colors[colorIdx],
       roughness: 0.6,
     });
     const petals = 3 + Math.floor(rng() * 3);
@@ -260,11 +628,10 @@ function createFlowers(noise2D, rng, size) {
 }
 
 // --- Chickens ---
-function createChickens(noise2D, rng, size) {
+function createChickens(world, rng, area) {
   const chickenGroup = new THREE.Group();
   chickenGroup.name = 'chickens';
-  const halfSize = size / 2;
-  const count = Math.floor(15 + rng() * 16); // 15-30
+  const count = Math.floor((15 + rng() * 16) * area.scale); // 15-30 on the island
 
   // Color palette for body feathers
   const bodyColors = [0xfff8e7, 0xf5deb3, 0xdaa520, 0xcd853f, 0xf0f0f0];
@@ -290,14 +657,14 @@ function createChickens(noise2D, rng, size) {
   const legMat = new THREE.MeshStandardMaterial({ color: 0xd4880f, roughness: 0.7 });
 
   for (let i = 0; i < count; i++) {
-    const x = (rng() - 0.5) * size * 0.8;
-    const z = (rng() - 0.5) * size * 0.8;
-    const h = sampleHeight(noise2D, x, z, halfSize);
+    const x = area.x + (rng() - 0.5) * area.span;
+    const z = area.z + (rng() - 0.5) * area.span;
+    const h = world.sample(x, z);
 
-    // Only grass zone
-    if (h < 0.13 || h > 0.43) continue;
+    // Only grass zone, on dry land
+    if (h < 0.13 || h > 0.43 || world.waterAt(x, z) !== null) continue;
 
-    const elevation = h * 30;
+    const elevation = h * world.params.heightScale;
     const chicken = new THREE.Group();
     const colorIdx = Math.floor(rng() * bodyColors.length);
     const bodyMat = new THREE.MeshStandardMaterial({ color: bodyColors[colorIdx], roughness: 0.8 });
@@ -655,6 +1022,10 @@ export function updateSkyColors(skyMesh, timeOfDay) {
 
 // --- Animate water waves ---
 // Waves are strongest in the ocean (edges) and calm in interior lakes.
+// Endless worlds move the water plane with the camera, so waves are
+// computed in world coordinates, at one moderate strength everywhere.
+const ENDLESS_WAVE_STRENGTH = 0.5;
+
 export function animateWater(waterMesh, time) {
   const geo = waterMesh.geometry;
   const pos = geo.attributes.position;
@@ -663,19 +1034,21 @@ export function animateWater(waterMesh, time) {
 
   // Water plane is size*1.2, so halfExtent = size*0.6 = 120
   const halfExtent = 120;
+  const { x: offsetX, z: offsetZ } = waterMesh.position;
+  const { endless, falloff } = waterMesh.userData;
 
   for (let i = 0; i < pos.count; i++) {
-    const x = pos.getX(i);
-    const z = pos.getZ(i);
+    const x = pos.getX(i) + offsetX;
+    const z = pos.getZ(i) + offsetZ;
 
     // Distance from center, normalized so island edge (~100) ≈ 0.83
     const dist = Math.sqrt(x * x + z * z) / halfExtent;
 
     // Wave strength: 0 in interior (lakes), ramps up toward ocean
-    // Uses the same cubic falloff shape as terrain island — where terrain
+    // Uses the same falloff shape as terrain island — where terrain
     // is high, waves are suppressed; where terrain falls away, waves appear.
-    const terrainFalloff = Math.max(0, 1 - Math.pow(dist * 1.2, 3));
-    const waveStrength = 1 - terrainFalloff;
+    const terrainFalloff = Math.max(0, 1 - Math.pow(dist * 1.2, falloff));
+    const waveStrength = endless ? ENDLESS_WAVE_STRENGTH : 1 - terrainFalloff;
 
     const wave = (Math.sin(x * 0.08 + time * 1.2) * 0.15
       + Math.sin(z * 0.06 + time * 0.9) * 0.12
@@ -689,123 +1062,310 @@ export function animateWater(waterMesh, time) {
 }
 
 // --- Blockify: convert smooth terrain to voxel blocks ---
-export function blockifyTerrain(landscapeGroup) {
-  const { noise2D, size } = landscapeGroup.userData;
+// By default every column is a shell BLOCKIFY_DEPTH blocks deep under the
+// surface, and there are no columns under the sea. With world.fullDepth
+// (see setFullDepthTerrain) columns reach down to a bedrock floor at y = 0,
+// seabed included: surface and fill blocks, then stone with gravel and ore
+// pockets, and caves cut through it all (see underground.js). Where the
+// surface is less than BLOCKIFY_DEPTH above y = 0 the fill reaches the
+// floor instead of bedrock. On rocky
+// ground the surface itself is reshaped by 3D noise up to OVERHANG_HEIGHT
+// cells from the heightmap, which makes overhangs and arches.
+const BLOCKIFY_DEPTH = 3; // blocks deep per column
+const OVERHANG_HEIGHT = 4;
+// Caves stay this many cells below a surface under water
+const CAVE_SEAL = 3;
+
+// Surface cell y and block types (ids from the block registry) of the
+// column at cell (x, z). The biome there picks the blocks for the shore,
+// ground or rock band the height falls in; lake and river beds are shore,
+// with water blocks up to the surface (`waterTop`, equal to `top` on dry
+// land). `sea` is set below the sea, `rough` (0..1) on rocky dry ground.
+function terrainColumn(world, x, z) {
+  const h = world.sample(x, z);
+  const elevation = h * world.params.heightScale;
+  const top = Math.floor(elevation);
+  const level = world.waterAt(x, z);
+  const { blocks } = world.biomes.biomeAt(x, z);
+  const shore = level !== null || h < world.beach + 0.07;
+  const [surfaceType, fillType] = shore ? blocks.shore : h < 0.45 ? blocks.ground : blocks.rock;
+  // Water in every cell whose centre is below the surface
+  const waterTop = level === null ? top : Math.max(top, Math.ceil(level * world.params.heightScale - 0.5) - 1);
+  const sea = elevation < world.params.waterLevel;
+  const rough = shore || sea ? 0 : THREE.MathUtils.smoothstep(h, 0.45, 0.55);
+  return { top, surfaceType, fillType, waterTop, sea, rough };
+}
+
+// Per-column surface cell y and block types, sampled once per island
+function getTerrainColumns(landscapeGroup) {
+  if (landscapeGroup.userData.columns) return landscapeGroup.userData.columns;
+
+  const { size } = landscapeGroup.userData;
   const halfSize = size / 2;
-  const WATER_Y = 2.0;
-  const DEPTH = 3; // blocks deep per column
-
-  // Block type definitions matching BLOCK_TYPES in app.js
-  const types = [
-    { name: 'Dirt',  color: 0x8B6914 }, // 0
-    { name: 'Grass', color: 0x4a7c3f }, // 1
-    { name: 'Stone', color: 0x888888 }, // 2
-    { name: 'Wood',  color: 0x9e7c4a }, // 3
-    { name: 'Sand',  color: 0xd4c48a }, // 4
-  ];
-
-  // Collect positions per type
-  const positions = new Map(); // typeIndex -> [x,y,z, x,y,z, ...]
-  for (let i = 0; i < types.length; i++) positions.set(i, []);
+  const surface = new Int16Array(size * size);
+  const surfaceType = new Uint8Array(size * size);
+  const fillType = new Uint8Array(size * size);
+  const waterTop = new Int16Array(size * size);
+  const sea = new Uint8Array(size * size);
+  const rough = new Float32Array(size * size);
 
   for (let ix = -halfSize; ix < halfSize; ix++) {
     for (let iz = -halfSize; iz < halfSize; iz++) {
-      const h = sampleHeight(noise2D, ix, iz, halfSize);
-      const elevation = h * 30;
-
-      // Skip columns below water
-      if (elevation < WATER_Y) continue;
-
-      // Determine surface and fill types
-      let surfaceType, fillType;
-      if (h < 0.15) {
-        surfaceType = 4; // Sand
-        fillType = 4;
-      } else if (h < 0.45) {
-        surfaceType = 1; // Grass
-        fillType = 0;    // Dirt
-      } else {
-        surfaceType = 2; // Stone
-        fillType = 2;
-      }
+      const column = terrainColumn(landscapeGroup.userData, ix, iz);
+      const i = (ix + halfSize) * size + (iz + halfSize);
+      surface[i] = column.top;
+      surfaceType[i] = column.surfaceType;
+      fillType[i] = column.fillType;
+      waterTop[i] = column.waterTop;
+      sea[i] = column.sea ? 1 : 0;
+      rough[i] = column.rough;
+    }
+  }
+
+  const columns = { size, halfSize, surface, surfaceType, fillType, waterTop, sea, rough };
+  landscapeGroup.userData.columns = columns;
+  return columns;
+}
+
+// The column at cell (x, z): from the island's table (null off the island),
+// or sampled on the spot in endless worlds
+function columnAt(landscapeGroup, x, z) {
+  if (landscapeGroup.userData.endless) return terrainColumn(landscapeGroup.userData, x, z);
+  const { size, halfSize, surface, surfaceType, fillType, waterTop, sea, rough } = getTerrainColumns(landscapeGroup);
+  const ix = x + halfSize;
+  const iz = z + halfSize;
+  if (ix < 0 || ix >= size || iz < 0 || iz >= size) return null;
+  const i = ix * size + iz;
+  return {
+    top: surface[i], surfaceType: surfaceType[i], fillType: fillType[i],
+    waterTop: waterTop[i], sea: sea[i] === 1, rough: rough[i],
+  };
+}
 
-      const surfaceY = Math.floor(elevation) + 0.5;
+// Whether full-depth cell y of a column is ground before caves are cut
+function isGround(world, column, x, y, z) {
+  if (column.rough === 0 || y <= column.top - OVERHANG_HEIGHT) return y <= column.top;
+  if (y > column.top + OVERHANG_HEIGHT) return false;
+  return column.top - y + world.underground.overhang(x, y, z) * OVERHANG_HEIGHT * column.rough >= 0;
+}
 
-      // Surface block
-      positions.get(surfaceType).push(ix + 0.5, surfaceY, iz + 0.5);
+// Highest ground cell of a full-depth column
+function groundTop(world, column, x, z) {
+  if (column.rough === 0) return column.top;
+  for (let y = column.top + OVERHANG_HEIGHT; y > column.top - OVERHANG_HEIGHT; y--) {
+    if (isGround(world, column, x, y, z)) return y;
+  }
+  return column.top - OVERHANG_HEIGHT;
+}
 
-      // Fill blocks below surface
-      for (let d = 1; d < DEPTH; d++) {
-        const fy = surfaceY - d;
-        if (fy < 0) break;
-        positions.get(fillType).push(ix + 0.5, fy, iz + 0.5);
+function fullDepthBlockAt(world, column, x, y, z, top = groundTop(world, column, x, z)) {
+  if (y < 0) return null;
+  if (y > top || !isGround(world, column, x, y, z)) return y > column.top && y <= column.waterTop ? BLOCK.WATER : null;
+  const { underground } = world;
+  const depth = top - y;
+  // Bedrock only below the surface and fill blocks, so low land and shallow
+  // seabed keep them; caves never cut through the floor
+  if (depth >= BLOCKIFY_DEPTH && underground.isBedrock(x, y, z)) return BLOCK.BEDROCK;
+  const submerged = column.sea || column.waterTop > column.top;
+  if (y > 0 && !(submerged && depth < CAVE_SEAL) && underground.isCave(x, y, z, depth)) return null;
+  if (depth === 0) return column.surfaceType;
+  if (depth < BLOCKIFY_DEPTH) return column.fillType;
+  return underground.stoneAt(x, y, z);
+}
+
+// Switch blockify between the shell of surface blocks and full-depth
+// columns. Takes effect the next time the terrain is blockified.
+export function setFullDepthTerrain(landscapeGroup, enabled) {
+  landscapeGroup.userData.fullDepth = enabled;
+}
+
+// Block type the blockified terrain generates at cell (x, y, z), or null
+export function terrainBlockAt(landscapeGroup, x, y, z) {
+  const column = columnAt(landscapeGroup, x, z);
+  if (!column) return null;
+  if (landscapeGroup.userData.fullDepth) return fullDepthBlockAt(landscapeGroup.userData, column, x, y, z);
+  if (column.sea || y < 0) return null;
+  if (y > column.top) return y <= column.waterTop ? BLOCK.WATER : null;
+  if (y <= column.top - BLOCKIFY_DEPTH) return null;
+  return y === column.top ? column.surfaceType : column.fillType;
+}
+
+// Water above the surface block, then the surface block and fill blocks,
+// or the whole column down to bedrock
+function fillColumns(landscapeGroup, store, x0, z0, x1, z1) {
+  const world = landscapeGroup.userData;
+  for (let x = x0; x < x1; x++) {
+    for (let z = z0; z < z1; z++) {
+      const column = columnAt(landscapeGroup, x, z);
+      if (!column) continue;
+      if (world.fullDepth) {
+        const top = groundTop(world, column, x, z);
+        for (let y = Math.max(top, column.waterTop); y >= 0; y--) {
+          const type = fullDepthBlockAt(world, column, x, y, z, top);
+          if (type !== null) store.set(x, y, z, type);
+        }
+        continue;
+      }
+      if (column.sea) continue;
+      for (let y = column.top + 1; y <= column.waterTop; y++) store.set(x, y, z, BLOCK.WATER);
+      store.set(x, column.top, z, column.surfaceType);
+      for (let d = 1; d < BLOCKIFY_DEPTH; d++) {
+        if (column.top - d < 0) break;
+        store.set(x, column.top - d, z, column.fillType);
       }
     }
   }
+}
 
-  const group = new THREE.Group();
-  group.name = 'voxelTerrain';
+// Fill a voxel store with the generated terrain blocks of the island
+export function blockifyTerrain(landscapeGroup, store) {
+  const halfSize = landscapeGroup.userData.size / 2;
+  fillColumns(landscapeGroup, store, -halfSize, -halfSize, halfSize, halfSize);
+}
 
-  const boxGeo = new THREE.BoxGeometry(1, 1, 1);
+// Same for one chunk of an endless world
+export function blockifyTerrainChunk(landscapeGroup, store, cx, cz) {
+  const x0 = cx * TERRAIN_CHUNK_SIZE;
+  const z0 = cz * TERRAIN_CHUNK_SIZE;
+  fillColumns(landscapeGroup, store, x0, z0, x0 + TERRAIN_CHUNK_SIZE, z0 + TERRAIN_CHUNK_SIZE);
+}
 
-  for (const [typeIdx, posArr] of positions) {
-    const count = posArr.length / 3;
-    if (count === 0) continue;
+// --- Height grid (build scripts) ---
+// Surface elevation at every integer (x, z) of a square: (size + 1)² values,
+// x-major, starting at (x0, z0). The island's grid covers the whole island
+// and is sampled once; endless worlds get one around (centerX, centerZ).
+const ENDLESS_HEIGHT_GRID_SIZE = 256;
+
+export function getTerrainHeightGrid(landscapeGroup, centerX = 0, centerZ = 0) {
+  const { sample, endless, params } = landscapeGroup.userData;
+  if (!endless && landscapeGroup.userData.heightGrid) return landscapeGroup.userData.heightGrid;
+
+  const size = endless ? ENDLESS_HEIGHT_GRID_SIZE : landscapeGroup.userData.size;
+  const x0 = (endless ? Math.round(centerX) : 0) - size / 2;
+  const z0 = (endless ? Math.round(centerZ) : 0) - size / 2;
+  const n = size + 1;
+  const heights = new Float32Array(n * n);
+  for (let ix = 0; ix < n; ix++) {
+    for (let iz = 0; iz < n; iz++) {
+      heights[ix * n + iz] = sample(x0 + ix, z0 + iz) * params.heightScale;
+    }
+  }
 
-    const mat = new THREE.MeshStandardMaterial({
-      color: types[typeIdx].color,
-      roughness: 0.9,
-      metalness: 0.05,
-    });
+  const grid = { size, x0, z0, heights };
+  if (!endless) landscapeGroup.userData.heightGrid = grid;
+  return grid;
+}
 
-    const mesh = new THREE.InstancedMesh(boxGeo, mat, count);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
+// --- Endless terrain chunks ---
+// Chunk (cx, cz) covers [cx, cx + 1) × [cz, cz + 1) times TERRAIN_CHUNK_SIZE.
+// `scatter` lists which objects to scatter on it ('trees', 'rocks',
+// 'flowers'). Each kind has its own generator seeded from the world seed and
+// the chunk, so a chunk gets the same objects at every level of detail.
+const SCATTER = { trees: createTrees, rocks: createRocks, flowers: createFlowers };
 
-    const dummy = new THREE.Object3D();
-    for (let i = 0; i < count; i++) {
-      dummy.position.set(posArr[i * 3], posArr[i * 3 + 1], posArr[i * 3 + 2]);
-      dummy.updateMatrix();
-      mesh.setMatrixAt(i, dummy.matrix);
-    }
+export function createTerrainChunk(landscapeGroup, cx, cz, { segments, scatter = [] }) {
+  const world = landscapeGroup.userData;
+  const size = TERRAIN_CHUNK_SIZE;
+  const x0 = cx * size;
+  const z0 = cz * size;
 
-    mesh.instanceMatrix.needsUpdate = true;
-    group.add(mesh);
-  }
+  const mesh = new THREE.Mesh(createTerrainChunkGeometry(world, x0, z0, size, segments), world.terrainMaterial);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
 
-  return group;
+  const objects = new THREE.Group();
+  const area = scatterArea(x0 + size / 2, z0 + size / 2, size);
+  Object.keys(SCATTER).forEach((kind, i) => {
+    if (scatter.includes(kind)) objects.add(SCATTER[kind](world, mulberry32(hashCoords(world.seed + i, cx, cz)), area));
+  });
+  return { mesh, objects };
 }
 
 // --- Main export ---
-export function generateLandscape(seed) {
+// An island of fixed size, or with `endless` an empty world whose terrain
+// chunks are streamed in around the camera (see streaming.js). Water, sky,
+// clouds and chickens exist in both. `params` are terrain parameters (see
+// TERRAIN_PARAMS). With erosion or rivers, the island's heightmap goes
+// through the hydrology pass before anything is built on it, and its lakes
+// and rivers get their own water meshes ('freshwater').
+export function generateLandscape(seed, { endless = false, params = DEFAULT_TERRAIN_PARAMS } = {}) {
   const rng = mulberry32(seed);
   const noise2D = createNoise2D(rng);
 
   const size = 200;
   const segments = 200;
+  const halfSize = size / 2;
 
   const group = new THREE.Group();
   group.name = 'landscape';
   group.userData.noise2D = noise2D;
   group.userData.size = size;
+  group.userData.seed = seed;
+  group.userData.endless = endless;
+  params = normalizeTerrainParams(params);
+  group.userData.params = params;
+  group.userData.beach = (params.waterLevel + BEACH_RISE) / params.heightScale;
+  const biomes = createBiomeMap(seed);
+  group.userData.biomes = biomes;
+  group.userData.biomeOverlay = false;
+  group.userData.sample = endless
+    ? (x, z) => sampleEndlessHeight(noise2D, params, biomes, x, z)
+    : (x, z) => sampleHeight(noise2D, params, biomes, x, z, halfSize);
+  // Lake or river surface (normalized) at the nearest grid vertex, or null
+  group.userData.waterAt = () => null;
+  group.userData.underground = createUnderground(seed);
+  group.userData.fullDepth = false;
+  const world = group.userData;
+
+  let hydrology = null;
+  if (!endless && (params.erosion > 0 || params.rivers > 0)) {
+    hydrology = runHydrology(world.sample, -halfSize, -halfSize, size, params, seed);
+    world.sample = hydrology.sample;
+    world.waterAt = hydrology.waterAt;
+  }
+
+  if (endless) {
+    group.userData.terrainMaterial = createTerrainMaterial();
+    const terrain = new THREE.Group();
+    terrain.name = 'terrain';
+    group.add(terrain);
+
+    // Follows the camera
+    const water = createWater(ENDLESS_VIEW_DISTANCE * 2, params.waterLevel);
+    water.name = 'water';
+    water.userData.endless = true;
+    group.add(water);
+
+    // Trees, rocks and flowers, one group per chunk
+    const trees = new THREE.Group();
+    trees.name = 'trees';
+    group.add(trees);
+  } else {
+    const terrain = createTerrain(world, size, segments);
+    terrain.name = 'terrain';
+    group.add(terrain);
 
-  const terrain = createTerrain(noise2D, size, segments);
-  group.add(terrain);
+    const water = createWater(size, params.waterLevel);
+    water.name = 'water';
+    water.userData.falloff = params.falloff;
+    group.add(water);
 
-  const water = createWater(size);
-  water.name = 'water';
-  group.add(water);
+    if (hydrology) group.add(createFreshwater(hydrology, params.heightScale));
 
-  const trees = createTrees(noise2D, rng, size);
-  group.add(trees);
+    const islandArea = scatterArea(0, 0, size * 0.85);
+    const trees = createTrees(world, rng, islandArea);
+    trees.name = 'trees';
+    group.add(trees);
 
-  const rocks = createRocks(noise2D, rng, size);
-  group.add(rocks);
+    const rocks = createRocks(world, rng, islandArea);
+    group.add(rocks);
 
-  const flowers = createFlowers(noise2D, rng, size);
-  group.add(flowers);
+    const flowers = createFlowers(world, rng, islandArea);
+    group.add(flowers);
+  }
 
-  const chickens = createChickens(noise2D, rng, size);
+  // Around the origin in both kinds of world
+  const chickens = createChickens(world, rng, { x: 0, z: 0, span: size * 0.8, scale: 1 });
   group.add(chickens);
 
   const sky = createSkyDome(500);
@@ -0,0 +1,58 @@
+// --- Structure thumbnails ---
+// Renders a block list with the block textures from a fixed three-quarter
+// view into a small offscreen canvas and returns it as a PNG data URL.
+// One renderer is created on first use and reused.
+
+import * as THREE from 'three';
+import { createVoxelStore, createChunkRenderer } from './voxels.js';
+import { getFaceMaterials, faceMaterialIndex, isTransparent } from './blocks.js';
+
+export const THUMBNAIL_SIZE = 128;
+
+const VIEW_DIRECTION = new THREE.Vector3(1, 0.9, 1.3).normalize();
+const FOV = 30;
+
+let thumbRenderer = null;
+
+function getRenderer() {
+  if (thumbRenderer) return thumbRenderer;
+  thumbRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+  thumbRenderer.setSize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, false);
+  thumbRenderer.toneMapping = THREE.ACESFilmicToneMapping;
+  return thumbRenderer;
+}
+
+export function renderThumbnail(blocks) {
+  const renderer = getRenderer();
+  const scene = new THREE.Scene();
+  scene.add(new THREE.HemisphereLight(0xdde8ff, 0x6b5a45, 1.6));
+  const sun = new THREE.DirectionalLight(0xfff4e0, 1.8);
+  sun.position.set(3, 5, 2);
+  scene.add(sun);
+
+  const store = createVoxelStore();
+  for (const b of blocks) store.set(b.x, b.y, b.z, b.type);
+  const group = new THREE.Group();
+  scene.add(group);
+  const chunks = createChunkRenderer(store, group, {
+    materials: getFaceMaterials(),
+    materialIndex: faceMaterialIndex,
+    isTransparent,
+    castShadow: false,
+    receiveShadow: false,
+  });
+  chunks.update();
+
+  // Fit the bounding sphere into the view
+  const sphere = new THREE.Box3().setFromObject(group).getBoundingSphere(new THREE.Sphere());
+  const radius = Math.max(sphere.radius, 1);
+  const distance = (radius / Math.sin(THREE.MathUtils.degToRad(FOV / 2))) * 1.05;
+  const camera = new THREE.PerspectiveCamera(FOV, 1, distance / 100, distance * 2 + radius);
+  camera.position.copy(sphere.center).addScaledVector(VIEW_DIRECTION, distance);
+  camera.lookAt(sphere.center);
+
+  renderer.render(scene, camera);
+  const url = renderer.domElement.toDataURL('image/png');
+  chunks.dispose();
+  return url;
+}
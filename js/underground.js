@@ -0,0 +1,74 @@
+// --- Underground ---
+// 3D noise for full-depth blockified terrain (see terrain.js): caves,
+// overhangs on rocky ground, pockets of gravel and ore in the stone, and a
+// bedrock floor. Everything is a pure function of the seed and the cell, so
+// the terrain generator can answer for any single block, in any order.
+//
+// Caves are of two kinds: tunnels where two noise fields are both near zero
+// (their zero surfaces cross along winding lines), and larger caverns where
+// a third, broader field peaks, kept deeper down. Pockets are listed rarest
+// last; a cell takes the first pocket whose noise is above its threshold,
+// up to the pocket's highest layer.
+
+import { createNoise3D } from 'simplex-noise';
+import { BLOCK } from './blocks.js';
+import { mulberry32, hashCoords } from './random.js';
+
+// Layers above y = 0 that may still be bedrock, less likely the higher
+const BEDROCK_LAYERS = 3;
+
+const TUNNEL_SCALE = 0.045;
+const TUNNEL_WIDTH = 0.09;
+const CAVERN_SCALE = 0.03;
+const CAVERN_THRESHOLD = 0.62;
+// Caverns stay this many cells below the surface
+const CAVERN_DEPTH = 6;
+
+const OVERHANG_SCALE = 0.07;
+
+const POCKETS = [
+  { type: BLOCK.GRAVEL, scale: 0.11, threshold: 0.72, maxY: Infinity },
+  { type: BLOCK.COAL_ORE, scale: 0.18, threshold: 0.74, maxY: Infinity },
+  { type: BLOCK.IRON_ORE, scale: 0.2, threshold: 0.8, maxY: 16 },
+  { type: BLOCK.GOLD_ORE, scale: 0.22, threshold: 0.86, maxY: 8 },
+];
+
+export function createUnderground(seed) {
+  const noiseSeed = hashCoords(seed, 0x63617665, 0x73);
+  const noise3D = createNoise3D(mulberry32(noiseSeed));
+
+  function isBedrock(x, y, z) {
+    if (y === 0) return true;
+    if (y < 0 || y >= BEDROCK_LAYERS) return false;
+    return hashCoords(noiseSeed + y, x, z) / 4294967296 < (BEDROCK_LAYERS - y) / BEDROCK_LAYERS * 0.6;
+  }
+
+  // `depth` is the number of cells below the column's surface
+  function isCave(x, y, z, depth) {
+    const a = noise3D(x * TUNNEL_SCALE, y * TUNNEL_SCALE * 1.6, z * TUNNEL_SCALE);
+    if (Math.abs(a) < TUNNEL_WIDTH) {
+      const b = noise3D(x * TUNNEL_SCALE + 71.3, y * TUNNEL_SCALE * 1.6 - 19.7, z * TUNNEL_SCALE + 43.1);
+      if (Math.abs(b) < TUNNEL_WIDTH) return true;
+    }
+    if (depth < CAVERN_DEPTH) return false;
+    return noise3D(x * CAVERN_SCALE - 113.9, y * CAVERN_SCALE * 2, z * CAVERN_SCALE + 87.5) > CAVERN_THRESHOLD;
+  }
+
+  // How far (-1..1) the surface is pushed up (positive) or in around a cell
+  function overhang(x, y, z) {
+    return noise3D(x * OVERHANG_SCALE + 29.3, y * OVERHANG_SCALE * 1.5, z * OVERHANG_SCALE - 57.1);
+  }
+
+  // Stone, or the pocket the stone cell is in
+  function stoneAt(x, y, z) {
+    for (let i = 0; i < POCKETS.length; i++) {
+      const { type, scale, threshold, maxY } = POCKETS[i];
+      if (y > maxY) continue;
+      const offset = 200 + i * 137.7;
+      if (noise3D(x * scale + offset, y * scale, z * scale - offset) > threshold) return type;
+    }
+    return BLOCK.STONE;
+  }
+
+  return { isBedrock, isCave, overhang, stoneAt };
+}
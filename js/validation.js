@@ -0,0 +1,214 @@
+// --- Structure validation and repair ---
+// Imported and AI-generated block lists pass through a reader that snaps
+// entries to the grid and counts what it had to fix or leave out (malformed
+// entries, unknown block types, blocks past the size cap). checkStructure
+// then looks at the resulting structure as a whole: duplicate cells,
+// floating parts, size and centring. The repairs return new block lists.
+
+import { BLOCKS, BLOCK_COUNT, normalizeBlockType } from './blocks.js';
+import { foundationType } from './blueprint.js';
+
+const cellKey = (x, y, z) => `${x},${y},${z}`;
+
+// Supports are not built deeper than this below a floating part
+const MAX_SUPPORT_DEPTH = 64;
+
+function isKnownBlockType(value) {
+  if (typeof value === 'number') return Number.isInteger(value) && value >= 0 && value < BLOCK_COUNT;
+  if (typeof value === 'string') {
+    const name = value.trim().toLowerCase();
+    return BLOCKS.some(b => b.name.toLowerCase() === name);
+  }
+  return false;
+}
+
+// Snap a parsed {x, y, z, type} to the grid, or null if it isn't a block
+export function toGridBlock(b) {
+  if (!b || typeof b.x !== 'number' || typeof b.y !== 'number' || typeof b.z !== 'number') return null;
+  if (!Number.isFinite(b.x) || !Number.isFinite(b.y) || !Number.isFinite(b.z)) return null;
+  return {
+    x: Math.round(b.x),
+    y: Math.round(b.y),
+    z: Math.round(b.z),
+    type: normalizeBlockType(b.type),
+  };
+}
+
+// Collects grid blocks from raw entries, up to `limit`. `counts` says how
+// many entries were seen, skipped as malformed, had an unknown type (turned
+// into the nearest valid one or Stone), had off-grid coordinates, or came
+// after the limit. `truncated` is set by the caller when the list itself
+// was cut short: 'limit', 'max_tokens', 'cancelled' or 'failed'.
+export function createBlockReader(limit = Infinity) {
+  const blocks = [];
+  const counts = { entries: 0, malformed: 0, badTypes: 0, offGrid: 0, dropped: 0, truncated: null };
+  return {
+    blocks,
+    counts,
+    get full() { return blocks.length >= limit; },
+    // Returns the block added, or null
+    add(raw) {
+      counts.entries++;
+      const block = toGridBlock(raw);
+      if (!block) {
+        counts.malformed++;
+        return null;
+      }
+      if (blocks.length >= limit) {
+        counts.dropped++;
+        counts.truncated = 'limit';
+        return null;
+      }
+      if (!isKnownBlockType(raw.type)) counts.badTypes++;
+      if (block.x !== raw.x || block.y !== raw.y || block.z !== raw.z) counts.offGrid++;
+      blocks.push(block);
+      return block;
+    },
+  };
+}
+
+function structureBounds(blocks) {
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  for (const b of blocks) {
+    for (const axis of ['x', 'y', 'z']) {
+      if (b[axis] < min[axis]) min[axis] = b[axis];
+      if (b[axis] > max[axis]) max[axis] = b[axis];
+    }
+  }
+  return { min, max, size: { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 } };
+}
+
+// Face-connected parts of the structure, each a list of distinct cells.
+// A part is grounded if it reaches the structure's lowest layer.
+function findParts(blocks, groundY) {
+  const cells = new Map(); // key -> block (the last one in that cell)
+  for (const b of blocks) cells.set(cellKey(b.x, b.y, b.z), b);
+
+  const seen = new Set();
+  const parts = [];
+  for (const [start, block] of cells) {
+    if (seen.has(start)) continue;
+    seen.add(start);
+    const part = { cells: [], grounded: false };
+    const queue = [block];
+    while (queue.length > 0) {
+      const b = queue.pop();
+      part.cells.push(b);
+      if (b.y === groundY) part.grounded = true;
+      for (const [dx, dy, dz] of [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]) {
+        const key = cellKey(b.x + dx, b.y + dy, b.z + dz);
+        if (seen.has(key) || !cells.has(key)) continue;
+        seen.add(key);
+        queue.push(cells.get(key));
+      }
+    }
+    parts.push(part);
+  }
+  return parts;
+}
+
+// Whole-structure report: { blocks, size, duplicates, floating, islands,
+// offCentre, oversize }. `floating` counts the blocks in parts that don't
+// reach the lowest layer, `islands` the number of such parts. `oversize` is
+// set when a side is longer than `maxSize`.
+export function checkStructure(blocks, { maxSize = null } = {}) {
+  if (blocks.length === 0) {
+    return { blocks: 0, size: null, duplicates: 0, floating: 0, islands: 0, offCentre: false, oversize: false };
+  }
+  const { min, size } = structureBounds(blocks);
+  const cells = new Set(blocks.map(b => cellKey(b.x, b.y, b.z)));
+  const floatingParts = findParts(blocks, min.y).filter(p => !p.grounded);
+  // Same centre as centerStructure in formats.js
+  const centreX = min.x + Math.round((size.x - 1) / 2);
+  const centreZ = min.z + Math.round((size.z - 1) / 2);
+  return {
+    blocks: blocks.length,
+    size,
+    duplicates: blocks.length - cells.size,
+    floating: floatingParts.reduce((n, p) => n + p.cells.length, 0),
+    islands: floatingParts.length,
+    offCentre: min.y !== 0 || centreX !== 0 || centreZ !== 0,
+    oversize: maxSize !== null && Math.max(size.x, size.y, size.z) > maxSize,
+  };
+}
+
+const plural = (n, word, words = `${word}s`) => `${n} ${n === 1 ? word : words}`;
+
+// Human-readable problems from a reader's counts (may be null) and a
+// checkStructure report, most serious first
+export function describeProblems(counts, report, { maxSize = null } = {}) {
+  const problems = [];
+  if (counts) {
+    if (counts.truncated === 'limit') {
+      problems.push(counts.dropped > 0
+        ? `Truncated: ${plural(counts.dropped, 'block')} over the limit left out`
+        : 'Truncated at the block limit');
+    } else if (counts.truncated === 'max_tokens') {
+      problems.push('Truncated: the answer hit the token limit');
+    } else if (counts.truncated === 'cancelled') {
+      problems.push('Incomplete: the answer was cancelled');
+    } else if (counts.truncated === 'failed') {
+      problems.push('Incomplete: the connection failed mid-answer');
+    }
+    if (counts.malformed > 0) problems.push(`${plural(counts.malformed, 'malformed entry', 'malformed entries')} skipped`);
+    if (counts.badTypes > 0) problems.push(`${plural(counts.badTypes, 'unknown block type')} replaced`);
+    if (counts.offGrid > 0) problems.push(`${plural(counts.offGrid, 'off-grid coordinate')} rounded`);
+  }
+  if (report.duplicates > 0) problems.push(plural(report.duplicates, 'duplicate block'));
+  if (report.floating > 0) {
+    problems.push(`${plural(report.floating, 'floating block')} in ${plural(report.islands, 'part')}`);
+  }
+  if (report.oversize) {
+    const { x, y, z } = report.size;
+    problems.push(`${x}\u00d7${y}\u00d7${z} is larger than ${maxSize}\u00d7${maxSize}\u00d7${maxSize}`);
+  }
+  if (report.offCentre) problems.push('Not centred on x/z or not starting at y = 0');
+  return problems;
+}
+
+// --- Repairs ---
+
+// One block per cell; the last entry for a cell wins, as in the ghost preview
+export function removeDuplicates(blocks) {
+  const cells = new Map();
+  for (const b of blocks) {
+    const key = cellKey(b.x, b.y, b.z);
+    cells.delete(key); // keep the order of the surviving entries
+    cells.set(key, b);
+  }
+  return [...cells.values()];
+}
+
+// Only the parts that reach the lowest layer
+export function dropFloating(blocks) {
+  if (blocks.length === 0) return [];
+  const { min } = structureBounds(blocks);
+  return findParts(removeDuplicates(blocks), min.y).filter(p => p.grounded).flatMap(p => p.cells);
+}
+
+// Pillars under the bottom layer of every floating part, down to the next
+// block or the lowest layer of the structure, built like a foundation
+export function addSupports(blocks) {
+  const unique = removeDuplicates(blocks);
+  if (unique.length === 0) return [];
+  const { min } = structureBounds(unique);
+  const occupied = new Set(unique.map(b => cellKey(b.x, b.y, b.z)));
+  const supports = [];
+
+  for (const part of findParts(unique, min.y)) {
+    if (part.grounded) continue;
+    const bottom = Math.min(...part.cells.map(b => b.y));
+    for (const b of part.cells) {
+      if (b.y !== bottom) continue;
+      const type = foundationType(b.type);
+      for (let y = b.y - 1; y >= min.y && y >= b.y - MAX_SUPPORT_DEPTH; y--) {
+        const key = cellKey(b.x, y, b.z);
+        if (occupied.has(key)) break;
+        occupied.add(key);
+        supports.push({ x: b.x, y, z: b.z, type });
+      }
+    }
+  }
+  return [...unique, ...supports];
+}
@@ -0,0 +1,367 @@
+import * as THREE from 'three';
+
+// --- Chunked voxel storage, greedy meshing and voxel raycasting ---
+// Cells are addressed by integer grid coordinates; cell (x, y, z) spans
+// [x, x+1) × [y, y+1) × [z, z+1) in world units. Blocks live in 16³ chunks so
+// an edit only re-meshes the chunk it touches (plus neighbours on a border).
+
+export const CHUNK_SIZE = 16;
+const CHUNK_VOLUME = CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE;
+
+export function chunkKey(cx, cy, cz) {
+  return `${cx},${cy},${cz}`;
+}
+
+function localIndex(lx, ly, lz) {
+  return lx + CHUNK_SIZE * (ly + CHUNK_SIZE * lz);
+}
+
+// --- Voxel store ---
+// Each chunk is a Uint8Array where 0 = empty and (type + 1) = block type.
+export function createVoxelStore() {
+  const chunks = new Map(); // "cx,cy,cz" -> { cx, cy, cz, data, count }
+  const dirty = new Set();  // chunk keys whose mesh is out of date
+  let size = 0;
+
+  function markDirty(cx, cy, cz) {
+    dirty.add(chunkKey(cx, cy, cz));
+  }
+
+  function get(x, y, z) {
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cy = Math.floor(y / CHUNK_SIZE);
+    const cz = Math.floor(z / CHUNK_SIZE);
+    const chunk = chunks.get(chunkKey(cx, cy, cz));
+    if (!chunk) return null;
+    const v = chunk.data[localIndex(x - cx * CHUNK_SIZE, y - cy * CHUNK_SIZE, z - cz * CHUNK_SIZE)];
+    return v === 0 ? null : v - 1;
+  }
+
+  // Write a cell (type null empties it). Returns the previous type or null.
+  function set(x, y, z, type) {
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cy = Math.floor(y / CHUNK_SIZE);
+    const cz = Math.floor(z / CHUNK_SIZE);
+    const key = chunkKey(cx, cy, cz);
+    let chunk = chunks.get(key);
+    if (!chunk) {
+      if (type === null) return null;
+      chunk = { cx, cy, cz, data: new Uint8Array(CHUNK_VOLUME), count: 0 };
+      chunks.set(key, chunk);
+    }
+
+    const lx = x - cx * CHUNK_SIZE;
+    const ly = y - cy * CHUNK_SIZE;
+    const lz = z - cz * CHUNK_SIZE;
+    const idx = localIndex(lx, ly, lz);
+    const prevRaw = chunk.data[idx];
+    const nextRaw = type === null ? 0 : type + 1;
+    if (prevRaw === nextRaw) return prevRaw === 0 ? null : prevRaw - 1;
+
+    chunk.data[idx] = nextRaw;
+    if (prevRaw === 0) { chunk.count++; size++; }
+    if (nextRaw === 0) { chunk.count--; size--; }
+    if (chunk.count === 0) chunks.delete(key);
+
+    // Faces of neighbouring chunks may become hidden or exposed
+    markDirty(cx, cy, cz);
+    if (lx === 0) markDirty(cx - 1, cy, cz);
+    if (lx === CHUNK_SIZE - 1) markDirty(cx + 1, cy, cz);
+    if (ly === 0) markDirty(cx, cy - 1, cz);
+    if (ly === CHUNK_SIZE - 1) markDirty(cx, cy + 1, cz);
+    if (lz === 0) markDirty(cx, cy, cz - 1);
+    if (lz === CHUNK_SIZE - 1) markDirty(cx, cy, cz + 1);
+
+    return prevRaw === 0 ? null : prevRaw - 1;
+  }
+
+  function has(x, y, z) {
+    return get(x, y, z) !== null;
+  }
+
+  // Calls fn(x, y, z, type) for every filled cell
+  function forEach(fn) {
+    for (const chunk of chunks.values()) {
+      const ox = chunk.cx * CHUNK_SIZE;
+      const oy = chunk.cy * CHUNK_SIZE;
+      const oz = chunk.cz * CHUNK_SIZE;
+      const data = chunk.data;
+      for (let i = 0; i < CHUNK_VOLUME; i++) {
+        if (data[i] === 0) continue;
+        const lx = i % CHUNK_SIZE;
+        const ly = Math.floor(i / CHUNK_SIZE) % CHUNK_SIZE;
+        const lz = Math.floor(i / (CHUNK_SIZE * CHUNK_SIZE));
+        fn(ox + lx, oy + ly, oz + lz, data[i] - 1);
+      }
+    }
+  }
+
+  function clear() {
+    for (const key of chunks.keys()) dirty.add(key);
+    chunks.clear();
+    size = 0;
+  }
+
+  // Drop every cell in the chunk columns x0 <= cx < x1, z0 <= cz < z1 (all
+  // heights), e.g. terrain that has gone out of range
+  function clearColumns(x0, z0, x1, z1) {
+    for (const [key, chunk] of chunks) {
+      const { cx, cy, cz } = chunk;
+      if (cx < x0 || cx >= x1 || cz < z0 || cz >= z1) continue;
+      chunks.delete(key);
+      size -= chunk.count;
+      dirty.add(key);
+      // Neighbours' border faces become visible
+      markDirty(cx - 1, cy, cz);
+      markDirty(cx + 1, cy, cz);
+      markDirty(cx, cy, cz - 1);
+      markDirty(cx, cy, cz + 1);
+    }
+  }
+
+  // Calls fn({ cx, cy, cz, data }) for every non-empty chunk (data is live)
+  function forEachChunk(fn) {
+    for (const chunk of chunks.values()) fn(chunk);
+  }
+
+  // Hand the dirty chunk keys to the renderer and reset the set
+  function takeDirty() {
+    const keys = [...dirty];
+    dirty.clear();
+    return keys;
+  }
+
+  return {
+    get,
+    set,
+    has,
+    forEach,
+    forEachChunk,
+    clear,
+    clearColumns,
+    takeDirty,
+    getChunk: (key) => chunks.get(key),
+    get size() { return size; },
+  };
+}
+
+// --- Greedy mesher ---
+// Builds one BufferGeometry for a chunk with hidden faces culled and coplanar
+// faces of the same type merged into larger quads. Geometry groups use
+// materialIndex(type, face) as material index, with faces ordered like
+// BoxGeometry (+x, -x, +y, -y, +z, -z). A face is drawn when the neighbour cell
+// is empty, or transparent and of a different type (glass next to glass is hidden).
+export function buildChunkGeometry(store, chunk, { isTransparent, materialIndex = type => type }) {
+  const ox = chunk.cx * CHUNK_SIZE;
+  const oy = chunk.cy * CHUNK_SIZE;
+  const oz = chunk.cz * CHUNK_SIZE;
+  const data = chunk.data;
+  const origin = [ox, oy, oz];
+
+  // Read a raw cell value (0 = empty) in chunk-local coordinates, falling
+  // back to the store for cells just outside the chunk
+  function raw(p) {
+    if (p[0] >= 0 && p[0] < CHUNK_SIZE && p[1] >= 0 && p[1] < CHUNK_SIZE && p[2] >= 0 && p[2] < CHUNK_SIZE) {
+      return data[localIndex(p[0], p[1], p[2])];
+    }
+    const t = store.get(ox + p[0], oy + p[1], oz + p[2]);
+    return t === null ? 0 : t + 1;
+  }
+
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  const indicesByMaterial = new Map(); // material index -> [indices]
+  let vertexCount = 0;
+
+  const mask = new Int32Array(CHUNK_SIZE * CHUNK_SIZE);
+  const p = [0, 0, 0];
+  const q = [0, 0, 0];
+
+  for (let d = 0; d < 3; d++) {
+    const u = (d + 1) % 3;
+    const v = (d + 2) % 3;
+
+    for (const side of [-1, 1]) {
+      for (let slice = 0; slice < CHUNK_SIZE; slice++) {
+        // Build the visibility mask for this slice
+        for (let b = 0; b < CHUNK_SIZE; b++) {
+          for (let a = 0; a < CHUNK_SIZE; a++) {
+            p[d] = slice; p[u] = a; p[v] = b;
+            const cur = data[localIndex(p[0], p[1], p[2])];
+            let m = 0;
+            if (cur !== 0) {
+              q[0] = p[0]; q[1] = p[1]; q[2] = p[2];
+              q[d] += side;
+              const nb = raw(q);
+              if (nb === 0 || (nb !== cur && isTransparent(nb - 1))) m = cur;
+            }
+            mask[a + b * CHUNK_SIZE] = m;
+          }
+        }
+
+        // Merge the mask into rectangles
+        for (let b = 0; b < CHUNK_SIZE; b++) {
+          for (let a = 0; a < CHUNK_SIZE;) {
+            const m = mask[a + b * CHUNK_SIZE];
+            if (m === 0) { a++; continue; }
+
+            let w = 1;
+            while (a + w < CHUNK_SIZE && mask[a + w + b * CHUNK_SIZE] === m) w++;
+
+            let h = 1;
+            grow: while (b + h < CHUNK_SIZE) {
+              for (let k = 0; k < w; k++) {
+                if (mask[a + k + (b + h) * CHUNK_SIZE] !== m) break grow;
+              }
+              h++;
+            }
+
+            emitQuad(d, u, v, side, slice, a, b, w, h, m - 1);
+
+            for (let hh = 0; hh < h; hh++) {
+              for (let k = 0; k < w; k++) mask[a + k + (b + hh) * CHUNK_SIZE] = 0;
+            }
+            a += w;
+          }
+        }
+      }
+    }
+  }
+
+  function emitQuad(d, u, v, side, slice, a, b, w, h, type) {
+    const plane = slice + (side > 0 ? 1 : 0);
+    const corners = [[a, b], [a + w, b], [a + w, b + h], [a, b + h]];
+    for (const [ca, cb] of corners) {
+      const pos = [0, 0, 0];
+      pos[d] = plane; pos[u] = ca; pos[v] = cb;
+      positions.push(pos[0], pos[1], pos[2]);
+      const n = [0, 0, 0];
+      n[d] = side;
+      normals.push(n[0], n[1], n[2]);
+      // World-aligned UVs so textures tile once per block, sides upright
+      const wx = pos[0] + origin[0];
+      const wy = pos[1] + origin[1];
+      const wz = pos[2] + origin[2];
+      if (d === 0) uvs.push(wz, wy);
+      else if (d === 1) uvs.push(wx, wz);
+      else uvs.push(wx, wy);
+    }
+
+    const matIdx = materialIndex(type, d * 2 + (side > 0 ? 0 : 1));
+    let list = indicesByMaterial.get(matIdx);
+    if (!list) { list = []; indicesByMaterial.set(matIdx, list); }
+    const i0 = vertexCount;
+    if (side > 0) list.push(i0, i0 + 1, i0 + 2, i0, i0 + 2, i0 + 3);
+    else list.push(i0, i0 + 2, i0 + 1, i0, i0 + 3, i0 + 2);
+    vertexCount += 4;
+  }
+
+  if (vertexCount === 0) return null;
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+
+  const index = [];
+  for (const [matIdx, list] of [...indicesByMaterial].sort((x, y) => x[0] - y[0])) {
+    geometry.addGroup(index.length, list.length, matIdx);
+    for (const i of list) index.push(i);
+  }
+  geometry.setIndex(vertexCount > 65535 ? new THREE.Uint32BufferAttribute(index, 1) : new THREE.Uint16BufferAttribute(index, 1));
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+// --- Chunk renderer ---
+// Keeps one Mesh per non-empty chunk under `parent` and rebuilds the chunks
+// the store has marked dirty whenever update() is called.
+export function createChunkRenderer(store, parent, { materials, isTransparent, materialIndex, castShadow = true, receiveShadow = true }) {
+  const meshes = new Map(); // chunk key -> Mesh
+
+  function removeMesh(key) {
+    const mesh = meshes.get(key);
+    if (!mesh) return;
+    parent.remove(mesh);
+    mesh.geometry.dispose();
+    meshes.delete(key);
+  }
+
+  function rebuild(key) {
+    removeMesh(key);
+    const chunk = store.getChunk(key);
+    if (!chunk) return;
+    const geometry = buildChunkGeometry(store, chunk, { isTransparent, materialIndex });
+    if (!geometry) return;
+
+    const mesh = new THREE.Mesh(geometry, materials);
+    mesh.position.set(chunk.cx * CHUNK_SIZE, chunk.cy * CHUNK_SIZE, chunk.cz * CHUNK_SIZE);
+    mesh.castShadow = castShadow;
+    mesh.receiveShadow = receiveShadow;
+    mesh.userData.chunkKey = key;
+    parent.add(mesh);
+    meshes.set(key, mesh);
+  }
+
+  function update() {
+    for (const key of store.takeDirty()) rebuild(key);
+  }
+
+  function dispose() {
+    for (const key of [...meshes.keys()]) removeMesh(key);
+  }
+
+  return { update, dispose, meshes };
+}
+
+// --- Voxel raycast (Amanatides & Woo DDA) ---
+// Walks the grid cells along the ray and returns the first filled cell as
+// { x, y, z, type, normal, distance, point }, or null within maxDist.
+// `dir` must be normalized. `normal` is the face that was entered and is
+// zero when the ray starts inside a block.
+export function raycastVoxels(store, origin, dir, maxDist) {
+  let x = Math.floor(origin.x);
+  let y = Math.floor(origin.y);
+  let z = Math.floor(origin.z);
+
+  const stepX = Math.sign(dir.x);
+  const stepY = Math.sign(dir.y);
+  const stepZ = Math.sign(dir.z);
+
+  const tDeltaX = stepX !== 0 ? Math.abs(1 / dir.x) : Infinity;
+  const tDeltaY = stepY !== 0 ? Math.abs(1 / dir.y) : Infinity;
+  const tDeltaZ = stepZ !== 0 ? Math.abs(1 / dir.z) : Infinity;
+
+  let tMaxX = stepX > 0 ? (x + 1 - origin.x) * tDeltaX : stepX < 0 ? (origin.x - x) * tDeltaX : Infinity;
+  let tMaxY = stepY > 0 ? (y + 1 - origin.y) * tDeltaY : stepY < 0 ? (origin.y - y) * tDeltaY : Infinity;
+  let tMaxZ = stepZ > 0 ? (z + 1 - origin.z) * tDeltaZ : stepZ < 0 ? (origin.z - z) * tDeltaZ : Infinity;
+
+  const normal = { x: 0, y: 0, z: 0 };
+  let t = 0;
+
+  while (t <= maxDist) {
+    const type = store.get(x, y, z);
+    if (type !== null) {
+      return {
+        x, y, z, type,
+        normal: { ...normal },
+        distance: t,
+        point: new THREE.Vector3(origin.x + dir.x * t, origin.y + dir.y * t, origin.z + dir.z * t),
+      };
+    }
+
+    if (tMaxX < tMaxY && tMaxX < tMaxZ) {
+      x += stepX; t = tMaxX; tMaxX += tDeltaX;
+      normal.x = -stepX; normal.y = 0; normal.z = 0;
+    } else if (tMaxY < tMaxZ) {
+      y += stepY; t = tMaxY; tMaxY += tDeltaY;
+      normal.x = 0; normal.y = -stepY; normal.z = 0;
+    } else {
+      z += stepZ; t = tMaxZ; tMaxZ += tDeltaZ;
+      normal.x = 0; normal.y = 0; normal.z = -stepZ;
+    }
+  }
+
+  return null;
+}